@@ -5,16 +5,39 @@ const cors = require("cors");
 const helmet = require("helmet");
 const { PrismaClient } = require("@prisma/client");
 const { startCleanupJob } = require("./src/jobs/cleanup");
+const { startLeaderboardJob } = require("./src/jobs/leaderboard");
+const { startMatchmakingJob } = require("./src/jobs/matchmaking");
+const { startClockJob } = require("./src/jobs/clock");
+const { startAnnotationJob } = require("./src/jobs/annotations");
+const { attachWebSocketServer } = require("./src/realtime/websocket");
 // Import routes
 const authRoutes = require("./src/routes/auth");
 const roomsRoutes = require("./src/routes/rooms");
 const gameRoutes = require("./src/routes/game");
 const replayRoutes = require("./src/routes/replay");
 const botRoutes = require("./src/routes/bot");
+const leaderboardRoutes = require("./src/routes/leaderboard");
+const matchmakingRoutes = require("./src/routes/matchmaking");
+const analysisRoutes = require("./src/routes/analysis");
 
 const app = express();
 const prisma = new PrismaClient();
+
+// Behind a reverse proxy req.ip (stored with each session) comes from X-Forwarded-For
+// TRUST_PROXY: hop count ("1"), "true", or addresses such as "loopback"
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  let setting = trustProxy;
+  if (/^\d+$/.test(trustProxy)) setting = Number(trustProxy);
+  else if (trustProxy === "true") setting = true;
+  app.set("trust proxy", setting);
+}
+
 startCleanupJob(); //เรียกใช้ฟังก์ชันลบห้องที่ไม่มีใครเล่น
+startLeaderboardJob();
+startMatchmakingJob();
+startClockJob();
+startAnnotationJob();
 // Middleware
 app.use(
   helmet({
@@ -57,6 +80,9 @@ app.use("/api/rooms", roomsRoutes);
 app.use("/api/game", gameRoutes);
 app.use("/api/replay", replayRoutes);
 app.use("/api/bot", botRoutes);
+app.use("/api/leaderboard", leaderboardRoutes);
+app.use("/api/matchmaking", matchmakingRoutes);
+app.use("/api/analysis", analysisRoutes);
 
 // API documentation endpoint
 app.get("/api", (req, res) => {
@@ -68,31 +94,88 @@ app.get("/api", (req, res) => {
       auth: {
         "POST /api/auth/register": "Register new user",
         "POST /api/auth/login": "Login user",
+        "POST /api/auth/guest": "Play as a guest without registering",
+        "POST /api/auth/upgrade":
+          "Turn a guest into a full account (guest auth required)",
+        "POST /api/auth/refresh": "Exchange a refresh token for new tokens",
+        "POST /api/auth/logout": "Log out this session (auth required)",
+        "POST /api/auth/logout-all": "Log out all sessions (auth required)",
+        "GET /api/auth/sessions": "List your logged-in devices (auth required)",
+        "DELETE /api/auth/sessions/:sessionId":
+          "Revoke one of your sessions (auth required)",
+        "PUT /api/auth/password":
+          "Change password, logs out other sessions (auth required)",
+        "PUT /api/auth/username": "Change username (auth required)",
+        "DELETE /api/auth/account": "Delete your account (auth required)",
         "GET /api/auth/me": "Get current user (auth required)",
       },
       rooms: {
         "POST /api/rooms": "Create new room (auth required)",
         "GET /api/rooms": "List waiting rooms (auth required)",
         "GET /api/rooms/:code": "Get room by code (auth required)",
+        "GET /api/rooms/:code/events":
+          "Server-Sent Events stream for spectators (auth required, ?token= allowed)",
         "POST /api/rooms/:code/join": "Join room as player2 (auth required)",
         "POST /api/rooms/:code/spectate": "Join as spectator (auth required)",
         "POST /api/rooms/:code/leave": "Leave room (auth required)",
+        "POST /api/rooms/:code/rematch":
+          "Request a rematch of a finished game (auth required)",
+        "POST /api/rooms/:code/rematch/accept":
+          "Accept a rematch request (auth required)",
+        "POST /api/rooms/:code/bot":
+          "Invite a bot into the empty player2 seat (room creator only)",
+        "POST /api/rooms/:code/bot/takeover":
+          "Let a bot play for a disconnected opponent (auth required)",
+        "POST /api/rooms/:code/bot/release":
+          "Take your seat back from the bot (auth required)",
       },
       game: {
         "POST /api/game/:roomId/move": "Make a move (auth required)",
+        "POST /api/game/:roomId/resign": "Resign the game (auth required)",
+        "POST /api/game/:roomId/offer-draw": "Offer a draw (auth required)",
+        "POST /api/game/:roomId/accept-draw": "Accept a draw offer (auth required)",
+        "POST /api/game/:roomId/decline-draw": "Decline a draw offer (auth required)",
+        "POST /api/game/:roomId/hint": "Suggest a move on your turn (auth required)",
         "GET /api/game/:roomId/state": "Get game state (auth required)",
         "GET /api/game/:roomId/status": "Quick status check (auth required)",
       },
       replay: {
         "GET /api/replay/:roomId": "Get game replay (auth required)",
+        "GET /api/replay/bot/:gameId": "Get bot game replay (auth required)",
         "GET /api/replay/user/history": "Get user game history (auth required)",
+        "GET /api/replay/user/timeline":
+          "Multiplayer and bot games in one timeline (auth required)",
       },
       bot: {
+        "GET /api/bot/engines": "List bot engines (auth required)",
+        "GET /api/bot/menace/progress":
+          "MENACE learning curve (?bucketSize=) (auth required)",
+        "GET /api/bot/menace/weights": "MENACE beads for a position (?board=) (auth required)",
+        "POST /api/bot/menace/reset": "Reset MENACE learning (admin only)",
+        "GET /api/bot/cache/stats": "Bot transposition table stats (admin only)",
         "POST /api/bot/create": "Create bot game (auth required)",
         "POST /api/bot/:gameId/move": "Make move vs bot (auth required)",
+        "POST /api/bot/:gameId/hint": "Suggest a move on your turn (auth required)",
         "GET /api/bot/:gameId": "Get bot game state (auth required)",
         "GET /api/bot/user/games": "Get bot game history (auth required)",
       },
+      leaderboard: {
+        "GET /api/leaderboard":
+          "Leaderboard (?period=all-time|monthly|weekly&sort=rating|wins|bot-wins) (auth required)",
+      },
+      matchmaking: {
+        "POST /api/matchmaking/queue": "Join matchmaking queue (auth required)",
+        "GET /api/matchmaking/queue": "Matchmaking status (auth required)",
+        "DELETE /api/matchmaking/queue": "Leave matchmaking queue (auth required)",
+      },
+      analysis: {
+        "POST /api/analysis":
+          "Solve a position: result and distance for every square (auth required)",
+      },
+      realtime: {
+        "WS /ws?token=<jwt>":
+          "Subscribe to room updates (send { type: 'subscribe', roomId })",
+      },
     },
   });
 });
@@ -134,7 +217,7 @@ process.on("SIGINT", async () => {
 // Start server
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║                 TIC-TAC-TOE SERVER                         ║
@@ -147,4 +230,7 @@ app.listen(PORT, () => {
   `);
 });
 
+// Real-time room updates share the HTTP server
+attachWebSocketServer(server);
+
 module.exports = app;
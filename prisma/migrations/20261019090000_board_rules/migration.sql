@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "boardSize" INTEGER NOT NULL DEFAULT 3,
+ADD COLUMN     "winLength" INTEGER NOT NULL DEFAULT 3;
+
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "boardSize" INTEGER NOT NULL DEFAULT 3,
+ADD COLUMN     "winLength" INTEGER NOT NULL DEFAULT 3;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "difficulty" TEXT NOT NULL DEFAULT 'impossible';
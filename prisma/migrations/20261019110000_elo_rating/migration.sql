@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "rating" INTEGER NOT NULL DEFAULT 1200;
+
+-- CreateTable
+CREATE TABLE "RatingChange" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "roomId" TEXT,
+    "ratingBefore" INTEGER NOT NULL,
+    "ratingAfter" INTEGER NOT NULL,
+    "change" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RatingChange_userId_idx" ON "RatingChange"("userId");
+
+-- CreateIndex
+CREATE INDEX "RatingChange_roomId_idx" ON "RatingChange"("roomId");
+
+-- AddForeignKey
+ALTER TABLE "RatingChange" ADD CONSTRAINT "RatingChange_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingChange" ADD CONSTRAINT "RatingChange_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "LeaderboardEntry" (
+    "id" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3),
+    "userId" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "gamesPlayed" INTEGER NOT NULL DEFAULT 0,
+    "wins" INTEGER NOT NULL DEFAULT 0,
+    "losses" INTEGER NOT NULL DEFAULT 0,
+    "draws" INTEGER NOT NULL DEFAULT 0,
+    "botGames" INTEGER NOT NULL DEFAULT 0,
+    "botWins" INTEGER NOT NULL DEFAULT 0,
+    "ratingRank" INTEGER NOT NULL,
+    "winsRank" INTEGER NOT NULL,
+    "botWinsRank" INTEGER NOT NULL,
+    "refreshedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LeaderboardEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LeaderboardEntry_period_ratingRank_idx" ON "LeaderboardEntry"("period", "ratingRank");
+
+-- CreateIndex
+CREATE INDEX "LeaderboardEntry_period_winsRank_idx" ON "LeaderboardEntry"("period", "winsRank");
+
+-- CreateIndex
+CREATE INDEX "LeaderboardEntry_period_botWinsRank_idx" ON "LeaderboardEntry"("period", "botWinsRank");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LeaderboardEntry_period_userId_key" ON "LeaderboardEntry"("period", "userId");
+
+-- AddForeignKey
+ALTER TABLE "LeaderboardEntry" ADD CONSTRAINT "LeaderboardEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
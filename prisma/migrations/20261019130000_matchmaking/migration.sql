@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "MatchmakingEntry" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "boardSize" INTEGER NOT NULL DEFAULT 3,
+    "winLength" INTEGER NOT NULL DEFAULT 3,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "roomId" TEXT,
+    "matchedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MatchmakingEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MatchmakingEntry_userId_key" ON "MatchmakingEntry"("userId");
+
+-- CreateIndex
+CREATE INDEX "MatchmakingEntry_status_createdAt_idx" ON "MatchmakingEntry"("status", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MatchmakingEntry" ADD CONSTRAINT "MatchmakingEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchmakingEntry" ADD CONSTRAINT "MatchmakingEntry_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "endReason" TEXT,
+ADD COLUMN     "timeControl" TEXT,
+ADD COLUMN     "moveTimeSeconds" INTEGER,
+ADD COLUMN     "initialTimeSeconds" INTEGER,
+ADD COLUMN     "incrementSeconds" INTEGER,
+ADD COLUMN     "player1TimeMs" INTEGER,
+ADD COLUMN     "player2TimeMs" INTEGER,
+ADD COLUMN     "turnStartedAt" TIMESTAMP(3);
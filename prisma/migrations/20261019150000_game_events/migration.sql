@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "drawOfferedBy" TEXT;
+
+-- CreateTable
+CREATE TABLE "GameEvent" (
+    "id" TEXT NOT NULL,
+    "roomId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "afterMove" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GameEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GameEvent_roomId_createdAt_idx" ON "GameEvent"("roomId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "GameEvent" ADD CONSTRAINT "GameEvent_roomId_fkey" FOREIGN KEY ("roomId") REFERENCES "Room"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GameEvent" ADD CONSTRAINT "GameEvent_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
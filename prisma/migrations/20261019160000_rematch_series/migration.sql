@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "rematchRequestedBy" TEXT,
+ADD COLUMN     "previousRoomId" TEXT,
+ADD COLUMN     "seriesId" TEXT,
+ADD COLUMN     "seriesGame" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Series" (
+    "id" TEXT NOT NULL,
+    "bestOf" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'in-progress',
+    "player1Id" TEXT NOT NULL,
+    "player2Id" TEXT,
+    "player1Wins" INTEGER NOT NULL DEFAULT 0,
+    "player2Wins" INTEGER NOT NULL DEFAULT 0,
+    "draws" INTEGER NOT NULL DEFAULT 0,
+    "winnerId" TEXT,
+    "isDraw" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Room_previousRoomId_key" ON "Room"("previousRoomId");
+
+-- AddForeignKey
+ALTER TABLE "Room" ADD CONSTRAINT "Room_previousRoomId_fkey" FOREIGN KEY ("previousRoomId") REFERENCES "Room"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Room" ADD CONSTRAINT "Room_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "Series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Series" ADD CONSTRAINT "Series_player1Id_fkey" FOREIGN KEY ("player1Id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Series" ADD CONSTRAINT "Series_player2Id_fkey" FOREIGN KEY ("player2Id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Series" ADD CONSTRAINT "Series_winnerId_fkey" FOREIGN KEY ("winnerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "archivedAt" TIMESTAMP(3);
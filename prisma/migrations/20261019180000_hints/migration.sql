@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "hintsEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "player1Hints" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "player2Hints" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "GameEvent" ADD COLUMN     "position" INTEGER;
+
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "hintsUsed" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "BotHint" (
+    "id" TEXT NOT NULL,
+    "gameId" TEXT NOT NULL,
+    "afterMove" INTEGER NOT NULL,
+    "position" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BotHint_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BotHint_gameId_idx" ON "BotHint"("gameId");
+
+-- AddForeignKey
+ALTER TABLE "BotHint" ADD CONSTRAINT "BotHint_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "BotGame"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "annotatedAt" TIMESTAMP(3),
+ADD COLUMN     "player1Accuracy" DOUBLE PRECISION,
+ADD COLUMN     "player2Accuracy" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "annotation" TEXT;
+
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "annotatedAt" TIMESTAMP(3),
+ADD COLUMN     "botAccuracy" DOUBLE PRECISION,
+ADD COLUMN     "playerAccuracy" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "BotMove" ADD COLUMN     "annotation" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "engine" TEXT NOT NULL DEFAULT 'minimax',
+ALTER COLUMN "difficulty" DROP NOT NULL;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "isAdmin" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "MenaceBox" (
+    "id" TEXT NOT NULL,
+    "position" TEXT NOT NULL,
+    "beads" INTEGER[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MenaceBox_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MenaceResult" (
+    "id" TEXT NOT NULL,
+    "gameId" TEXT NOT NULL,
+    "result" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MenaceResult_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MenaceBox_position_key" ON "MenaceBox"("position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MenaceResult_gameId_key" ON "MenaceResult"("gameId");
+
+-- CreateIndex
+CREATE INDEX "MenaceResult_createdAt_idx" ON "MenaceResult"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MenaceResult" ADD CONSTRAINT "MenaceResult_gameId_fkey" FOREIGN KEY ("gameId") REFERENCES "BotGame"("id") ON DELETE CASCADE ON UPDATE CASCADE;
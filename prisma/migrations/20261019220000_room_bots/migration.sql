@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "isBot" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "botDifficulty" TEXT,
+ADD COLUMN     "botSeat" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Room" ALTER COLUMN "hintsEnabled" SET DEFAULT false;
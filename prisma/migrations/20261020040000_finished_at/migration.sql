@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Room" ADD COLUMN     "finishedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "BotGame" ADD COLUMN     "finishedAt" TIMESTAMP(3);
+
+-- Backfill: updatedAt is the best guess for games finished before this column
+UPDATE "Room" SET "finishedAt" = "updatedAt" WHERE "status" = 'finished';
+UPDATE "BotGame" SET "finishedAt" = "updatedAt" WHERE "status" = 'finished';
+
+-- CreateIndex
+CREATE INDEX "Room_status_finishedAt_idx" ON "Room"("status", "finishedAt");
+
+-- CreateIndex
+CREATE INDEX "BotGame_status_finishedAt_idx" ON "BotGame"("status", "finishedAt");
@@ -0,0 +1,119 @@
+/**
+ * Bot-vs-bot simulation CLI (no HTTP server needed)
+ *
+ *   npm run simulate -- --a=minimax --b=random --games=100
+ *   npm run simulate -- --a=mcts --b=heuristic --board=7 --win=4 --openings=2 --seed=42
+ *   npm run simulate -- --a=minimax:medium --b=minimax --json
+ *
+ * Options:
+ *   --a, --b        Engine names (engine:difficulty for engines with levels)
+ *   --games         Number of games (default 10)
+ *   --board, --win  Board size and win length (default 3 / board default)
+ *   --openings      Random opening moves per game (default 0)
+ *   --no-swap       Always let a play X (default: alternate colors)
+ *   --seed          Seed for a repeatable run
+ *   --json          Print the full report as JSON
+ *
+ * Exits with code 1 if an engine listed in --unbeaten loses a game, e.g.
+ *   npm run simulate -- --a=minimax --b=random --games=500 --unbeaten=a
+ */
+
+require('dotenv').config();
+const { getEngineNames, getEngine } = require('../src/services/engines');
+const { runMatch } = require('../src/services/simulation');
+
+/**
+ * Parse --key=value / --flag arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (match) {
+            args[match[1]] = match[2] === undefined ? true : match[2];
+        }
+    }
+    return args;
+}
+
+/**
+ * "minimax:hard" → { engine: 'minimax', difficulty: 'hard' }
+ */
+function parseCompetitor(value, fallback) {
+    const [engine, difficulty] = String(value || fallback).split(':');
+    return { engine, ...(difficulty && { difficulty }) };
+}
+
+function formatLine(label, competitor) {
+    const { engine, difficulty, wins, draws, losses, asX, asO, timing } = competitor;
+    const name = difficulty ? `${engine}:${difficulty}` : engine;
+    return [
+        `${label} ${name}`,
+        `  W/D/L      ${wins}/${draws}/${losses}`,
+        `  as X       ${asX.wins}/${asX.draws}/${asX.losses}`,
+        `  as O       ${asO.wins}/${asO.draws}/${asO.losses}`,
+        `  per move   avg ${timing.averageMs} ms, max ${timing.maxMs} ms (${timing.moves} moves)`
+    ].join('\n');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(`Engines: ${getEngineNames().join(', ')}`);
+        return 0;
+    }
+
+    const a = parseCompetitor(args.a, 'minimax');
+    const b = parseCompetitor(args.b, 'random');
+
+    for (const competitor of [a, b]) {
+        if (!getEngine(competitor.engine)) {
+            console.error(`Unknown engine "${competitor.engine}". Engines: ${getEngineNames().join(', ')}`);
+            return 1;
+        }
+    }
+
+    const report = await runMatch({
+        a,
+        b,
+        games: parseInt(args.games) || 10,
+        boardSize: args.board ? parseInt(args.board) : undefined,
+        winLength: args.win ? parseInt(args.win) : undefined,
+        openingMoves: parseInt(args.openings) || 0,
+        swapColors: !args['no-swap'],
+        seed: args.seed !== undefined ? parseInt(args.seed) : undefined
+    });
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`${report.games} games on ${report.boardSize}x${report.boardSize} (${report.winLength} in a row), `
+            + `${report.openingMoves} random opening moves, average length ${report.averageLength} moves`);
+        console.log(formatLine('A', report.a));
+        console.log(formatLine('B', report.b));
+        console.log(`Draws: ${report.draws}`);
+    }
+
+    const unbeaten = typeof args.unbeaten === 'string' ? args.unbeaten.split(',') : [];
+    const beaten = unbeaten.filter(key => report[key] && report[key].losses > 0);
+    if (beaten.length > 0) {
+        console.error(`Expected unbeaten, but lost: ${beaten.map(key => report[key].engine).join(', ')}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        const messages = {
+            UNSUPPORTED_BOARD_SIZE: 'One of the engines cannot play this board size',
+            INVALID_RULES: 'Invalid board size / win length'
+        };
+        console.error(messages[error.message] || error);
+        process.exit(1);
+    });
@@ -0,0 +1,31 @@
+// jobs/annotations.js
+const cron = require("node-cron");
+const { annotatePendingGames } = require("../services/annotations");
+
+const ANNOTATION_CRON = "*/5 * * * * *"; // every 5 seconds
+
+let isRunning = false;
+
+const startAnnotationJob = () => {
+  cron.schedule(ANNOTATION_CRON, async () => {
+    // Skip the tick if the previous batch is still being solved
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      // Games are annotated after they finish, never inside the finishing transaction
+      const annotated = await annotatePendingGames();
+      if (annotated > 0) {
+        console.log(`🏷️ Annotated ${annotated} finished game(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Error annotating games:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log(`🏷️ Annotation job scheduled (Every 5 seconds)`);
+};
+
+module.exports = { startAnnotationJob };
@@ -1,12 +1,37 @@
 // jobs/cleanup.js
 const cron = require("node-cron");
 const { PrismaClient } = require("@prisma/client");
+const { publishRoomEvent } = require("../services/roomEvents");
+const { removeUser } = require("../services/accounts");
+const { publishSessionsRevoked } = require("../services/sessions");
 
 const prisma = new PrismaClient();
 
-// ตั้งค่าเวลาหมดอายุ
-const WAITING_ROOM_EXPIRY_MINUTES = 5;      // ห้อง waiting ที่ไม่มีคนเข้า
-const INACTIVE_GAME_EXPIRY_MINUTES = 10;     // เกมที่ไม่มีการเดินนาน
+// อ่านจำนวนเต็มบวกจาก env (ค่าไม่ถูกต้อง → ใช้ค่าเริ่มต้น)
+const readPositiveInt = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// ตั้งค่าเวลาหมดอายุแยกตามสถานะห้อง
+const RETENTION_MINUTES = {
+  waiting: readPositiveInt("ROOM_RETENTION_WAITING_MINUTES", 5),         // ห้อง waiting ที่ไม่มีคนเข้า → ลบ
+  "in-progress": readPositiveInt("ROOM_RETENTION_INACTIVE_MINUTES", 10), // เกมที่ไม่มีการเดินนาน → ลบ
+  finished: readPositiveInt("ROOM_RETENTION_FINISHED_MINUTES", 30),      // เกมที่จบแล้ว → archive
+};
+
+// บัญชี guest ที่ไม่ได้ upgrade และไม่ได้ใช้งานเกินกี่วัน → ลบ
+const GUEST_RETENTION_DAYS = readPositiveInt("GUEST_RETENTION_DAYS", 7);
+const GUEST_PURGE_BATCH = 100;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// แจ้ง subscriber (WebSocket / SSE) ว่าห้องถูกลบแล้ว
+const notifyDeleted = (roomIds, reason) => {
+  for (const roomId of roomIds) {
+    publishRoomEvent(roomId, "room-deleted", { room: null, reason });
+  }
+};
 
 const startCleanupJob = () => {
   // รันทุกๆ 1 นาที
@@ -15,9 +40,7 @@ const startCleanupJob = () => {
 
     try {
       // === 1. ลบห้อง waiting ที่เก่าเกินกำหนด (ไม่มีคนเข้า) ===
-      const waitingExpiry = new Date(
-        Date.now() - WAITING_ROOM_EXPIRY_MINUTES * 60 * 1000,
-      );
+      const waitingExpiry = minutesAgo(RETENTION_MINUTES.waiting);
 
       // ลบ moves, spectators ที่เกี่ยวข้องก่อน (cascade)
       const expiredWaitingRooms = await prisma.room.findMany({
@@ -34,19 +57,20 @@ const startCleanupJob = () => {
         await prisma.spectator.deleteMany({ where: { roomId: { in: roomIds } } });
         await prisma.move.deleteMany({ where: { roomId: { in: roomIds } } });
         await prisma.room.deleteMany({ where: { id: { in: roomIds } } });
+        notifyDeleted(roomIds, "expired");
 
         console.log(`✅ Cleaned up ${expiredWaitingRooms.length} expired waiting rooms: ${expiredWaitingRooms.map(r => r.code).join(', ')}`);
       }
 
       // === 2. ลบห้อง in-progress ที่ไม่มีการเดินนานเกินกำหนด ===
-      const inactiveExpiry = new Date(
-        Date.now() - INACTIVE_GAME_EXPIRY_MINUTES * 60 * 1000,
-      );
+      const inactiveExpiry = minutesAgo(RETENTION_MINUTES["in-progress"]);
 
       // หาห้อง in-progress ที่ updatedAt เก่า (ไม่มีการ move)
+      // ห้องที่มี time control ไม่ลบ → clock job ตัดสินแพ้เวลาให้แทน
       const inactiveRooms = await prisma.room.findMany({
         where: {
           status: "in-progress",
+          timeControl: null,
           updatedAt: { lt: inactiveExpiry },
         },
         select: { id: true, code: true },
@@ -59,16 +83,20 @@ const startCleanupJob = () => {
         await prisma.spectator.deleteMany({ where: { roomId: { in: roomIds } } });
         await prisma.move.deleteMany({ where: { roomId: { in: roomIds } } });
         await prisma.room.deleteMany({ where: { id: { in: roomIds } } });
+        notifyDeleted(roomIds, "inactive");
 
         console.log(`✅ Cleaned up ${inactiveRooms.length} inactive in-progress rooms: ${inactiveRooms.map(r => r.code).join(', ')}`);
       }
 
-      // === 3. ลบห้อง finished ที่จบไปนานแล้ว (เก็บแค่ 30 นาที) ===
-      const finishedExpiry = new Date(Date.now() - 30 * 60 * 1000);
+      // === 3. Archive ห้อง finished ที่จบไปนานแล้ว ===
+      // เก็บผลเกม, moves และ events ไว้ถาวร (replay / history / stats)
+      // ลบเฉพาะข้อมูลชั่วคราว: spectators และคำขอที่ค้างอยู่
+      const finishedExpiry = minutesAgo(RETENTION_MINUTES.finished);
 
       const oldFinishedRooms = await prisma.room.findMany({
         where: {
           status: "finished",
+          archivedAt: null,
           updatedAt: { lt: finishedExpiry },
         },
         select: { id: true, code: true },
@@ -77,11 +105,70 @@ const startCleanupJob = () => {
       if (oldFinishedRooms.length > 0) {
         const roomIds = oldFinishedRooms.map(r => r.id);
 
-        await prisma.spectator.deleteMany({ where: { roomId: { in: roomIds } } });
-        await prisma.move.deleteMany({ where: { roomId: { in: roomIds } } });
-        await prisma.room.deleteMany({ where: { id: { in: roomIds } } });
+        await prisma.$transaction([
+          prisma.spectator.deleteMany({ where: { roomId: { in: roomIds } } }),
+          prisma.room.updateMany({
+            where: { id: { in: roomIds } },
+            data: {
+              archivedAt: new Date(),
+              drawOfferedBy: null,
+              rematchRequestedBy: null,
+            },
+          }),
+        ]);
+
+        console.log(`📦 Archived ${oldFinishedRooms.length} finished rooms: ${oldFinishedRooms.map(r => r.code).join(', ')}`);
+      }
+
+      // === 4. ลบ session ที่หมดอายุ หรือถูก revoke มาเกิน 1 วัน (refresh tokens ถูกลบตาม cascade) ===
+      const staleSessions = await prisma.session.deleteMany({
+        where: {
+          OR: [
+            { expiresAt: { lt: new Date() } },
+            { revokedAt: { lt: minutesAgo(24 * 60) } },
+          ],
+        },
+      });
+
+      if (staleSessions.count > 0) {
+        console.log(`🔑 Deleted ${staleSessions.count} expired or revoked sessions`);
+      }
+
+      // === 5. ลบ guest ที่ไม่ได้ upgrade และไม่มี session ที่ใช้งานในช่วง GUEST_RETENTION_DAYS ===
+      // ข้าม guest ที่ยังมีเกม in-progress อยู่ (ลบได้หลังเกมจบหรือห้องหมดอายุ)
+      // guest ที่เคยเล่นกับผู้เล่นคนอื่นจะถูก anonymize แทน เพื่อให้ replay ของอีกฝ่ายยังครบ
+      const guestExpiry = minutesAgo(GUEST_RETENTION_DAYS * 24 * 60);
+
+      const staleGuests = await prisma.user.findMany({
+        where: {
+          isGuest: true,
+          createdAt: { lt: guestExpiry },
+          sessions: { none: { lastSeenAt: { gte: guestExpiry } } },
+          // Same rule as DELETE /api/auth/account: never remove a player mid-game
+          roomsAsPlayer1: { none: { status: "in-progress" } },
+          roomsAsPlayer2: { none: { status: "in-progress" } },
+        },
+        select: { id: true },
+        take: GUEST_PURGE_BATCH,
+      });
+
+      let purgedGuests = 0;
+      for (const guest of staleGuests) {
+        let removed;
+        try {
+          removed = await prisma.$transaction((tx) => removeUser(tx, guest.id));
+        } catch (error) {
+          // เพิ่งได้เข้าเกมหลัง query ด้านบน → ข้ามไปก่อน ลบรอบถัดไปหลังเกมจบ
+          if (error.message === "GAME_IN_PROGRESS") continue;
+          throw error;
+        }
+        notifyDeleted(removed.deletedRoomIds, "account-deleted");
+        publishSessionsRevoked(guest.id);
+        purgedGuests++;
+      }
 
-        console.log(`✅ Cleaned up ${oldFinishedRooms.length} old finished rooms.`);
+      if (purgedGuests > 0) {
+        console.log(`👻 Purged ${purgedGuests} inactive guest accounts`);
       }
 
     } catch (error) {
@@ -90,8 +177,11 @@ const startCleanupJob = () => {
   });
 
   console.log(`🕒 Room cleanup job scheduled (Every 1 minute)`);
-  console.log(`   - Waiting rooms expire after ${WAITING_ROOM_EXPIRY_MINUTES} min`);
-  console.log(`   - Inactive games expire after ${INACTIVE_GAME_EXPIRY_MINUTES} min`);
+  console.log(`   - Waiting rooms expire after ${RETENTION_MINUTES.waiting} min`);
+  console.log(`   - Inactive games expire after ${RETENTION_MINUTES["in-progress"]} min`);
+  console.log(`   - Finished games are archived after ${RETENTION_MINUTES.finished} min`);
+  console.log(`   - Expired sessions are deleted, revoked ones after 1 day`);
+  console.log(`   - Inactive guest accounts are purged after ${GUEST_RETENTION_DAYS} days`);
 };
 
 module.exports = { startCleanupJob };
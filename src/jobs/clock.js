@@ -0,0 +1,31 @@
+// jobs/clock.js
+const cron = require("node-cron");
+const { resolveExpiredClocks } = require("../services/timeouts");
+
+const CLOCK_CRON = "*/5 * * * * *"; // every 5 seconds
+
+let isRunning = false;
+
+const startClockJob = () => {
+  cron.schedule(CLOCK_CRON, async () => {
+    // Skip the tick if the previous run is still going
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      // Players who walk away never send another move, so flags are checked here too
+      const resolved = await resolveExpiredClocks();
+      if (resolved > 0) {
+        console.log(`⏱️ ${resolved} room(s) finished on time`);
+      }
+    } catch (error) {
+      console.error("❌ Error checking game clocks:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log(`🕒 Clock job scheduled (Every 5 seconds)`);
+};
+
+module.exports = { startClockJob };
@@ -0,0 +1,221 @@
+// jobs/leaderboard.js
+const cron = require("node-cron");
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+// Leaderboard windows
+const LEADERBOARD_PERIODS = ["all-time", "monthly", "weekly"];
+const REFRESH_CRON = "*/5 * * * *"; // every 5 minutes
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Start of the window for a leaderboard period (UTC)
+ * @param {string} period - all-time, monthly or weekly
+ * @param {Date} [now]
+ * @returns {Date|null} - null for all-time
+ */
+const getPeriodStart = (period, now = new Date()) => {
+  if (period === "monthly") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  if (period === "weekly") {
+    // Weeks start on Monday
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    return new Date(
+      Date.UTC(
+        now.getUTCFullYear(),
+        now.getUTCMonth(),
+        now.getUTCDate() - daysSinceMonday,
+      ),
+    );
+  }
+  return null;
+};
+
+/**
+ * Aggregate results for one window with a handful of groupBy queries
+ * @param {Date|null} since - Only count games finished after this date
+ * @returns {Promise<Map<string, object>>} - userId → stats
+ */
+const aggregateResults = async (since) => {
+  // finishedAt, not updatedAt: archiving, rematch requests and annotation
+  // touch finished games later and would move them into another period
+  const finishedAfter = since ? { finishedAt: { gte: since } } : {};
+  // Games against an invited bot account don't count as multiplayer games
+  const roomWhere = {
+    status: "finished",
+    ...finishedAfter,
+    NOT: [{ player1: { isBot: true } }, { player2: { isBot: true } }],
+  };
+
+  const [asPlayer1, asPlayer2, winners, drawsAsPlayer1, drawsAsPlayer2, botGroups] =
+    await Promise.all([
+      prisma.room.groupBy({
+        by: ["player1Id"],
+        where: { ...roomWhere, player1Id: { not: null } },
+        _count: true,
+      }),
+      prisma.room.groupBy({
+        by: ["player2Id"],
+        where: { ...roomWhere, player2Id: { not: null } },
+        _count: true,
+      }),
+      prisma.room.groupBy({
+        by: ["winnerId"],
+        where: { ...roomWhere, winnerId: { not: null } },
+        _count: true,
+      }),
+      prisma.room.groupBy({
+        by: ["player1Id"],
+        where: { ...roomWhere, isDraw: true, player1Id: { not: null } },
+        _count: true,
+      }),
+      prisma.room.groupBy({
+        by: ["player2Id"],
+        where: { ...roomWhere, isDraw: true, player2Id: { not: null } },
+        _count: true,
+      }),
+      prisma.botGame.groupBy({
+        by: ["userId", "winner"],
+        where: { status: "finished", ...finishedAfter },
+        _count: true,
+      }),
+    ]);
+
+  const stats = new Map();
+  const statsFor = (userId) => {
+    if (!stats.has(userId)) {
+      stats.set(userId, {
+        gamesPlayed: 0,
+        wins: 0,
+        draws: 0,
+        botGames: 0,
+        botWins: 0,
+      });
+    }
+    return stats.get(userId);
+  };
+
+  for (const group of asPlayer1) statsFor(group.player1Id).gamesPlayed += group._count;
+  for (const group of asPlayer2) statsFor(group.player2Id).gamesPlayed += group._count;
+  for (const group of winners) statsFor(group.winnerId).wins += group._count;
+  for (const group of drawsAsPlayer1) statsFor(group.player1Id).draws += group._count;
+  for (const group of drawsAsPlayer2) statsFor(group.player2Id).draws += group._count;
+
+  for (const group of botGroups) {
+    const entry = statsFor(group.userId);
+    entry.botGames += group._count;
+    if (group.winner === "player") entry.botWins += group._count;
+  }
+
+  return stats;
+};
+
+/**
+ * Assign 1-based ranks by sorting on a metric (ties broken by rating, then user ID)
+ * @param {object[]} entries
+ * @param {string} metric - Field to rank by
+ * @param {string} rankField - Field to store the rank in
+ */
+const assignRanks = (entries, metric, rankField) => {
+  const sorted = [...entries].sort(
+    (a, b) =>
+      b[metric] - a[metric] ||
+      b.rating - a.rating ||
+      a.userId.localeCompare(b.userId),
+  );
+  sorted.forEach((entry, index) => {
+    entry[rankField] = index + 1;
+  });
+};
+
+/**
+ * Recompute the materialized leaderboard for one period
+ * @param {string} period - all-time, monthly or weekly
+ * @returns {Promise<number>} - Number of ranked players
+ */
+const refreshLeaderboard = async (period) => {
+  const periodStart = getPeriodStart(period);
+  const stats = await aggregateResults(periodStart);
+
+  const users = await prisma.user.findMany({
+    // Bots, guests and deleted accounts are not ranked
+    where: {
+      id: { in: [...stats.keys()] },
+      isBot: false,
+      isGuest: false,
+      deletedAt: null,
+    },
+    select: { id: true, rating: true },
+  });
+
+  const refreshedAt = new Date();
+  const entries = users.map((user) => {
+    const entry = stats.get(user.id);
+    return {
+      period,
+      periodStart,
+      userId: user.id,
+      rating: user.rating,
+      gamesPlayed: entry.gamesPlayed,
+      wins: entry.wins,
+      draws: entry.draws,
+      losses: Math.max(entry.gamesPlayed - entry.wins - entry.draws, 0),
+      botGames: entry.botGames,
+      botWins: entry.botWins,
+      refreshedAt,
+    };
+  });
+
+  assignRanks(entries, "rating", "ratingRank");
+  assignRanks(entries, "wins", "winsRank");
+  assignRanks(entries, "botWins", "botWinsRank");
+
+  // Swap the whole period atomically so readers never see a half-written board
+  const writes = [prisma.leaderboardEntry.deleteMany({ where: { period } })];
+  for (let i = 0; i < entries.length; i += INSERT_CHUNK_SIZE) {
+    writes.push(
+      prisma.leaderboardEntry.createMany({
+        data: entries.slice(i, i + INSERT_CHUNK_SIZE),
+      }),
+    );
+  }
+  await prisma.$transaction(writes);
+
+  return entries.length;
+};
+
+/**
+ * Recompute every leaderboard period
+ */
+const refreshLeaderboards = async () => {
+  for (const period of LEADERBOARD_PERIODS) {
+    const count = await refreshLeaderboard(period);
+    console.log(`🏆 Leaderboard ${period} refreshed (${count} players)`);
+  }
+};
+
+const startLeaderboardJob = () => {
+  const run = async () => {
+    try {
+      await refreshLeaderboards();
+    } catch (error) {
+      console.error("❌ Error refreshing leaderboards:", error);
+    }
+  };
+
+  cron.schedule(REFRESH_CRON, run);
+
+  // Build once on boot so the endpoints aren't empty until the first tick
+  run();
+
+  console.log(`🕒 Leaderboard refresh job scheduled (Every 5 minutes)`);
+};
+
+module.exports = {
+  LEADERBOARD_PERIODS,
+  getPeriodStart,
+  refreshLeaderboards,
+  startLeaderboardJob,
+};
@@ -0,0 +1,52 @@
+// jobs/matchmaking.js
+const cron = require("node-cron");
+const { PrismaClient } = require("@prisma/client");
+const { runMatchmaking } = require("../services/matchmaking");
+
+const prisma = new PrismaClient();
+
+const MATCHMAKING_CRON = "*/5 * * * * *"; // every 5 seconds
+const QUEUED_ENTRY_EXPIRY_MINUTES = 30;   // abandoned queue entries
+const MATCHED_ENTRY_EXPIRY_MINUTES = 10;  // keep match result for the status endpoint
+
+let isRunning = false;
+
+const startMatchmakingJob = () => {
+  cron.schedule(MATCHMAKING_CRON, async () => {
+    // Skip the tick if the previous run is still going
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      // Widened rating gaps can pair players that didn't match when they queued
+      const created = await runMatchmaking();
+      if (created > 0) {
+        console.log(`🤝 Matchmaking created ${created} room(s)`);
+      }
+
+      const now = Date.now();
+      await prisma.matchmakingEntry.deleteMany({
+        where: {
+          OR: [
+            {
+              status: "queued",
+              createdAt: { lt: new Date(now - QUEUED_ENTRY_EXPIRY_MINUTES * 60 * 1000) },
+            },
+            {
+              status: "matched",
+              matchedAt: { lt: new Date(now - MATCHED_ENTRY_EXPIRY_MINUTES * 60 * 1000) },
+            },
+          ],
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error running matchmaking:", error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  console.log(`🕒 Matchmaking job scheduled (Every 5 seconds)`);
+};
+
+module.exports = { startMatchmakingJob };
@@ -1,11 +1,39 @@
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
+const { findActiveSession, touchSession } = require('../services/sessions');
 
-const prisma = new PrismaClient();
+/**
+ * Verify an access token and load its session and user
+ * Tokens issued before sessions existed carry no sessionId and are refused.
+ * @param {string} token - Raw JWT (without the "Bearer " prefix)
+ * @returns {Promise<object|null>} - { session, user }, or null if the session is revoked, expired or gone
+ * @throws {JsonWebTokenError|TokenExpiredError} - If the token is invalid
+ */
+async function getSessionFromToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sessionId) {
+        return null;
+    }
+
+    return findActiveSession(decoded.sessionId);
+}
+
+/**
+ * Verify an access token and load the user it belongs to
+ * Shared by the HTTP middleware and the WebSocket handshake
+ * @param {string} token - Raw JWT (without the "Bearer " prefix)
+ * @returns {Promise<object|null>} - User, or null if the session is no longer valid
+ * @throws {JsonWebTokenError|TokenExpiredError} - If the token is invalid
+ */
+async function getUserFromToken(token) {
+    const result = await getSessionFromToken(token);
+    return result && result.user;
+}
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies the access token, checks its session is still open and
+ * attaches the user (req.user) and session id (req.sessionId) to the request
  */
 const authenticate = async (req, res, next) => {
     try {
@@ -21,28 +49,23 @@ const authenticate = async (req, res, next) => {
 
         const token = authHeader.split(' ')[1];
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Get user from database
-        const user = await prisma.user.findUnique({
-            where: { id: decoded.userId },
-            select: {
-                id: true,
-                username: true,
-                createdAt: true
-            }
-        });
+        // Verify token and load its session and user from the database
+        const result = await getSessionFromToken(token);
 
-        if (!user) {
+        if (!result) {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid token. User not found.'
+                error: 'Session expired or revoked. Please log in again.'
             });
         }
 
-        // Attach user to request
-        req.user = user;
+        // Keep "last seen" roughly current without a write per request
+        touchSession(result.session)
+            .catch(err => console.error('Touch session error:', err));
+
+        // Attach user and session to request
+        req.user = result.user;
+        req.sessionId = result.session.id;
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -79,16 +102,7 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        const user = await prisma.user.findUnique({
-            where: { id: decoded.userId },
-            select: {
-                id: true,
-                username: true,
-                createdAt: true
-            }
-        });
+        const user = await getUserFromToken(token);
 
         req.user = user || null;
         next();
@@ -98,7 +112,35 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Admin-only routes (use after authenticate)
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.user || !req.user.isAdmin) {
+        return res.status(403).json({
+            success: false,
+            error: 'Admin access required.'
+        });
+    }
+    next();
+};
+
+/**
+ * Authentication for streaming endpoints (Server-Sent Events)
+ * EventSource cannot set headers, so ?token= is accepted as a fallback
+ */
+const authenticateStream = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    return authenticate(req, res, next);
+};
+
 module.exports = {
     authenticate,
-    optionalAuth
+    authenticateStream,
+    optionalAuth,
+    requireAdmin,
+    getSessionFromToken,
+    getUserFromToken
 };
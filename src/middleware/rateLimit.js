@@ -0,0 +1,53 @@
+const { getRules, consume } = require('../services/rateLimit');
+
+/**
+ * 429 response in the usual { success, error } shape
+ * @param {object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} [error] - Message
+ */
+function sendTooManyRequests(res, retryAfter, error = 'Too many requests. Please try again later.') {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error
+    });
+}
+
+/**
+ * Rate limit a route by its rule set (see DEFAULT_RULES in services/rateLimit)
+ * Per-user rules need req.user, so put this after authenticate on private routes.
+ * If the store fails the request is let through rather than blocking everyone.
+ * @param {string} route - Rule set name, e.g. 'login' or 'move'
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(route) {
+    const rules = getRules(route);
+
+    return async (req, res, next) => {
+        try {
+            const checks = [];
+            if (rules.ip && req.ip) {
+                checks.push(consume(`${route}:ip:${req.ip}`, rules.ip));
+            }
+            if (rules.user && req.user) {
+                checks.push(consume(`${route}:user:${req.user.id}`, rules.user));
+            }
+
+            const results = await Promise.all(checks);
+            const retryAfter = Math.max(0, ...results.map(result => result.retryAfter));
+
+            if (retryAfter > 0) {
+                return sendTooManyRequests(res, retryAfter);
+            }
+        } catch (error) {
+            console.error('Rate limit error:', error);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    rateLimit,
+    sendTooManyRequests
+};
@@ -0,0 +1,69 @@
+/**
+ * Server-Sent Events helpers
+ * Plain text/event-stream for spectators and embeds behind proxies
+ * that block WebSockets.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+/**
+ * Switch a response into event-stream mode
+ * @param {express.Response} res
+ * @param {object} [options] - { onHeartbeat: called on every heartbeat }
+ * @returns {function} - Cleanup function that stops the heartbeat
+ */
+function openEventStream(res, { onHeartbeat } = {}) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable nginx response buffering
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+        if (onHeartbeat) onHeartbeat();
+    }, HEARTBEAT_INTERVAL_MS);
+
+    return () => clearInterval(heartbeat);
+}
+
+/**
+ * Write one event to the stream
+ * @param {express.Response} res
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ * @param {number|string} [id] - Event ID (sent back as Last-Event-ID on reconnect)
+ */
+function writeEvent(res, event, data, id) {
+    let frame = '';
+    if (id !== undefined && id !== null) {
+        frame += `id: ${id}\n`;
+    }
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    res.write(frame);
+}
+
+/**
+ * Read the Last-Event-ID sent by a reconnecting client
+ * EventSource sends the header; ?lastEventId= is accepted for manual clients
+ * @param {express.Request} req
+ * @returns {number|null}
+ */
+function getLastEventId(req) {
+    const raw = req.headers['last-event-id'] ?? req.query.lastEventId;
+    const parsed = parseInt(raw, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : null;
+}
+
+module.exports = {
+    openEventStream,
+    writeEvent,
+    getLastEventId
+};
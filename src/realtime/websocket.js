@@ -0,0 +1,281 @@
+/**
+ * WebSocket push channel for room updates
+ * Clients connect to /ws?token=<jwt> (or send an Authorization header),
+ * then subscribe to rooms and receive every move, join, leave and forfeit.
+ *
+ * Client -> server:
+ *   { "type": "subscribe", "roomId": "<uuid>" }
+ *   { "type": "unsubscribe", "roomId": "<uuid>" }
+ *   { "type": "ping" }
+ *
+ * Server -> client:
+ *   { "type": "connected", "user": {...} }
+ *   { "type": "subscribed", "roomId": "...", "data": { "room": {...} } }
+ *   { "type": "room-event", "event": "move", "roomId": "...", "data": { "room": {...} }, "timestamp": "..." }
+ *   { "type": "user-event", "event": "match-found", "data": { "room": {...} }, "timestamp": "..." }
+ *   { "type": "error", "error": "..." }
+ *
+ * The socket is closed with code 4001 once its session is revoked (logout,
+ * password change, account deletion, ...).
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { PrismaClient } = require('@prisma/client');
+const { getSessionFromToken } = require('../middleware/auth');
+const { subscribeToRoom, subscribeToUser } = require('../services/roomEvents');
+const { SESSIONS_REVOKED_EVENT } = require('../services/sessions');
+const {
+    markConnected,
+    markDisconnected,
+    isSessionOpen,
+    createSessionHeartbeat
+} = require('../services/presence');
+const { serializeRoom } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const SESSION_REVOKED_CLOSE_CODE = 4001;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Send a JSON message if the socket is still open
+ * @param {WebSocket} ws
+ * @param {object} message
+ */
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Extract the JWT from the upgrade request
+ * Browsers cannot set headers on WebSocket connections, so ?token= is accepted too
+ * @param {http.IncomingMessage} req
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function getToken(req, url) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.split(' ')[1];
+    }
+    return url.searchParams.get('token');
+}
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ * @param {net.Socket} socket
+ * @param {number} status
+ * @param {string} message
+ */
+function rejectUpgrade(socket, status, message) {
+    socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Close a socket whose session can no longer be used
+ * @param {WebSocket} ws
+ */
+function closeRevoked(ws) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.close(SESSION_REVOKED_CLOSE_CODE, 'Session revoked');
+    }
+}
+
+/**
+ * Subscribe a socket to a room and send the current room state
+ * @param {WebSocket} ws
+ * @param {string} roomId
+ */
+async function handleSubscribe(ws, roomId) {
+    if (!UUID_PATTERN.test(roomId || '')) {
+        return send(ws, { type: 'error', error: 'Invalid room ID' });
+    }
+
+    const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        include: {
+            player1: { select: { id: true, username: true } },
+            player2: { select: { id: true, username: true } },
+            winner: { select: { id: true, username: true } }
+        }
+    });
+
+    // The close handler has already run if the socket closed during the query,
+    // so a listener added now would never be removed
+    if (ws.readyState !== WebSocket.OPEN) {
+        return;
+    }
+
+    if (!room) {
+        return send(ws, { type: 'error', roomId, error: 'Room not found' });
+    }
+
+    if (!ws.subscriptions.has(roomId)) {
+        const unsubscribe = subscribeToRoom(roomId, (roomEvent) => {
+            send(ws, { type: 'room-event', ...roomEvent });
+        });
+        ws.subscriptions.set(roomId, unsubscribe);
+    }
+
+    let userRole = 'spectator';
+    if (room.player1Id === ws.user.id) userRole = 'player1';
+    else if (room.player2Id === ws.user.id) userRole = 'player2';
+
+    send(ws, {
+        type: 'subscribed',
+        roomId,
+        data: { room: serializeRoom(room), userRole }
+    });
+}
+
+/**
+ * Remove a socket's subscription to a room
+ * @param {WebSocket} ws
+ * @param {string} roomId
+ */
+function handleUnsubscribe(ws, roomId) {
+    const unsubscribe = ws.subscriptions.get(roomId);
+    if (unsubscribe) {
+        unsubscribe();
+        ws.subscriptions.delete(roomId);
+    }
+    send(ws, { type: 'unsubscribed', roomId });
+}
+
+/**
+ * Handle an incoming client message
+ * @param {WebSocket} ws
+ * @param {Buffer} raw
+ */
+async function handleMessage(ws, raw) {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        return send(ws, { type: 'error', error: 'Invalid JSON message' });
+    }
+
+    try {
+        switch (message.type) {
+            case 'subscribe':
+                return await handleSubscribe(ws, message.roomId);
+            case 'unsubscribe':
+                return handleUnsubscribe(ws, message.roomId);
+            case 'ping':
+                return send(ws, { type: 'pong' });
+            default:
+                return send(ws, { type: 'error', error: 'Unknown message type' });
+        }
+    } catch (error) {
+        console.error('WebSocket message error:', error);
+        send(ws, { type: 'error', error: 'Failed to handle message' });
+    }
+}
+
+/**
+ * Attach the WebSocket server to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname !== WS_PATH) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        const token = getToken(req, url);
+        if (!token) {
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        let result;
+        try {
+            result = await getSessionFromToken(token);
+        } catch (error) {
+            result = null;
+        }
+
+        if (!result) {
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            ws.user = result.user;
+            ws.sessionId = result.session.id;
+            wss.emit('connection', ws, req);
+        });
+    });
+
+    wss.on('connection', (ws) => {
+        ws.isAlive = true;
+        ws.subscriptions = new Map();
+        ws.touchSession = createSessionHeartbeat(ws.sessionId);
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+
+        ws.on('message', (raw) => handleMessage(ws, raw));
+
+        // Every connection receives events addressed to its user
+        const unsubscribeUser = subscribeToUser(ws.user.id, (userEvent) => {
+            if (userEvent.event === SESSIONS_REVOKED_EVENT) {
+                // Another session of the user may have been revoked, so check this one
+                isSessionOpen(ws.sessionId)
+                    .then(open => { if (!open) closeRevoked(ws); })
+                    .catch(err => console.error('Session check error:', err));
+                return;
+            }
+            send(ws, { type: 'user-event', ...userEvent });
+        });
+
+        // Players who are gone everywhere can have a bot take over their seat
+        markConnected(ws.user.id);
+
+        ws.on('close', () => {
+            markDisconnected(ws.user.id);
+            unsubscribeUser();
+            for (const unsubscribe of ws.subscriptions.values()) {
+                unsubscribe();
+            }
+            ws.subscriptions.clear();
+        });
+
+        send(ws, { type: 'connected', user: ws.user });
+    });
+
+    // Drop connections that stopped answering pings (e.g. closed laptop lids)
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+
+            // An open socket counts as activity, even without REST requests;
+            // this also catches sessions revoked on another instance
+            ws.touchSession()
+                .then(open => { if (!open) closeRevoked(ws); })
+                .catch(err => console.error('Touch session error:', err));
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    console.log(`🔌 WebSocket server listening on ${WS_PATH}`);
+
+    return wss;
+}
+
+module.exports = { attachWebSocketServer };
@@ -0,0 +1,119 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MIN_WIN_LENGTH,
+    getBoardSize,
+    resolveRules,
+    validateRules,
+    validateBoard
+} = require('../services/gameLogic');
+const {
+    MAX_ANALYSIS_EMPTY_CELLS,
+    getSideToMove,
+    analyzePosition
+} = require('../services/analysis');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/analysis
+ * @desc    Solve a position: result and distance for every legal square
+ *          plus the overall evaluation (boardSize defaults to the board's size)
+ * @access  Private
+ */
+router.post(
+    '/',
+    authenticate,
+    rateLimit('analysis'),
+    [
+        body('board')
+            .isString()
+            .withMessage('Board must be a string'),
+        body('boardSize')
+            .optional()
+            .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+            .withMessage(`Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`)
+            .toInt(),
+        body('winLength')
+            .optional()
+            .isInt({ min: MIN_WIN_LENGTH })
+            .withMessage(`Win length must be at least ${MIN_WIN_LENGTH}`)
+            .toInt(),
+        body('turn')
+            .optional()
+            .isIn(['X', 'O'])
+            .withMessage('Turn must be X or O')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const { board, turn } = req.body;
+            const { boardSize, winLength } = resolveRules({
+                boardSize: req.body.boardSize ?? getBoardSize(board),
+                winLength: req.body.winLength
+            });
+
+            const rulesCheck = validateRules(boardSize, winLength);
+            if (!rulesCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: [rulesCheck.error]
+                });
+            }
+
+            const boardCheck = validateBoard(board, boardSize);
+            if (!boardCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: boardCheck.error
+                });
+            }
+
+            // X always moves first, so the mark counts fix whose turn it is
+            if (turn && turn !== getSideToMove(board)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `It is ${getSideToMove(board)}'s turn on this board`
+                });
+            }
+
+            const analysis = analyzePosition(board, winLength);
+
+            res.json({
+                success: true,
+                data: {
+                    board,
+                    boardSize,
+                    winLength,
+                    ...analysis
+                }
+            });
+        } catch (error) {
+            if (error.message === 'POSITION_TOO_COMPLEX') {
+                return res.status(422).json({
+                    success: false,
+                    error: `Position is too complex to solve (at most ${MAX_ANALYSIS_EMPTY_CELLS} empty squares, and fewer on big boards)`
+                });
+            }
+
+            console.error('Analyze position error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to analyze position'
+            });
+        }
+    }
+);
+
+module.exports = router;
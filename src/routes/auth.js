@@ -1,13 +1,59 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
 const { PrismaClient } = require("@prisma/client");
 const { authenticate } = require("../middleware/auth");
+const { rateLimit, sendTooManyRequests } = require("../middleware/rateLimit");
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getDeviceInfo,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  revokeUserSession,
+  publishSessionsRevoked,
+  listActiveSessions,
+} = require("../services/sessions");
+const {
+  isReservedUsername,
+  getNextUsernameChange,
+  createGuestUser,
+  removeUser,
+} = require("../services/accounts");
+const { publishRoomEvent } = require("../services/roomEvents");
+const {
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../services/rateLimit");
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Rules for a username chosen by the user (register, guest upgrade)
+const usernameRules = () =>
+  body("username")
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage("Username must be between 3-20 characters")
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage("Username can only contain letters, numbers, and underscores")
+    .custom((value) => !isReservedUsername(value.toLowerCase()))
+    .withMessage("This username prefix is reserved");
+
+const passwordRules = (field = "password") =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters");
+
+const sendLoginLocked = (res, seconds) =>
+  sendTooManyRequests(
+    res,
+    seconds,
+    `Too many failed login attempts. Try again in ${seconds} seconds.`,
+  );
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -15,19 +61,8 @@ const prisma = new PrismaClient();
  */
 router.post(
   "/register",
-  [
-    body("username")
-      .trim()
-      .isLength({ min: 3, max: 20 })
-      .withMessage("Username must be between 3-20 characters")
-      .matches(/^[a-zA-Z0-9_]+$/)
-      .withMessage(
-        "Username can only contain letters, numbers, and underscores",
-      ),
-    body("password")
-      .isLength({ min: 6 })
-      .withMessage("Password must be at least 6 characters"),
-  ],
+  rateLimit("register"),
+  [usernameRules(), passwordRules()],
   async (req, res) => {
     try {
       // Validate input
@@ -66,20 +101,24 @@ router.post(
         select: {
           id: true,
           username: true,
+          rating: true,
           createdAt: true,
         },
       });
 
-      // Generate JWT
-      const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      });
+      // Start a session (access token + refresh token)
+      const { token, refreshToken } = await createSession(
+        user.id,
+        getDeviceInfo(req),
+      );
 
       res.status(201).json({
         success: true,
         data: {
           user,
           token,
+          refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
         },
       });
     } catch (error) {
@@ -99,6 +138,7 @@ router.post(
  */
 router.post(
   "/login",
+  rateLimit("login"),
   [
     body("username").trim().notEmpty().withMessage("Username is required"),
     body("password").notEmpty().withMessage("Password is required"),
@@ -116,32 +156,45 @@ router.post(
 
       const { username, password } = req.body;
 
+      // Locked after repeated failures (checked before the password, so guessing stops)
+      const lockedFor = await getLoginLockout(username);
+      if (lockedFor > 0) {
+        return sendLoginLocked(res, lockedFor);
+      }
+
       // Find user
       const user = await prisma.user.findUnique({
         where: { username: username.toLowerCase() },
       });
 
-      if (!user) {
-        return res.status(401).json({
-          success: false,
-          error: "Invalid credentials",
-        });
-      }
-
-      // Check password
-      const isMatch = await bcrypt.compare(password, user.password);
+      // Bot, guest and deleted accounts have no password
+      const isMatch =
+        user &&
+        !user.isBot &&
+        !user.isGuest &&
+        !user.deletedAt &&
+        (await bcrypt.compare(password, user.password));
 
       if (!isMatch) {
+        // Unknown usernames count too, so lockouts don't reveal which accounts exist
+        const lockSeconds = await recordLoginFailure(username);
+        if (lockSeconds > 0) {
+          return sendLoginLocked(res, lockSeconds);
+        }
+
         return res.status(401).json({
           success: false,
           error: "Invalid credentials",
         });
       }
 
-      // Generate JWT
-      const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-      });
+      await clearLoginFailures(username);
+
+      // Start a session (access token + refresh token)
+      const { token, refreshToken } = await createSession(
+        user.id,
+        getDeviceInfo(req),
+      );
 
       res.json({
         success: true,
@@ -149,9 +202,12 @@ router.post(
           user: {
             id: user.id,
             username: user.username,
+            rating: user.rating,
             createdAt: user.createdAt,
           },
           token,
+          refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
         },
       });
     } catch (error) {
@@ -164,17 +220,581 @@ router.post(
   },
 );
 
+/**
+ * @route   POST /api/auth/guest
+ * @desc    Play without registering: create a guest user with a generated
+ *          name and start a session for it. Guests can upgrade later.
+ * @access  Public
+ */
+router.post("/guest", rateLimit("guest"), async (req, res) => {
+  try {
+    const user = await createGuestUser(prisma);
+
+    const { token, refreshToken } = await createSession(
+      user.id,
+      getDeviceInfo(req),
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user,
+        token,
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      },
+    });
+  } catch (error) {
+    console.error("Guest error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error while creating guest",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/upgrade
+ * @desc    Turn the current guest into a full account (username + password).
+ *          Same user, so games, rating and sessions carry over.
+ * @access  Private (guests only)
+ */
+router.post(
+  "/upgrade",
+  authenticate,
+  [usernameRules(), passwordRules()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
+
+      if (!req.user.isGuest) {
+        return res.status(400).json({
+          success: false,
+          error: "Only guest accounts can be upgraded",
+        });
+      }
+
+      const username = req.body.username.toLowerCase();
+
+      const existingUser = await prisma.user.findUnique({
+        where: { username },
+      });
+
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          error: "Username already exists",
+        });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+      // Conditional so two upgrade requests can't both apply
+      const upgraded = await prisma.user.updateMany({
+        where: { id: req.user.id, isGuest: true },
+        data: { username, password: hashedPassword, isGuest: false },
+      });
+
+      if (upgraded.count === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Only guest accounts can be upgraded",
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: {
+          id: true,
+          username: true,
+          rating: true,
+          isGuest: true,
+          createdAt: true,
+        },
+      });
+
+      res.json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      // Unique constraint: someone registered the name meanwhile
+      if (error.code === "P2002") {
+        return res.status(400).json({
+          success: false,
+          error: "Username already exists",
+        });
+      }
+
+      console.error("Upgrade error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Server error during upgrade",
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; reusing one revokes the session.
+ * @access  Public (refresh token in the body)
+ */
+router.post(
+  "/refresh",
+  rateLimit("refresh"),
+  [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
+
+      const { token, refreshToken } = await refreshSession(
+        req.body.refreshToken,
+      );
+
+      res.json({
+        success: true,
+        data: {
+          token,
+          refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+        },
+      });
+    } catch (error) {
+      const errorMessages = {
+        INVALID_REFRESH_TOKEN: "Invalid refresh token",
+        SESSION_REVOKED: "Session has been revoked. Please log in again.",
+        SESSION_EXPIRED: "Session expired. Please log in again.",
+        REFRESH_TOKEN_REUSED:
+          "Refresh token was already used. The session has been revoked; please log in again.",
+      };
+
+      if (errorMessages[error.message]) {
+        return res.status(401).json({
+          success: false,
+          error: errorMessages[error.message],
+        });
+      }
+
+      console.error("Refresh token error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Server error during token refresh",
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out this session (its access and refresh tokens stop working)
+ * @access  Private
+ */
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    await revokeSession(prisma, req.sessionId, "logout");
+    publishSessionsRevoked(req.user.id);
+
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error during logout",
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out every session of the current user, including this one
+ * @access  Private
+ */
+router.post("/logout-all", authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(prisma, req.user.id, "logout-all");
+    publishSessionsRevoked(req.user.id);
+
+    res.json({
+      success: true,
+      message: "Logged out of all sessions",
+      data: { sessionsRevoked: revoked },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error during logout",
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's open sessions (devices), most recent first
+ * @access  Private
+ */
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions (e.g. a lost device)
+ * @access  Private
+ */
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  [param("sessionId").isUUID().withMessage("Invalid session ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid session ID",
+        });
+      }
+
+      const revoked = await revokeUserSession(
+        req.user.id,
+        req.params.sessionId,
+      );
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: "Session not found",
+        });
+      }
+
+      publishSessionsRevoked(req.user.id);
+
+      res.json({
+        success: true,
+        message: "Session revoked",
+        data: { current: req.params.sessionId === req.sessionId },
+      });
+    } catch (error) {
+      console.error("Revoke session error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Server error",
+      });
+    }
+  },
+);
+
+/**
+ * @route   PUT /api/auth/password
+ * @desc    Change password (needs the current one). Every other session is
+ *          logged out; this one stays open.
+ * @access  Private
+ */
+router.put(
+  "/password",
+  authenticate,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    passwordRules("newPassword"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
+
+      // Guests have no password and a generated name; they upgrade instead
+      if (req.user.isGuest) {
+        return res.status(400).json({
+          success: false,
+          error: "Guest accounts must be upgraded first",
+        });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { password: true },
+      });
+
+      const isMatch = await bcrypt.compare(
+        req.body.currentPassword,
+        user.password,
+      );
+
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: "Current password is incorrect",
+        });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(req.body.newPassword, salt);
+
+      const revoked = await prisma.$transaction(async (tx) => {
+        await tx.user.update({
+          where: { id: req.user.id },
+          data: { password: hashedPassword },
+        });
+        return revokeUserSessions(tx, req.user.id, "password-change", {
+          exceptSessionId: req.sessionId,
+        });
+      });
+      publishSessionsRevoked(req.user.id);
+
+      res.json({
+        success: true,
+        message: "Password changed",
+        data: { sessionsRevoked: revoked },
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Server error",
+      });
+    }
+  },
+);
+
+/**
+ * @route   PUT /api/auth/username
+ * @desc    Change username (unique, once per USERNAME_CHANGE_COOLDOWN_DAYS)
+ * @access  Private
+ */
+router.put("/username", authenticate, [usernameRules()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array().map((e) => e.msg),
+      });
+    }
+
+    // Guests have no password and a generated name; they upgrade instead
+    if (req.user.isGuest) {
+      return res.status(400).json({
+        success: false,
+        error: "Guest accounts must be upgraded first",
+      });
+    }
+
+    const username = req.body.username.toLowerCase();
+
+    if (username === req.user.username) {
+      return res.status(400).json({
+        success: false,
+        error: "This is already your username",
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { usernameChangedAt: true },
+    });
+
+    const now = new Date();
+    const nextChange = getNextUsernameChange(user, now);
+
+    if (nextChange) {
+      return sendTooManyRequests(
+        res,
+        Math.ceil((nextChange - now) / 1000),
+        `Username can be changed again after ${nextChange.toISOString()}`,
+      );
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { username },
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: "Username already exists",
+      });
+    }
+
+    // Conditional on the last change so parallel requests can't both rename
+    const changed = await prisma.user.updateMany({
+      where: { id: req.user.id, usernameChangedAt: user.usernameChangedAt },
+      data: { username, usernameChangedAt: now },
+    });
+
+    if (changed.count === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Username was changed by another request",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Username changed",
+      data: { user: { id: req.user.id, username } },
+    });
+  } catch (error) {
+    // Unique constraint: someone took the name meanwhile
+    if (error.code === "P2002") {
+      return res.status(400).json({
+        success: false,
+        error: "Username already exists",
+      });
+    }
+
+    console.error("Change username error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Delete the current account. Rooms nobody joined are deleted;
+ *          past games keep an anonymous "deleted_..." player so replays work.
+ * @access  Private (password required, except for guests)
+ */
+router.delete("/account", authenticate, async (req, res) => {
+  try {
+    if (!req.user.isGuest) {
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { password: true },
+      });
+
+      const isMatch =
+        typeof req.body.password === "string" &&
+        (await bcrypt.compare(req.body.password, user.password));
+
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          error: "Password is incorrect",
+        });
+      }
+    }
+
+    // removeUser refuses while a game is in progress, checked inside the
+    // transaction so a join or pairing can't slip in between
+    const { result, deletedRoomIds } = await prisma.$transaction((tx) =>
+      removeUser(tx, req.user.id),
+    );
+    // Its sessions are gone, so the user's open streams close
+    publishSessionsRevoked(req.user.id);
+
+    for (const roomId of deletedRoomIds) {
+      publishRoomEvent(roomId, "room-deleted", {
+        room: null,
+        reason: "account-deleted",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Account deleted",
+      data: { result },
+    });
+  } catch (error) {
+    if (error.message === "GAME_IN_PROGRESS") {
+      return res.status(409).json({
+        success: false,
+        error: "Finish or resign your games in progress first",
+      });
+    }
+
+    console.error("Delete account error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+});
+
 /**
  * @route   GET /api/auth/me
- * @desc    Get current user
+ * @desc    Get current user (with rating and recent rating history)
  * @access  Private
  */
 router.get("/me", authenticate, async (req, res) => {
   try {
+    const [user, ratingHistory] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { rating: true },
+      }),
+      prisma.ratingChange.findMany({
+        where: { userId: req.user.id },
+        orderBy: { createdAt: "desc" },
+        take: 10,
+        select: {
+          roomId: true,
+          ratingBefore: true,
+          ratingAfter: true,
+          change: true,
+          createdAt: true,
+        },
+      }),
+    ]);
+
     res.json({
       success: true,
       data: {
-        user: req.user,
+        user: {
+          ...req.user,
+          rating: user.rating,
+        },
+        ratingHistory,
       },
     });
   } catch (error) {
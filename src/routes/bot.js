@@ -1,24 +1,262 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate } = require('../middleware/auth');
-const { isValidMove, makeMove, countMoves } = require('../services/gameLogic');
-const { findBestMove, checkGameOver } = require('../services/bot');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MIN_WIN_LENGTH,
+    resolveRules,
+    validateRules,
+    createEmptyBoard,
+    isValidMove,
+    makeMove,
+    countMoves,
+    validateBoard
+} = require('../services/gameLogic');
+const {
+    DIFFICULTY_LEVELS,
+    DEFAULT_DIFFICULTY,
+    checkGameOver
+} = require('../services/bot');
+const {
+    DEFAULT_ENGINE,
+    getEngine,
+    getEngineNames,
+    listEngines,
+    supportsBoardSize,
+    chooseMove,
+    learnFromFinishedGame
+} = require('../services/engines');
+const {
+    MENACE_BOARD_SIZE,
+    findBox,
+    getBeadsForBoard,
+    getMenaceProgress,
+    resetMenace
+} = require('../services/menace');
+const { canonicalize } = require('../services/symmetry');
+const { getCacheStats } = require('../services/transpositionTable');
+const { getHint } = require('../services/hints');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * @route   GET /api/bot/engines
+ * @desc    List the bot engines that can be chosen in POST /api/bot/create
+ * @access  Private
+ */
+router.get('/engines', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            engines: listEngines(),
+            defaultEngine: DEFAULT_ENGINE,
+            difficultyLevels: DIFFICULTY_LEVELS
+        }
+    });
+});
+
+/**
+ * @route   GET /api/bot/menace/progress
+ * @desc    MENACE learning curve: results in blocks of games (?bucketSize=, default 10)
+ * @access  Private
+ */
+router.get(
+    '/menace/progress',
+    authenticate,
+    [
+        query('bucketSize')
+            .optional()
+            .isInt({ min: 1, max: 1000 })
+            .withMessage('Bucket size must be between 1 and 1000')
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const bucketSize = req.query.bucketSize || 10;
+            const progress = await getMenaceProgress(bucketSize);
+
+            res.json({
+                success: true,
+                data: { bucketSize, ...progress }
+            });
+        } catch (error) {
+            console.error('Get MENACE progress error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get MENACE progress'
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/bot/menace/weights
+ * @desc    MENACE beads for a 3x3 position (?board=X---O----), in the board's own orientation
+ * @access  Private
+ */
+router.get(
+    '/menace/weights',
+    authenticate,
+    [
+        query('board')
+            .isString()
+            .withMessage('Board is required')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const { board } = req.query;
+            const boardCheck = validateBoard(board, MENACE_BOARD_SIZE);
+            if (!boardCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: boardCheck.error
+                });
+            }
+
+            const box = await findBox(board);
+            const beads = getBeadsForBoard(board, box);
+            const total = beads.reduce((sum, count) => sum + count, 0);
+
+            res.json({
+                success: true,
+                data: {
+                    board,
+                    canonicalBoard: canonicalize(board).board,
+                    learned: Boolean(box),
+                    beads,
+                    probabilities: beads.map(count => (total > 0 ? count / total : 0)),
+                    updatedAt: box ? box.updatedAt : null
+                }
+            });
+        } catch (error) {
+            console.error('Get MENACE weights error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get MENACE weights'
+            });
+        }
+    }
+);
+
+/**
+ * @route   POST /api/bot/menace/reset
+ * @desc    Forget everything MENACE has learned (admin only)
+ * @access  Private (admin)
+ */
+router.post('/menace/reset', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const deleted = await resetMenace();
+
+        res.json({
+            success: true,
+            data: deleted
+        });
+    } catch (error) {
+        console.error('Reset MENACE error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset MENACE'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/bot/cache/stats
+ * @desc    Hit / miss / eviction counters of the bot's shared transposition table
+ * @access  Private (admin)
+ */
+router.get('/cache/stats', authenticate, requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: getCacheStats()
+    });
+});
+
 /**
  * @route   POST /api/bot/create
- * @desc    Create a new bot game
+ * @desc    Create a new bot game (optional boardSize / winLength / engine / difficulty)
  * @access  Private
  */
-router.post('/create', authenticate, async (req, res) => {
+router.post('/create', authenticate, [
+    body('boardSize')
+        .optional()
+        .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+        .withMessage(`Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`)
+        .toInt(),
+    body('winLength')
+        .optional()
+        .isInt({ min: MIN_WIN_LENGTH })
+        .withMessage(`Win length must be at least ${MIN_WIN_LENGTH}`)
+        .toInt(),
+    body('engine')
+        .optional()
+        .custom(value => Boolean(getEngine(value)))
+        .withMessage(() => `Engine must be one of: ${getEngineNames().join(', ')}`),
+    body('difficulty')
+        .optional()
+        .isIn(DIFFICULTY_LEVELS)
+        .withMessage(`Difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`)
+], async (req, res) => {
     try {
-        const { goFirst } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array().map(e => e.msg)
+            });
+        }
+
+        const { goFirst, engine = DEFAULT_ENGINE } = req.body;
+
+        // Only engines with levels store a difficulty
+        const engineInfo = getEngine(engine);
+        const { supportsDifficulty } = engineInfo;
+        if (!supportsDifficulty && req.body.difficulty !== undefined) {
+            return res.status(400).json({
+                success: false,
+                errors: [`The ${engine} engine has no difficulty levels`]
+            });
+        }
+        const difficulty = supportsDifficulty ? req.body.difficulty ?? DEFAULT_DIFFICULTY : null;
+
+        const { boardSize, winLength } = resolveRules(req.body);
+        const rulesCheck = validateRules(boardSize, winLength);
+        if (!rulesCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: [rulesCheck.error]
+            });
+        }
+
+        if (!supportsBoardSize(engineInfo, boardSize)) {
+            const sizes = engineInfo.boardSizes.map(size => `${size}x${size}`).join(', ');
+            return res.status(400).json({
+                success: false,
+                errors: [`The ${engine} engine only plays ${sizes} boards`]
+            });
+        }
 
         // Player goes first by default
-        let board = '---------';
+        let board = createEmptyBoard(boardSize);
         let currentTurn = 'player';
         const playerSymbol = goFirst === false ? 'O' : 'X';
         const botSymbol = playerSymbol === 'X' ? 'O' : 'X';
@@ -28,7 +266,7 @@ router.post('/create', authenticate, async (req, res) => {
 
         // If bot goes first, make bot's move
         if (goFirst === false) {
-            const botMove = findBestMove(board, botSymbol, playerSymbol);
+            const botMove = await chooseMove(engine, board, { botSymbol, playerSymbol, winLength, difficulty });
             board = makeMove(board, botMove, botSymbol);
             currentTurn = 'player';
 
@@ -48,6 +286,10 @@ router.post('/create', authenticate, async (req, res) => {
             data: {
                 userId: req.user.id,
                 board: board,
+                boardSize: boardSize,
+                winLength: winLength,
+                engine: engine,
+                difficulty: difficulty,
                 playerSymbol: playerSymbol,
                 currentTurn: currentTurn,
                 ...(initialMoves && { moves: initialMoves })
@@ -65,6 +307,10 @@ router.post('/create', authenticate, async (req, res) => {
                 game: {
                     id: game.id,
                     board: game.board,
+                    boardSize: game.boardSize,
+                    winLength: game.winLength,
+                    engine: game.engine,
+                    difficulty: game.difficulty,
                     playerSymbol: game.playerSymbol,
                     botSymbol: botSymbol,
                     currentTurn: game.currentTurn,
@@ -93,9 +339,11 @@ router.post(
     authenticate,
     [
         param('gameId').isUUID().withMessage('Invalid game ID'),
+        // Upper bound depends on the game's board size, checked by isValidMove
         body('position')
-            .isInt({ min: 0, max: 8 })
-            .withMessage('Position must be between 0 and 8'),
+            .isInt({ min: 0 })
+            .withMessage('Position must be a non-negative integer')
+            .toInt(),
         body('version')
             .optional()
             .isInt({ min: 0 })
@@ -115,45 +363,88 @@ router.post(
             const { position } = req.body;
             const clientVersion = req.body.version;
 
-            // Use transaction for race condition prevention
-            const result = await prisma.$transaction(async (tx) => {
-                const game = await tx.botGame.findUnique({
-                    where: { id: gameId },
-                    include: { moves: true }
-                });
+            const game = await prisma.botGame.findUnique({
+                where: { id: gameId },
+                include: { _count: { select: { moves: true } } }
+            });
 
-                if (!game) {
-                    throw new Error('GAME_NOT_FOUND');
-                }
+            if (!game) {
+                throw new Error('GAME_NOT_FOUND');
+            }
 
-                if (game.userId !== req.user.id) {
-                    throw new Error('NOT_YOUR_GAME');
-                }
+            if (game.userId !== req.user.id) {
+                throw new Error('NOT_YOUR_GAME');
+            }
 
-                if (game.status === 'finished') {
-                    throw new Error('GAME_FINISHED');
-                }
+            if (game.status === 'finished') {
+                throw new Error('GAME_FINISHED');
+            }
 
-                if (game.currentTurn !== 'player') {
-                    throw new Error('NOT_YOUR_TURN');
-                }
+            if (game.currentTurn !== 'player') {
+                throw new Error('NOT_YOUR_TURN');
+            }
 
-                // Check version for optimistic locking
-                if (clientVersion !== undefined && game.version !== clientVersion) {
-                    throw new Error('VERSION_CONFLICT');
-                }
+            // Check version for optimistic locking
+            if (clientVersion !== undefined && game.version !== clientVersion) {
+                throw new Error('VERSION_CONFLICT');
+            }
 
-                // Validate player's move
-                if (!isValidMove(game.board, position)) {
-                    throw new Error('INVALID_MOVE');
-                }
+            // Validate player's move
+            if (!isValidMove(game.board, position)) {
+                throw new Error('INVALID_MOVE');
+            }
+
+            const playerSymbol = game.playerSymbol;
+            const botSymbol = playerSymbol === 'X' ? 'O' : 'X';
+            const currentMoveOrder = game._count.moves;
+
+            // Make player's move
+            let newBoard = makeMove(game.board, position, playerSymbol);
+
+            // Check if game is over after player's move
+            let gameOver = checkGameOver(newBoard, game.winLength);
+            let botMove = null;
+
+            if (!gameOver.isOver) {
+                // Search outside the transaction (MCTS and deep searches can outlast its
+                // timeout); the version check below catches any change meanwhile
+                botMove = await chooseMove(game.engine, newBoard, {
+                    botSymbol,
+                    playerSymbol,
+                    winLength: game.winLength,
+                    difficulty: game.difficulty
+                });
+                newBoard = makeMove(newBoard, botMove, botSymbol);
 
-                const playerSymbol = game.playerSymbol;
-                const botSymbol = playerSymbol === 'X' ? 'O' : 'X';
-                const currentMoveOrder = game.moves.length;
+                // Check if game is over after bot's move
+                gameOver = checkGameOver(newBoard, game.winLength);
+            }
+
+            // Determine winner
+            let winner = null;
+            if (gameOver.winner === playerSymbol) {
+                winner = 'player';
+            } else if (gameOver.winner === botSymbol) {
+                winner = 'bot';
+            }
+
+            const result = await prisma.$transaction(async (tx) => {
+                // Conditional on version so a move sent twice (or from two tabs) commits once
+                const claimed = await tx.botGame.updateMany({
+                    where: { id: gameId, status: 'in-progress', version: game.version },
+                    data: {
+                        board: newBoard,
+                        currentTurn: gameOver.isOver ? null : 'player',
+                        status: gameOver.isOver ? 'finished' : 'in-progress',
+                        winner: winner,
+                        ...(gameOver.isOver && { finishedAt: new Date() }),
+                        version: game.version + 1
+                    }
+                });
 
-                // Make player's move
-                let newBoard = makeMove(game.board, position, playerSymbol);
+                if (claimed.count === 0) {
+                    throw new Error('VERSION_CONFLICT');
+                }
 
                 // Record player's move
                 await tx.botMove.create({
@@ -166,16 +457,8 @@ router.post(
                     }
                 });
 
-                // Check if game is over after player's move
-                let gameOver = checkGameOver(newBoard);
-                let botMove = null;
-
-                if (!gameOver.isOver) {
-                    // Bot's turn
-                    botMove = findBestMove(newBoard, botSymbol, playerSymbol);
-                    newBoard = makeMove(newBoard, botMove, botSymbol);
-
-                    // Record bot's move
+                // Record bot's move
+                if (botMove !== null) {
                     await tx.botMove.create({
                         data: {
                             gameId: gameId,
@@ -185,29 +468,10 @@ router.post(
                             moveOrder: currentMoveOrder + 2
                         }
                     });
-
-                    // Check if game is over after bot's move
-                    gameOver = checkGameOver(newBoard);
-                }
-
-                // Determine winner
-                let winner = null;
-                if (gameOver.winner === playerSymbol) {
-                    winner = 'player';
-                } else if (gameOver.winner === botSymbol) {
-                    winner = 'bot';
                 }
 
-                // Update game state
-                const updatedGame = await tx.botGame.update({
+                const updatedGame = await tx.botGame.findUnique({
                     where: { id: gameId },
-                    data: {
-                        board: newBoard,
-                        currentTurn: gameOver.isOver ? null : 'player',
-                        status: gameOver.isOver ? 'finished' : 'in-progress',
-                        winner: winner,
-                        version: game.version + 1
-                    },
                     include: {
                         moves: {
                             orderBy: { moveOrder: 'asc' }
@@ -215,6 +479,11 @@ router.post(
                     }
                 });
 
+                // Learning engines (MENACE) update their weights with the result
+                if (gameOver.isOver) {
+                    await learnFromFinishedGame(tx, updatedGame);
+                }
+
                 return {
                     game: updatedGame,
                     botMove,
@@ -229,11 +498,16 @@ router.post(
                     game: {
                         id: result.game.id,
                         board: result.game.board,
+                        boardSize: result.game.boardSize,
+                        winLength: result.game.winLength,
+                        engine: result.game.engine,
+                        difficulty: result.game.difficulty,
                         playerSymbol: result.playerSymbol,
                         botSymbol: result.botSymbol,
                         currentTurn: result.game.currentTurn,
                         status: result.game.status,
                         winner: result.game.winner,
+                        accuracy: { player: result.game.playerAccuracy, bot: result.game.botAccuracy },
                         version: result.game.version,
                         moves: result.game.moves
                     },
@@ -249,7 +523,7 @@ router.post(
                 'GAME_FINISHED': { status: 400, message: 'Game is already finished' },
                 'NOT_YOUR_TURN': { status: 400, message: 'It is not your turn' },
                 'VERSION_CONFLICT': { status: 409, message: 'Game state changed. Please refresh.' },
-                'INVALID_MOVE': { status: 400, message: 'Invalid move. Position already taken.' }
+                'INVALID_MOVE': { status: 400, message: 'Invalid move. Position already taken or out of bounds.' }
             };
 
             const errorInfo = errorMessages[error.message];
@@ -268,6 +542,96 @@ router.post(
     }
 );
 
+/**
+ * @route   POST /api/bot/:gameId/hint
+ * @desc    Suggest a move for the player (counted in hintsUsed)
+ * @access  Private
+ */
+router.post(
+    '/:gameId/hint',
+    authenticate,
+    [param('gameId').isUUID().withMessage('Invalid game ID')],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid game ID'
+                });
+            }
+
+            const { gameId } = req.params;
+
+            const result = await prisma.$transaction(async (tx) => {
+                const game = await tx.botGame.findUnique({ where: { id: gameId } });
+
+                if (!game) {
+                    throw new Error('GAME_NOT_FOUND');
+                }
+
+                if (game.userId !== req.user.id) {
+                    throw new Error('NOT_YOUR_GAME');
+                }
+
+                if (game.status === 'finished') {
+                    throw new Error('GAME_FINISHED');
+                }
+
+                if (game.currentTurn !== 'player') {
+                    throw new Error('NOT_YOUR_TURN');
+                }
+
+                const hint = getHint(game.board, game.playerSymbol, game.winLength);
+
+                // Hints don't change the game, so the version stays the same
+                const updatedGame = await tx.botGame.update({
+                    where: { id: gameId },
+                    data: { hintsUsed: { increment: 1 } },
+                    select: { hintsUsed: true }
+                });
+
+                await tx.botHint.create({
+                    data: {
+                        gameId,
+                        afterMove: countMoves(game.board),
+                        position: hint.position,
+                        reason: hint.reason
+                    }
+                });
+
+                return { hint, hintsUsed: updatedGame.hintsUsed };
+            });
+
+            res.json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            const errorMessages = {
+                'GAME_NOT_FOUND': { status: 404, message: 'Game not found' },
+                'NOT_YOUR_GAME': { status: 403, message: 'This is not your game' },
+                'GAME_FINISHED': { status: 400, message: 'Game is already finished' },
+                'NOT_YOUR_TURN': { status: 400, message: 'It is not your turn' }
+            };
+
+            const errorInfo = errorMessages[error.message];
+            if (errorInfo) {
+                return res.status(errorInfo.status).json({
+                    success: false,
+                    error: errorInfo.message
+                });
+            }
+
+            console.error('Bot hint error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get hint'
+            });
+        }
+    }
+);
+
 /**
  * @route   GET /api/bot/user/games
  * @desc    Get user's bot game history
@@ -293,24 +657,45 @@ router.get('/user/games', authenticate, async (req, res) => {
             where: { userId: req.user.id }
         });
 
-        // Stats
-        const stats = {
-            total: 0,
-            wins: 0,
-            losses: 0,
-            draws: 0
-        };
+        // Stats (overall, per engine and per difficulty)
+        const emptyStats = () => ({ total: 0, wins: 0, losses: 0, draws: 0 });
+        const stats = emptyStats();
+        stats.byEngine = {};
+        for (const name of getEngineNames()) {
+            stats.byEngine[name] = emptyStats();
+        }
+        stats.byDifficulty = {};
+        for (const level of DIFFICULTY_LEVELS) {
+            stats.byDifficulty[level] = emptyStats();
+        }
 
-        const finishedGames = await prisma.botGame.findMany({
+        const groups = await prisma.botGame.groupBy({
+            by: ['engine', 'difficulty', 'winner'],
             where: { userId: req.user.id, status: 'finished' },
-            select: { winner: true }
+            _count: true,
+            _sum: { hintsUsed: true }
         });
 
-        for (const game of finishedGames) {
-            stats.total++;
-            if (game.winner === 'player') stats.wins++;
-            else if (game.winner === 'bot') stats.losses++;
-            else stats.draws++;
+        stats.hintsUsed = 0;
+
+        for (const group of groups) {
+            const targets = [
+                stats,
+                stats.byEngine[group.engine] || (stats.byEngine[group.engine] = emptyStats())
+            ];
+            if (group.difficulty) {
+                targets.push(stats.byDifficulty[group.difficulty]
+                    || (stats.byDifficulty[group.difficulty] = emptyStats()));
+            }
+
+            stats.hintsUsed += group._sum.hintsUsed || 0;
+
+            for (const target of targets) {
+                target.total += group._count;
+                if (group.winner === 'player') target.wins += group._count;
+                else if (group.winner === 'bot') target.losses += group._count;
+                else target.draws += group._count;
+            }
         }
 
         res.json({
@@ -320,7 +705,13 @@ router.get('/user/games', authenticate, async (req, res) => {
                     id: game.id,
                     status: game.status,
                     winner: game.winner,
+                    difficulty: game.difficulty,
+                    boardSize: game.boardSize,
+                    winLength: game.winLength,
+                    engine: game.engine,
                     moveCount: game._count.moves,
+                    hintsUsed: game.hintsUsed,
+                    accuracy: game.playerAccuracy,
                     createdAt: game.createdAt
                 })),
                 pagination: {
@@ -391,11 +782,17 @@ router.get(
                     game: {
                         id: game.id,
                         board: game.board,
+                        boardSize: game.boardSize,
+                        winLength: game.winLength,
+                        engine: game.engine,
+                        difficulty: game.difficulty,
                         playerSymbol: game.playerSymbol,
                         botSymbol: botSymbol,
                         currentTurn: game.currentTurn,
                         status: game.status,
                         winner: game.winner,
+                        hintsUsed: game.hintsUsed,
+                        accuracy: { player: game.playerAccuracy, bot: game.botAccuracy },
                         version: game.version,
                         moves: game.moves,
                         createdAt: game.createdAt
@@ -2,18 +2,61 @@ const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
-const {
-    checkWinner,
-    isDraw,
-    isValidMove,
-    makeMove,
-    countMoves,
-    getGameStatus
-} = require('../services/gameLogic');
+const { rateLimit } = require('../middleware/rateLimit');
+const { countMoves } = require('../services/gameLogic');
+const { publishRoomEvent } = require('../services/roomEvents');
+const { applyRatingChanges } = require('../services/rating');
+const { recordSeriesResult } = require('../services/series');
+const { getHint } = require('../services/hints');
+const { getFlaggedPlayer, formatClock } = require('../services/clock');
+const { resolveTimeout } = require('../services/timeouts');
+const { applyRoomMove } = require('../services/roomMoves');
+const { playBotTurn } = require('../services/roomBot');
+const { serializeRoom, formatSeries } = require('../utils/helpers');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const ROOM_PLAYERS_INCLUDE = {
+    player1: { select: { id: true, username: true } },
+    player2: { select: { id: true, username: true } },
+    winner: { select: { id: true, username: true } }
+};
+
+const GAME_ERRORS = {
+    'ROOM_NOT_FOUND': { status: 404, message: 'Room not found' },
+    'GAME_NOT_STARTED': { status: 400, message: 'Game has not started yet' },
+    'GAME_FINISHED': { status: 400, message: 'Game is already finished' },
+    'VERSION_CONFLICT': { status: 409, message: 'Game state has changed. Please refresh and try again.' },
+    'NOT_A_PLAYER': { status: 403, message: 'You are not a player in this game' },
+    'NOT_YOUR_TURN': { status: 400, message: 'It is not your turn' },
+    'INVALID_MOVE': { status: 400, message: 'Invalid move. Position already taken or out of bounds.' },
+    'DRAW_ALREADY_OFFERED': { status: 409, message: 'You have already offered a draw' },
+    'DRAW_OFFER_PENDING': { status: 409, message: 'Your opponent has offered a draw. Accept or decline it instead.' },
+    'NO_DRAW_OFFER': { status: 400, message: 'There is no draw offer to respond to' },
+    'HINTS_DISABLED': { status: 403, message: 'Hints are disabled in this room' }
+};
+
+/**
+ * Respond to a request from a player whose clock has run out
+ * Finishes the game on time (no-op if the clock job already did)
+ * @param {object} res - Express response
+ * @param {string} roomId - Room ID
+ */
+async function sendTimeExpired(res, roomId) {
+    await resolveTimeout(roomId).catch(err => console.error('Resolve timeout error:', err));
+    const room = await prisma.room.findUnique({
+        where: { id: roomId },
+        include: ROOM_PLAYERS_INCLUDE
+    });
+
+    return res.status(400).json({
+        success: false,
+        error: 'Your time has run out',
+        data: { room: room && serializeRoom(room) }
+    });
+}
+
 /**
  * @route   POST /api/game/:roomId/move
  * @desc    Make a move (with race condition protection)
@@ -22,11 +65,14 @@ const prisma = new PrismaClient();
 router.post(
     '/:roomId/move',
     authenticate,
+    rateLimit('move'),
     [
         param('roomId').isUUID().withMessage('Invalid room ID'),
+        // Upper bound depends on the room's board size, checked by isValidMove
         body('position')
-            .isInt({ min: 0, max: 8 })
-            .withMessage('Position must be between 0 and 8'),
+            .isInt({ min: 0 })
+            .withMessage('Position must be a non-negative integer')
+            .toInt(),
         body('version')
             .optional()
             .isInt({ min: 0 })
@@ -90,101 +136,379 @@ router.post(
                     throw new Error('NOT_YOUR_TURN');
                 }
 
-                // Validate move
-                if (!isValidMove(room.board, position)) {
-                    throw new Error('INVALID_MOVE');
+                // A move that arrives after the clock ran out loses on time
+                const now = new Date();
+                if (getFlaggedPlayer(room, now) === playerRole) {
+                    throw new Error('TIME_EXPIRED');
                 }
 
-                // Determine symbol (player1 = X, player2 = O)
-                const symbol = playerRole === 'player1' ? 'X' : 'O';
+                return applyRoomMove(tx, room, {
+                    playerRole,
+                    playerId: req.user.id,
+                    position,
+                    now
+                });
+            });
 
-                // Make the move
-                const newBoard = makeMove(room.board, position, symbol);
-
-                // Check game result
-                const winner = checkWinner(newBoard);
-                const draw = isDraw(newBoard);
-
-                // Determine new game state
-                let newStatus = 'in-progress';
-                let winnerId = null;
-                let newCurrentTurn = playerRole === 'player1' ? 'player2' : 'player1';
-
-                if (winner) {
-                    newStatus = 'finished';
-                    winnerId = req.user.id;
-                    newCurrentTurn = null;
-                } else if (draw) {
-                    newStatus = 'finished';
-                    newCurrentTurn = null;
+            const roomPayload = serializeRoom(result.room);
+
+            // Push to real-time subscribers after the transaction has committed
+            publishRoomEvent(roomId, 'move', { room: roomPayload, move: result.move });
+
+            // A bot in the other seat answers straight away (it publishes its own move)
+            const botTurn = await playBotTurn(roomId)
+                .catch(err => console.error('Bot move error:', err));
+
+            res.json({
+                success: true,
+                data: {
+                    room: botTurn ? serializeRoom(botTurn.room) : roomPayload,
+                    move: result.move,
+                    ...(botTurn && { botMove: botTurn.move })
                 }
+            });
+        } catch (error) {
+            if (error.message === 'TIME_EXPIRED') {
+                return sendTimeExpired(res, req.params.roomId);
+            }
 
-                // Update room with version increment
-                const updatedRoom = await tx.room.update({
+            console.error('Make move error:', error);
+
+            const errorInfo = GAME_ERRORS[error.message];
+            if (errorInfo) {
+                return res.status(errorInfo.status).json({
+                    success: false,
+                    error: errorInfo.message
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to make move'
+            });
+        }
+    }
+);
+
+/**
+ * Build the handler for a non-move game action (resign / draw offers)
+ * Applies the same checks as a move: the game must be in progress, the caller
+ * must be a player and the optional version must match. The room is written
+ * only if it is unchanged since it was read. The action is stored as a
+ * GameEvent so it appears in the replay.
+ * @param {string} action - Action name for logs and the generic error message
+ * @param {function} apply - (room, playerRole) => { type, data } where data updates the room
+ * @returns {function} - Express handler
+ */
+function gameActionHandler(action, apply) {
+    return async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const { roomId } = req.params;
+            const clientVersion = req.body.version;
+
+            const result = await prisma.$transaction(async (tx) => {
+                const room = await tx.room.findUnique({ where: { id: roomId } });
+
+                if (!room) {
+                    throw new Error('ROOM_NOT_FOUND');
+                }
+
+                if (room.status === 'waiting') {
+                    throw new Error('GAME_NOT_STARTED');
+                }
+
+                if (room.status === 'finished') {
+                    throw new Error('GAME_FINISHED');
+                }
+
+                if (clientVersion !== undefined && room.version !== clientVersion) {
+                    throw new Error('VERSION_CONFLICT');
+                }
+
+                let playerRole;
+                if (room.player1Id === req.user.id) {
+                    playerRole = 'player1';
+                } else if (room.player2Id === req.user.id) {
+                    playerRole = 'player2';
+                } else {
+                    throw new Error('NOT_A_PLAYER');
+                }
+
+                if (getFlaggedPlayer(room) === playerRole) {
+                    throw new Error('TIME_EXPIRED');
+                }
+
+                const { type, data } = apply(room, playerRole);
+
+                // Conditional like applyRoomMove, so a finishing move, a timeout or a
+                // second action that commits first can't be overwritten (or rated twice)
+                const claimed = await tx.room.updateMany({
+                    where: { id: roomId, status: 'in-progress', version: room.version },
+                    data: { ...data, version: { increment: 1 } }
+                });
+
+                if (claimed.count === 0) {
+                    throw new Error('VERSION_CONFLICT');
+                }
+
+                const updatedRoom = await tx.room.findUnique({
                     where: { id: roomId },
+                    include: ROOM_PLAYERS_INCLUDE
+                });
+
+                const event = await tx.gameEvent.create({
                     data: {
-                        board: newBoard,
-                        currentTurn: newCurrentTurn,
-                        status: newStatus,
-                        winnerId: winnerId,
-                        isDraw: draw,
-                        version: room.version + 1
+                        roomId,
+                        playerId: req.user.id,
+                        type,
+                        afterMove: countMoves(room.board)
                     },
-                    include: {
-                        player1: { select: { id: true, username: true } },
-                        player2: { select: { id: true, username: true } },
-                        winner: { select: { id: true, username: true } }
+                    select: {
+                        type: true,
+                        afterMove: true,
+                        createdAt: true,
+                        player: { select: { id: true, username: true } }
                     }
                 });
 
-                // Record move in history
-                const moveCount = countMoves(room.board);
-                await tx.move.create({
+                if (updatedRoom.status === 'finished') {
+                    updatedRoom.ratingChanges = await applyRatingChanges(tx, updatedRoom);
+                    updatedRoom.series = await recordSeriesResult(tx, updatedRoom);
+                }
+
+                return { room: updatedRoom, event };
+            });
+
+            const roomPayload = serializeRoom(result.room);
+
+            publishRoomEvent(roomId, result.event.type, { room: roomPayload, event: result.event });
+
+            res.json({
+                success: true,
+                data: {
+                    room: roomPayload,
+                    event: result.event
+                }
+            });
+        } catch (error) {
+            if (error.message === 'TIME_EXPIRED') {
+                return sendTimeExpired(res, req.params.roomId);
+            }
+
+            const errorInfo = GAME_ERRORS[error.message];
+            if (errorInfo) {
+                return res.status(errorInfo.status).json({
+                    success: false,
+                    error: errorInfo.message
+                });
+            }
+
+            console.error(`Game action (${action}) error:`, error);
+            res.status(500).json({
+                success: false,
+                error: `Failed to ${action}`
+            });
+        }
+    };
+}
+
+const gameActionValidators = [
+    param('roomId').isUUID().withMessage('Invalid room ID'),
+    body('version')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Invalid version number')
+];
+
+const opponentOf = (playerRole) => (playerRole === 'player1' ? 'player2' : 'player1');
+
+/**
+ * @route   POST /api/game/:roomId/resign
+ * @desc    Resign the game (opponent wins)
+ * @access  Private
+ */
+router.post(
+    '/:roomId/resign',
+    authenticate,
+    gameActionValidators,
+    gameActionHandler('resign', (room, playerRole) => ({
+        type: 'resign',
+        data: {
+            status: 'finished',
+            winnerId: room[`${opponentOf(playerRole)}Id`],
+            currentTurn: null,
+            drawOfferedBy: null,
+            endReason: 'resignation',
+            finishedAt: new Date()
+        }
+    }))
+);
+
+/**
+ * @route   POST /api/game/:roomId/offer-draw
+ * @desc    Offer a draw (stands until the opponent answers or makes a move)
+ * @access  Private
+ */
+router.post(
+    '/:roomId/offer-draw',
+    authenticate,
+    gameActionValidators,
+    gameActionHandler('offer draw', (room, playerRole) => {
+        if (room.drawOfferedBy === playerRole) {
+            throw new Error('DRAW_ALREADY_OFFERED');
+        }
+        if (room.drawOfferedBy) {
+            throw new Error('DRAW_OFFER_PENDING');
+        }
+
+        return { type: 'draw-offered', data: { drawOfferedBy: playerRole } };
+    })
+);
+
+/**
+ * @route   POST /api/game/:roomId/accept-draw
+ * @desc    Accept the opponent's draw offer (game ends in a draw)
+ * @access  Private
+ */
+router.post(
+    '/:roomId/accept-draw',
+    authenticate,
+    gameActionValidators,
+    gameActionHandler('accept draw', (room, playerRole) => {
+        if (room.drawOfferedBy !== opponentOf(playerRole)) {
+            throw new Error('NO_DRAW_OFFER');
+        }
+
+        return {
+            type: 'draw-accepted',
+            data: {
+                status: 'finished',
+                isDraw: true,
+                currentTurn: null,
+                drawOfferedBy: null,
+                endReason: 'agreement',
+                finishedAt: new Date()
+            }
+        };
+    })
+);
+
+/**
+ * @route   POST /api/game/:roomId/decline-draw
+ * @desc    Decline the opponent's draw offer
+ * @access  Private
+ */
+router.post(
+    '/:roomId/decline-draw',
+    authenticate,
+    gameActionValidators,
+    gameActionHandler('decline draw', (room, playerRole) => {
+        if (room.drawOfferedBy !== opponentOf(playerRole)) {
+            throw new Error('NO_DRAW_OFFER');
+        }
+
+        return { type: 'draw-declined', data: { drawOfferedBy: null } };
+    })
+);
+
+/**
+ * @route   POST /api/game/:roomId/hint
+ * @desc    Suggest a move for the player to move (counted per player)
+ * @access  Private
+ */
+router.post(
+    '/:roomId/hint',
+    authenticate,
+    [param('roomId').isUUID().withMessage('Invalid room ID')],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid room ID'
+                });
+            }
+
+            const { roomId } = req.params;
+
+            const result = await prisma.$transaction(async (tx) => {
+                const room = await tx.room.findUnique({ where: { id: roomId } });
+
+                if (!room) {
+                    throw new Error('ROOM_NOT_FOUND');
+                }
+
+                if (room.status === 'waiting') {
+                    throw new Error('GAME_NOT_STARTED');
+                }
+
+                if (room.status === 'finished') {
+                    throw new Error('GAME_FINISHED');
+                }
+
+                let playerRole;
+                if (room.player1Id === req.user.id) {
+                    playerRole = 'player1';
+                } else if (room.player2Id === req.user.id) {
+                    playerRole = 'player2';
+                } else {
+                    throw new Error('NOT_A_PLAYER');
+                }
+
+                if (!room.hintsEnabled) {
+                    throw new Error('HINTS_DISABLED');
+                }
+
+                if (room.currentTurn !== playerRole) {
+                    throw new Error('NOT_YOUR_TURN');
+                }
+
+                if (getFlaggedPlayer(room) === playerRole) {
+                    throw new Error('TIME_EXPIRED');
+                }
+
+                const symbol = playerRole === 'player1' ? 'X' : 'O';
+                const hint = getHint(room.board, symbol, room.winLength);
+
+                // Hints don't change the game, so the version stays the same
+                const updatedRoom = await tx.room.update({
+                    where: { id: roomId },
+                    data: { [`${playerRole}Hints`]: { increment: 1 } },
+                    select: { player1Hints: true, player2Hints: true }
+                });
+
+                await tx.gameEvent.create({
                     data: {
-                        roomId: roomId,
+                        roomId,
                         playerId: req.user.id,
-                        position: position,
-                        symbol: symbol,
-                        moveOrder: moveCount + 1
+                        type: 'hint',
+                        afterMove: countMoves(room.board),
+                        position: hint.position
                     }
                 });
 
-                return updatedRoom;
+                return { hint, hintsUsed: updatedRoom[`${playerRole}Hints`] };
             });
 
             res.json({
                 success: true,
-                data: {
-                    room: {
-                        id: result.id,
-                        code: result.code,
-                        status: result.status,
-                        player1: result.player1,
-                        player2: result.player2,
-                        player1Id: result.player1Id,
-                        player2Id: result.player2Id,
-                        currentTurn: result.currentTurn,
-                        board: result.board,
-                        winner: result.winner,
-                        isDraw: result.isDraw,
-                        version: result.version
-                    }
-                }
+                data: result
             });
         } catch (error) {
-            console.error('Make move error:', error);
+            if (error.message === 'TIME_EXPIRED') {
+                return sendTimeExpired(res, req.params.roomId);
+            }
 
-            const errorMessages = {
-                'ROOM_NOT_FOUND': { status: 404, message: 'Room not found' },
-                'GAME_NOT_STARTED': { status: 400, message: 'Game has not started yet' },
-                'GAME_FINISHED': { status: 400, message: 'Game is already finished' },
-                'VERSION_CONFLICT': { status: 409, message: 'Game state has changed. Please refresh and try again.' },
-                'NOT_A_PLAYER': { status: 403, message: 'You are not a player in this game' },
-                'NOT_YOUR_TURN': { status: 400, message: 'It is not your turn' },
-                'INVALID_MOVE': { status: 400, message: 'Invalid move. Position already taken or out of bounds.' }
-            };
-
-            const errorInfo = errorMessages[error.message];
+            const errorInfo = GAME_ERRORS[error.message];
             if (errorInfo) {
                 return res.status(errorInfo.status).json({
                     success: false,
@@ -192,9 +516,10 @@ router.post(
                 });
             }
 
+            console.error('Get hint error:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to make move'
+                error: 'Failed to get hint'
             });
         }
     }
@@ -219,20 +544,29 @@ router.get(
                 });
             }
 
-            const room = await prisma.room.findUnique({
+            const loadRoom = () => prisma.room.findUnique({
                 where: { id: req.params.roomId },
                 include: {
-                    player1: { select: { id: true, username: true } },
-                    player2: { select: { id: true, username: true } },
-                    winner: { select: { id: true, username: true } },
+                    ...ROOM_PLAYERS_INCLUDE,
                     moves: {
                         orderBy: { moveOrder: 'desc' },
                         take: 1,
                         select: { position: true, symbol: true, moveOrder: true }
-                    }
+                    },
+                    ratingChanges: {
+                        select: { userId: true, ratingBefore: true, ratingAfter: true, change: true }
+                    },
+                    series: true
                 }
             });
 
+            let room = await loadRoom();
+
+            // Settle an expired clock before reporting the state
+            if (room && getFlaggedPlayer(room) && await resolveTimeout(room.id)) {
+                room = await loadRoom();
+            }
+
             if (!room) {
                 return res.status(404).json({
                     success: false,
@@ -258,10 +592,20 @@ router.get(
                         player2Id: room.player2Id,
                         currentTurn: room.currentTurn,
                         board: room.board,
+                        boardSize: room.boardSize,
+                        winLength: room.winLength,
                         winner: room.winner,
                         isDraw: room.isDraw,
+                        endReason: room.endReason,
+                        drawOfferedBy: room.drawOfferedBy,
+                        hintsEnabled: room.hintsEnabled,
+                        hints: { player1: room.player1Hints, player2: room.player2Hints },
                         version: room.version,
                         lastMove: room.moves[0] || null,
+                        ratingChanges: room.ratingChanges,
+                        clock: formatClock(room),
+                        seriesGame: room.seriesGame,
+                        series: room.series && formatSeries(room.series),
                         updatedAt: room.updatedAt
                     },
                     userRole
@@ -296,7 +640,7 @@ router.get(
                 });
             }
 
-            const room = await prisma.room.findUnique({
+            const loadRoom = () => prisma.room.findUnique({
                 where: { id: req.params.roomId },
                 select: {
                     id: true,
@@ -305,11 +649,26 @@ router.get(
                     board: true,
                     winnerId: true,
                     isDraw: true,
+                    endReason: true,
+                    drawOfferedBy: true,
                     version: true,
+                    timeControl: true,
+                    moveTimeSeconds: true,
+                    initialTimeSeconds: true,
+                    incrementSeconds: true,
+                    player1TimeMs: true,
+                    player2TimeMs: true,
+                    turnStartedAt: true,
                     updatedAt: true
                 }
             });
 
+            let room = await loadRoom();
+
+            if (room && getFlaggedPlayer(room) && await resolveTimeout(room.id)) {
+                room = await loadRoom();
+            }
+
             if (!room) {
                 return res.status(404).json({
                     success: false,
@@ -338,7 +697,10 @@ router.get(
                     isMyTurn,
                     hasWinner: !!room.winnerId,
                     isDraw: room.isDraw,
+                    endReason: room.endReason,
+                    drawOfferedBy: room.drawOfferedBy,
                     version: room.version,
+                    clock: formatClock(room),
                     updatedAt: room.updatedAt
                 }
             });
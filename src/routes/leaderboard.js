@@ -0,0 +1,127 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { LEADERBOARD_PERIODS } = require('../jobs/leaderboard');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// sort option → materialized rank column
+const SORT_RANK_FIELDS = {
+    rating: 'ratingRank',
+    wins: 'winsRank',
+    'bot-wins': 'botWinsRank'
+};
+
+/**
+ * Format a leaderboard row for the response
+ * @param {object} entry - LeaderboardEntry with user included
+ * @param {string} rankField - Rank column for the chosen sort
+ * @returns {object}
+ */
+function formatEntry(entry, rankField) {
+    return {
+        rank: entry[rankField],
+        user: entry.user,
+        rating: entry.rating,
+        gamesPlayed: entry.gamesPlayed,
+        wins: entry.wins,
+        losses: entry.losses,
+        draws: entry.draws,
+        botGames: entry.botGames,
+        botWins: entry.botWins
+    };
+}
+
+/**
+ * @route   GET /api/leaderboard
+ * @desc    Paginated leaderboard with the caller's own rank
+ *          (materialized by the leaderboard cron job)
+ * @access  Private
+ */
+router.get(
+    '/',
+    authenticate,
+    [
+        query('period')
+            .optional()
+            .isIn(LEADERBOARD_PERIODS)
+            .withMessage(`Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`),
+        query('sort')
+            .optional()
+            .isIn(Object.keys(SORT_RANK_FIELDS))
+            .withMessage(`Sort must be one of: ${Object.keys(SORT_RANK_FIELDS).join(', ')}`),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+            .toInt(),
+        query('offset')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Offset must be a non-negative integer')
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const period = req.query.period || 'all-time';
+            const sort = req.query.sort || 'rating';
+            const limit = req.query.limit || 20;
+            const offset = req.query.offset || 0;
+            const rankField = SORT_RANK_FIELDS[sort];
+
+            const include = { user: { select: { id: true, username: true } } };
+
+            const [entries, total, myEntry] = await Promise.all([
+                prisma.leaderboardEntry.findMany({
+                    where: { period },
+                    orderBy: { [rankField]: 'asc' },
+                    take: limit,
+                    skip: offset,
+                    include
+                }),
+                prisma.leaderboardEntry.count({ where: { period } }),
+                prisma.leaderboardEntry.findUnique({
+                    where: { period_userId: { period, userId: req.user.id } },
+                    include
+                })
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    period,
+                    sort,
+                    periodStart: entries[0]?.periodStart ?? myEntry?.periodStart ?? null,
+                    refreshedAt: entries[0]?.refreshedAt ?? null,
+                    entries: entries.map(entry => formatEntry(entry, rankField)),
+                    // Included even when the caller is outside the requested page
+                    me: myEntry ? formatEntry(myEntry, rankField) : null,
+                    pagination: {
+                        total,
+                        limit,
+                        offset,
+                        hasMore: offset + entries.length < total
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Get leaderboard error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get leaderboard'
+            });
+        }
+    }
+);
+
+module.exports = router;
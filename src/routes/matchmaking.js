@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    MIN_WIN_LENGTH,
+    resolveRules,
+    validateRules
+} = require('../services/gameLogic');
+const { getAllowedGap, tryMatchEntry } = require('../services/matchmaking');
+const { serializeRoom } = require('../utils/helpers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Build the queue status payload for an entry
+ * @param {object|null} entry - MatchmakingEntry (with room included when matched)
+ * @returns {object}
+ */
+function formatQueueStatus(entry) {
+    if (!entry) {
+        return { status: 'idle' };
+    }
+
+    if (entry.status === 'matched') {
+        return {
+            status: 'matched',
+            matchedAt: entry.matchedAt,
+            room: entry.room ? serializeRoom(entry.room) : null
+        };
+    }
+
+    return {
+        status: 'queued',
+        rating: entry.rating,
+        boardSize: entry.boardSize,
+        winLength: entry.winLength,
+        queuedAt: entry.createdAt,
+        waitSeconds: Math.floor((Date.now() - entry.createdAt) / 1000),
+        allowedRatingGap: Math.round(getAllowedGap(entry.createdAt))
+    };
+}
+
+const ENTRY_INCLUDE = {
+    room: {
+        include: {
+            player1: { select: { id: true, username: true } },
+            player2: { select: { id: true, username: true } },
+            winner: { select: { id: true, username: true } }
+        }
+    }
+};
+
+/**
+ * @route   POST /api/matchmaking/queue
+ * @desc    Join the matchmaking queue (optional boardSize / winLength)
+ * @access  Private
+ */
+router.post(
+    '/queue',
+    authenticate,
+    [
+        body('boardSize')
+            .optional()
+            .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+            .withMessage(`Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`)
+            .toInt(),
+        body('winLength')
+            .optional()
+            .isInt({ min: MIN_WIN_LENGTH })
+            .withMessage(`Win length must be at least ${MIN_WIN_LENGTH}`)
+            .toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array().map(e => e.msg)
+                });
+            }
+
+            const { boardSize, winLength } = resolveRules(req.body);
+            const rulesCheck = validateRules(boardSize, winLength);
+            if (!rulesCheck.valid) {
+                return res.status(400).json({
+                    success: false,
+                    errors: [rulesCheck.error]
+                });
+            }
+
+            const existing = await prisma.matchmakingEntry.findUnique({
+                where: { userId: req.user.id }
+            });
+
+            // Already waiting → keep the original queue time
+            if (existing && existing.status === 'queued') {
+                return res.json({
+                    success: true,
+                    data: formatQueueStatus(existing)
+                });
+            }
+
+            const user = await prisma.user.findUnique({
+                where: { id: req.user.id },
+                select: { rating: true }
+            });
+
+            const queueData = {
+                rating: user.rating,
+                boardSize,
+                winLength,
+                status: 'queued',
+                roomId: null,
+                matchedAt: null,
+                createdAt: new Date()
+            };
+
+            const entry = await prisma.matchmakingEntry.upsert({
+                where: { userId: req.user.id },
+                create: { userId: req.user.id, ...queueData },
+                update: queueData
+            });
+
+            // Try to match right away; the matchmaking job retries with a wider gap
+            const room = await tryMatchEntry(entry);
+
+            const current = await prisma.matchmakingEntry.findUnique({
+                where: { id: entry.id },
+                include: ENTRY_INCLUDE
+            });
+
+            res.status(room ? 201 : 202).json({
+                success: true,
+                data: formatQueueStatus(current)
+            });
+        } catch (error) {
+            // Concurrent POSTs from the same user race on the unique userId
+            if (error.code === 'P2002') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Already in the matchmaking queue'
+                });
+            }
+
+            console.error('Join queue error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to join matchmaking queue'
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/matchmaking/queue
+ * @desc    Get matchmaking status (queued / matched with room)
+ * @access  Private
+ */
+router.get('/queue', authenticate, async (req, res) => {
+    try {
+        const entry = await prisma.matchmakingEntry.findUnique({
+            where: { userId: req.user.id },
+            include: ENTRY_INCLUDE
+        });
+
+        res.json({
+            success: true,
+            data: formatQueueStatus(entry)
+        });
+    } catch (error) {
+        console.error('Get queue status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get matchmaking status'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/matchmaking/queue
+ * @desc    Leave the matchmaking queue
+ * @access  Private
+ */
+router.delete('/queue', authenticate, async (req, res) => {
+    try {
+        // Only queued entries can be removed; a match that was just made stays
+        const removed = await prisma.matchmakingEntry.deleteMany({
+            where: { userId: req.user.id, status: 'queued' }
+        });
+
+        if (removed.count === 0) {
+            const entry = await prisma.matchmakingEntry.findUnique({
+                where: { userId: req.user.id },
+                include: ENTRY_INCLUDE
+            });
+
+            if (entry && entry.status === 'matched') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Already matched',
+                    data: formatQueueStatus(entry)
+                });
+            }
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not in the matchmaking queue'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Left the matchmaking queue'
+        });
+    } catch (error) {
+        console.error('Leave queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to leave matchmaking queue'
+        });
+    }
+});
+
+module.exports = router;
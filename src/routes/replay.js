@@ -2,13 +2,196 @@ const express = require('express');
 const { param, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
+const { createEmptyBoard, makeMove } = require('../services/gameLogic');
+const { formatRatingChange } = require('../utils/helpers');
+const { summarizeAnnotations } = require('../services/annotations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const MAX_TIMELINE_LIMIT = 50;
+
+/**
+ * Rebuild the board after every move
+ * @param {number} boardSize - Board side length
+ * @param {object[]} moves - Moves ordered by moveOrder
+ * @param {function} describeMover - (move) => fields identifying who moved
+ * @returns {object[]} - Replay steps with boardAfterMove
+ */
+function buildReplaySteps(boardSize, moves, describeMover) {
+    let currentBoard = createEmptyBoard(boardSize);
+
+    return moves.map(move => {
+        currentBoard = makeMove(currentBoard, move.position, move.symbol);
+
+        return {
+            moveOrder: move.moveOrder,
+            ...describeMover(move),
+            position: move.position,
+            symbol: move.symbol,
+            annotation: move.annotation,
+            boardAfterMove: currentBoard,
+            createdAt: move.createdAt
+        };
+    });
+}
+
+/**
+ * Win / loss / draw counts for a user's finished multiplayer games
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { wins, losses, draws }
+ */
+async function getPvpResults(userId) {
+    const groups = await prisma.room.groupBy({
+        by: ['winnerId', 'isDraw'],
+        where: {
+            OR: [
+                { player1Id: userId },
+                { player2Id: userId }
+            ],
+            status: 'finished'
+        },
+        _count: true
+    });
+
+    const results = { wins: 0, losses: 0, draws: 0 };
+    for (const group of groups) {
+        if (group.isDraw) {
+            results.draws += group._count;
+        } else if (group.winnerId === userId) {
+            results.wins += group._count;
+        } else if (group.winnerId !== null) {
+            results.losses += group._count;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Win / loss / draw counts for a user's finished bot games
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { wins, losses, draws }
+ */
+async function getBotResults(userId) {
+    const groups = await prisma.botGame.groupBy({
+        by: ['winner'],
+        where: { userId, status: 'finished' },
+        _count: true
+    });
+
+    const results = { wins: 0, losses: 0, draws: 0 };
+    for (const group of groups) {
+        if (group.winner === 'player') results.wins += group._count;
+        else if (group.winner === 'bot') results.losses += group._count;
+        else results.draws += group._count;
+    }
+
+    return results;
+}
+
+/**
+ * Hints a user asked for across finished multiplayer games (either seat)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function getPvpHintsUsed(userId) {
+    const [asPlayer1, asPlayer2] = await Promise.all([
+        prisma.room.aggregate({
+            where: { player1Id: userId, status: 'finished' },
+            _sum: { player1Hints: true }
+        }),
+        prisma.room.aggregate({
+            where: { player2Id: userId, status: 'finished' },
+            _sum: { player2Hints: true }
+        })
+    ]);
+
+    return (asPlayer1._sum.player1Hints || 0) + (asPlayer2._sum.player2Hints || 0);
+}
+
+/**
+ * Hints a user asked for across finished bot games
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function getBotHintsUsed(userId) {
+    const result = await prisma.botGame.aggregate({
+        where: { userId, status: 'finished' },
+        _sum: { hintsUsed: true }
+    });
+
+    return result._sum.hintsUsed || 0;
+}
+
+/**
+ * Hints the caller used in a room
+ * @param {object} room - Room record
+ * @param {string} userId - User ID
+ * @returns {number}
+ */
+function getRoomHintsUsed(room, userId) {
+    return room.player1Id === userId ? room.player1Hints : room.player2Hints;
+}
+
+/**
+ * The caller's stored accuracy in a room
+ * @param {object} room - Room record
+ * @param {string} userId - User ID
+ * @returns {number|null}
+ */
+function getRoomAccuracy(room, userId) {
+    return room.player1Id === userId ? room.player1Accuracy : room.player2Accuracy;
+}
+
+/**
+ * Per-side annotation summaries from the stored move labels
+ * @param {object} game - Room or BotGame (annotatedAt)
+ * @param {object[]} moves - Moves with annotation
+ * @param {object} sides - { name: (move) => boolean } deciding whose move it is
+ * @returns {object|null} - { [name]: summary }, or null if the game was never annotated
+ */
+function getAnnotationSummary(game, moves, sides) {
+    if (!game.annotatedAt) return null;
+
+    const summary = {};
+    for (const [name, isSide] of Object.entries(sides)) {
+        summary[name] = summarizeAnnotations(moves.filter(isSide).map(move => move.annotation));
+    }
+    return summary;
+}
+
+/**
+ * Stats block from result counts
+ * @param {object} results - { wins, losses, draws }
+ * @returns {object} - { total, wins, losses, draws, winRate }
+ */
+function summarizeResults({ wins, losses, draws }) {
+    const total = wins + losses + draws;
+    return {
+        total,
+        wins,
+        losses,
+        draws,
+        winRate: total > 0 ? ((wins / total) * 100).toFixed(1) : 0
+    };
+}
+
+/**
+ * Result of a bot game from the player's side
+ * @param {object} game - BotGame record
+ * @returns {string|null} - 'win', 'loss', 'draw' or null while in progress
+ */
+function getBotGameResult(game) {
+    if (game.status !== 'finished') return null;
+    if (game.winner === 'player') return 'win';
+    if (game.winner === 'bot') return 'loss';
+    return 'draw';
+}
+
 /**
  * @route   GET /api/replay/:roomId
- * @desc    Get all moves for a game replay
+ * @desc    Get all moves and game events (resign, draw offers) for a game replay
  * @access  Private
  */
 router.get(
@@ -31,7 +214,8 @@ router.get(
                 include: {
                     player1: { select: { id: true, username: true } },
                     player2: { select: { id: true, username: true } },
-                    winner: { select: { id: true, username: true } }
+                    winner: { select: { id: true, username: true } },
+                    ratingChanges: true
                 }
             });
 
@@ -51,24 +235,23 @@ router.get(
                 }
             });
 
+            // Non-move actions (incl. hints), placed in the timeline by afterMove
+            const events = await prisma.gameEvent.findMany({
+                where: { roomId: req.params.roomId },
+                orderBy: { createdAt: 'asc' },
+                select: {
+                    type: true,
+                    afterMove: true,
+                    position: true,
+                    createdAt: true,
+                    player: { select: { id: true, username: true } }
+                }
+            });
+
             // Build board states for each move
-            const boardStates = [];
-            let currentBoard = '---------';
-
-            for (const move of moves) {
-                const boardArray = currentBoard.split('');
-                boardArray[move.position] = move.symbol;
-                currentBoard = boardArray.join('');
-
-                boardStates.push({
-                    moveOrder: move.moveOrder,
-                    player: move.player,
-                    position: move.position,
-                    symbol: move.symbol,
-                    boardAfterMove: currentBoard,
-                    createdAt: move.createdAt
-                });
-            }
+            const boardStates = buildReplaySteps(room.boardSize, moves, move => ({
+                player: move.player
+            }));
 
             res.json({
                 success: true,
@@ -80,11 +263,23 @@ router.get(
                         player2: room.player2,
                         winner: room.winner,
                         isDraw: room.isDraw,
+                        endReason: room.endReason,
+                        hintsEnabled: room.hintsEnabled,
+                        hints: { player1: room.player1Hints, player2: room.player2Hints },
+                        accuracy: getAnnotationSummary(room, moves, {
+                            player1: move => move.symbol === 'X',
+                            player2: move => move.symbol === 'O'
+                        }),
                         finalBoard: room.board,
+                        boardSize: room.boardSize,
+                        winLength: room.winLength,
                         status: room.status,
+                        ratingChanges: room.ratingChanges.map(formatRatingChange),
+                        archivedAt: room.archivedAt,
                         createdAt: room.createdAt
                     },
                     moves: boardStates,
+                    events,
                     totalMoves: moves.length
                 }
             });
@@ -98,6 +293,227 @@ router.get(
     }
 );
 
+/**
+ * @route   GET /api/replay/bot/:gameId
+ * @desc    Get all moves for a bot game replay
+ * @access  Private
+ */
+router.get(
+    '/bot/:gameId',
+    authenticate,
+    [param('gameId').isUUID().withMessage('Invalid game ID')],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid game ID'
+                });
+            }
+
+            const game = await prisma.botGame.findUnique({
+                where: { id: req.params.gameId },
+                include: {
+                    user: { select: { id: true, username: true } },
+                    moves: { orderBy: { moveOrder: 'asc' } },
+                    hints: {
+                        orderBy: { createdAt: 'asc' },
+                        select: { afterMove: true, position: true, reason: true, createdAt: true }
+                    }
+                }
+            });
+
+            if (!game) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Game not found'
+                });
+            }
+
+            if (game.userId !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Access denied'
+                });
+            }
+
+            // Bot moves have no user, so mover says who played
+            const boardStates = buildReplaySteps(game.boardSize, game.moves, move => ({
+                mover: move.player,
+                player: move.player === 'player' ? game.user : null
+            }));
+
+            res.json({
+                success: true,
+                data: {
+                    game: {
+                        id: game.id,
+                        player: game.user,
+                        engine: game.engine,
+                        difficulty: game.difficulty,
+                        playerSymbol: game.playerSymbol,
+                        botSymbol: game.playerSymbol === 'X' ? 'O' : 'X',
+                        winner: game.winner,
+                        isDraw: game.status === 'finished' && !game.winner,
+                        result: getBotGameResult(game),
+                        hintsUsed: game.hintsUsed,
+                        accuracy: getAnnotationSummary(game, game.moves, {
+                            player: move => move.player === 'player',
+                            bot: move => move.player === 'bot'
+                        }),
+                        finalBoard: game.board,
+                        boardSize: game.boardSize,
+                        winLength: game.winLength,
+                        status: game.status,
+                        createdAt: game.createdAt
+                    },
+                    moves: boardStates,
+                    hints: game.hints,
+                    totalMoves: game.moves.length
+                }
+            });
+        } catch (error) {
+            console.error('Get bot replay error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get replay'
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/replay/user/timeline
+ * @desc    Get user's multiplayer and bot games as one timeline (newest first)
+ *          Paged by a cursor: pass the previous page's nextBefore as ?before=
+ * @access  Private
+ */
+router.get('/user/timeline', authenticate, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, MAX_TIMELINE_LIMIT);
+        const before = req.query.before ? new Date(req.query.before) : null;
+
+        if (before && Number.isNaN(before.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid before cursor'
+            });
+        }
+
+        const olderThan = before ? { createdAt: { lt: before } } : {};
+
+        const roomWhere = {
+            OR: [
+                { player1Id: req.user.id },
+                { player2Id: req.user.id }
+            ],
+            status: 'finished',
+            ...olderThan
+        };
+        const botWhere = { userId: req.user.id, status: 'finished', ...olderThan };
+
+        // The page holds at most limit games of each kind; one more tells whether there is a next page
+        const pageSize = limit + 1;
+
+        const [rooms, botGames, pvpResults, botResults, pvpHints, botHints] = await Promise.all([
+            prisma.room.findMany({
+                where: roomWhere,
+                include: {
+                    player1: { select: { id: true, username: true } },
+                    player2: { select: { id: true, username: true } },
+                    _count: { select: { moves: true } },
+                    ratingChanges: {
+                        where: { userId: req.user.id },
+                        select: { ratingBefore: true, ratingAfter: true, change: true }
+                    }
+                },
+                orderBy: { createdAt: 'desc' },
+                take: pageSize
+            }),
+            prisma.botGame.findMany({
+                where: botWhere,
+                include: { _count: { select: { moves: true } } },
+                orderBy: { createdAt: 'desc' },
+                take: pageSize
+            }),
+            getPvpResults(req.user.id),
+            getBotResults(req.user.id),
+            getPvpHintsUsed(req.user.id),
+            getBotHintsUsed(req.user.id)
+        ]);
+
+        const pvpEntries = rooms.map(room => ({
+            type: 'pvp',
+            id: room.id,
+            code: room.code,
+            opponent: room.player1Id === req.user.id ? room.player2 : room.player1,
+            result: room.winnerId === req.user.id ? 'win' : room.isDraw ? 'draw' : 'loss',
+            endReason: room.endReason,
+            boardSize: room.boardSize,
+            winLength: room.winLength,
+            moveCount: room._count.moves,
+            hintsUsed: getRoomHintsUsed(room, req.user.id),
+            accuracy: getRoomAccuracy(room, req.user.id),
+            rating: room.ratingChanges[0] || null,
+            replay: `/api/replay/${room.id}`,
+            createdAt: room.createdAt
+        }));
+
+        const botEntries = botGames.map(game => ({
+            type: 'bot',
+            id: game.id,
+            engine: game.engine,
+            difficulty: game.difficulty,
+            result: getBotGameResult(game),
+            boardSize: game.boardSize,
+            winLength: game.winLength,
+            moveCount: game._count.moves,
+            hintsUsed: game.hintsUsed,
+            accuracy: game.playerAccuracy,
+            replay: `/api/replay/bot/${game.id}`,
+            createdAt: game.createdAt
+        }));
+
+        const newest = [...pvpEntries, ...botEntries].sort((a, b) => b.createdAt - a.createdAt);
+        const games = newest.slice(0, limit);
+        const hasMore = newest.length > limit;
+
+        const pvp = { ...summarizeResults(pvpResults), hintsUsed: pvpHints };
+        const bot = { ...summarizeResults(botResults), hintsUsed: botHints };
+        const total = pvp.total + bot.total;
+
+        res.json({
+            success: true,
+            data: {
+                games,
+                pagination: {
+                    total,
+                    limit,
+                    hasMore,
+                    nextBefore: hasMore ? games[games.length - 1].createdAt : null
+                },
+                stats: {
+                    ...summarizeResults({
+                        wins: pvp.wins + bot.wins,
+                        losses: pvp.losses + bot.losses,
+                        draws: pvp.draws + bot.draws
+                    }),
+                    hintsUsed: pvpHints + botHints,
+                    pvp,
+                    bot
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get timeline error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get game history'
+        });
+    }
+});
+
 /**
  * @route   GET /api/replay/user/history
  * @desc    Get user's game history
@@ -121,7 +537,11 @@ router.get('/user/history', authenticate, async (req, res) => {
                 player1: { select: { id: true, username: true } },
                 player2: { select: { id: true, username: true } },
                 winner: { select: { id: true, username: true } },
-                _count: { select: { moves: true } }
+                _count: { select: { moves: true } },
+                ratingChanges: {
+                    where: { userId: req.user.id },
+                    select: { ratingBefore: true, ratingAfter: true, change: true }
+                }
             },
             orderBy: { createdAt: 'desc' },
             take: limit,
@@ -139,43 +559,11 @@ router.get('/user/history', authenticate, async (req, res) => {
             }
         });
 
-        // Calculate stats
-        const stats = await prisma.room.groupBy({
-            by: ['winnerId'],
-            where: {
-                OR: [
-                    { player1Id: req.user.id },
-                    { player2Id: req.user.id }
-                ],
-                status: 'finished'
-            },
-            _count: true
-        });
-
-        let wins = 0;
-        let losses = 0;
-        let draws = 0;
-
-        for (const stat of stats) {
-            if (stat.winnerId === req.user.id) {
-                wins = stat._count;
-            } else if (stat.winnerId === null) {
-                // Check if these are actually draws
-                const drawCount = await prisma.room.count({
-                    where: {
-                        OR: [
-                            { player1Id: req.user.id },
-                            { player2Id: req.user.id }
-                        ],
-                        status: 'finished',
-                        isDraw: true
-                    }
-                });
-                draws = drawCount;
-            } else {
-                losses += stat._count;
-            }
-        }
+        // Calculate stats in a single grouped query
+        const [{ wins, losses, draws }, hintsUsed] = await Promise.all([
+            getPvpResults(req.user.id),
+            getPvpHintsUsed(req.user.id)
+        ]);
 
         res.json({
             success: true,
@@ -187,8 +575,14 @@ router.get('/user/history', authenticate, async (req, res) => {
                     player2: room.player2,
                     winner: room.winner,
                     isDraw: room.isDraw,
+                    endReason: room.endReason,
+                    boardSize: room.boardSize,
+                    winLength: room.winLength,
                     moveCount: room._count.moves,
+                    hintsUsed: getRoomHintsUsed(room, req.user.id),
+                    accuracy: getRoomAccuracy(room, req.user.id),
                     result: room.winnerId === req.user.id ? 'win' : room.isDraw ? 'draw' : 'loss',
+                    rating: room.ratingChanges[0] || null,
                     createdAt: room.createdAt
                 })),
                 pagination: {
@@ -202,7 +596,8 @@ router.get('/user/history', authenticate, async (req, res) => {
                     wins,
                     losses,
                     draws,
-                    winRate: totalGames > 0 ? ((wins / totalGames) * 100).toFixed(1) : 0
+                    winRate: totalGames > 0 ? ((wins / totalGames) * 100).toFixed(1) : 0,
+                    hintsUsed
                 }
             }
         });
@@ -1,68 +1,227 @@
 const express = require("express");
 const { body, param, validationResult } = require("express-validator");
 const { PrismaClient } = require("@prisma/client");
-const { authenticate } = require("../middleware/auth");
-const { generateRoomCode } = require("../utils/helpers");
+const { authenticate, authenticateStream } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  generateRoomCode,
+  serializeRoom,
+  formatRoomBot,
+  formatSeries,
+} = require("../utils/helpers");
+const { applyRatingChanges } = require("../services/rating");
+const { createRematchRoom } = require("../services/rematch");
+const {
+  SERIES_LENGTHS,
+  recordSeriesResult,
+} = require("../services/series");
+const {
+  TIME_CONTROL_TYPES,
+  validateTimeControl,
+  createClockFields,
+  formatClock,
+} = require("../services/clock");
+const {
+  MIN_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  MIN_WIN_LENGTH,
+  resolveRules,
+  validateRules,
+  createEmptyBoard,
+  makeMove,
+  countMoves,
+} = require("../services/gameLogic");
+const {
+  publishRoomEvent,
+  subscribeToRoom,
+  subscribeToUser,
+} = require("../services/roomEvents");
+const { SESSIONS_REVOKED_EVENT } = require("../services/sessions");
+const { DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY } = require("../services/bot");
+const {
+  markConnected,
+  markDisconnected,
+  isSessionOpen,
+  createSessionHeartbeat,
+} = require("../services/presence");
+const {
+  TAKEOVER_DIFFICULTY,
+  getBotUser,
+  isBotUser,
+  canTakeOver,
+  playBotTurn,
+} = require("../services/roomBot");
+const {
+  openEventStream,
+  writeEvent,
+  getLastEventId,
+} = require("../realtime/sse");
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const ROOM_PLAYERS_INCLUDE = {
+  player1: { select: { id: true, username: true } },
+  player2: { select: { id: true, username: true } },
+  winner: { select: { id: true, username: true } },
+};
+
 /**
  * @route   POST /api/rooms
- * @desc    Create a new game room
+ * @desc    Create a new game room (optional boardSize / winLength, default 3x3,
+ *          optional timeControl, default untimed, optional bestOf series,
+ *          optional hintsEnabled, default false; hinted games are unrated)
  * @access  Private
  */
-router.post("/", authenticate, async (req, res) => {
-  try {
-    // Generate unique room code
-    let code;
-    let isUnique = false;
-
-    while (!isUnique) {
-      code = generateRoomCode();
-      const existing = await prisma.room.findUnique({ where: { code } });
-      if (!existing) isUnique = true;
-    }
+router.post(
+  "/",
+  authenticate,
+  rateLimit("create-room"),
+  [
+    body("boardSize")
+      .optional()
+      .isInt({ min: MIN_BOARD_SIZE, max: MAX_BOARD_SIZE })
+      .withMessage(
+        `Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`,
+      )
+      .toInt(),
+    body("winLength")
+      .optional()
+      .isInt({ min: MIN_WIN_LENGTH })
+      .withMessage(`Win length must be at least ${MIN_WIN_LENGTH}`)
+      .toInt(),
+    body("timeControl")
+      .optional()
+      .isObject()
+      .withMessage("Time control must be an object"),
+    body("timeControl.type")
+      .if(body("timeControl").exists())
+      .isIn(TIME_CONTROL_TYPES)
+      .withMessage(
+        `Time control type must be one of: ${TIME_CONTROL_TYPES.join(", ")}`,
+      ),
+    body("timeControl.moveSeconds")
+      .optional()
+      .isInt()
+      .withMessage("Move time must be an integer")
+      .toInt(),
+    body("timeControl.initialSeconds")
+      .optional()
+      .isInt()
+      .withMessage("Initial time must be an integer")
+      .toInt(),
+    body("timeControl.incrementSeconds")
+      .optional()
+      .isInt()
+      .withMessage("Increment must be an integer")
+      .toInt(),
+    body("bestOf")
+      .optional()
+      .isIn(SERIES_LENGTHS)
+      .withMessage(`Best of must be one of: ${SERIES_LENGTHS.join(", ")}`)
+      .toInt(),
+    body("hintsEnabled")
+      .optional()
+      .isBoolean()
+      .withMessage("hintsEnabled must be a boolean")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
 
-    // Create room with current user as player1
-    const room = await prisma.room.create({
-      data: {
-        code,
-        player1Id: req.user.id,
-        status: "waiting",
-        currentTurn: "player1",
-      },
-      include: {
-        player1: { select: { id: true, username: true } },
-        player2: { select: { id: true, username: true } },
-      },
-    });
+      const { boardSize, winLength } = resolveRules(req.body);
+      const rulesCheck = validateRules(boardSize, winLength);
+      if (!rulesCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          errors: [rulesCheck.error],
+        });
+      }
 
-    res.status(201).json({
-      success: true,
-      data: {
-        room: {
-          id: room.id,
-          code: room.code,
-          status: room.status,
-          player1: room.player1,
-          player2: room.player2,
-          player1Id: room.player1Id,
-          player2Id: room.player2Id,
-          currentTurn: room.currentTurn,
-          board: room.board,
-          createdAt: room.createdAt,
+      const { timeControl } = req.body;
+      if (timeControl) {
+        const clockCheck = validateTimeControl(timeControl);
+        if (!clockCheck.valid) {
+          return res.status(400).json({
+            success: false,
+            errors: [clockCheck.error],
+          });
+        }
+      }
+
+      // Generate unique room code
+      let code;
+      let isUnique = false;
+
+      while (!isUnique) {
+        code = generateRoomCode();
+        const existing = await prisma.room.findUnique({ where: { code } });
+        if (!existing) isUnique = true;
+      }
+
+      // Create room with current user as player1
+      const { bestOf } = req.body;
+      const room = await prisma.room.create({
+        data: {
+          code,
+          player1Id: req.user.id,
+          status: "waiting",
+          currentTurn: "player1",
+          board: createEmptyBoard(boardSize),
+          boardSize,
+          winLength,
+          ...createClockFields(timeControl),
+          hintsEnabled: req.body.hintsEnabled ?? false,
+          ...(bestOf && {
+            series: { create: { bestOf, player1Id: req.user.id } },
+            seriesGame: 1,
+          }),
         },
-      },
-    });
-  } catch (error) {
-    console.error("Create room error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to create room",
-    });
-  }
-});
+        include: {
+          player1: { select: { id: true, username: true } },
+          player2: { select: { id: true, username: true } },
+          series: true,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          room: {
+            id: room.id,
+            code: room.code,
+            status: room.status,
+            player1: room.player1,
+            player2: room.player2,
+            player1Id: room.player1Id,
+            player2Id: room.player2Id,
+            currentTurn: room.currentTurn,
+            board: room.board,
+            boardSize: room.boardSize,
+            winLength: room.winLength,
+            clock: formatClock(room),
+            hintsEnabled: room.hintsEnabled,
+            series: room.series && formatSeries(room.series),
+            createdAt: room.createdAt,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Create room error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create room",
+      });
+    }
+  },
+);
 
 /**
  * @route   GET /api/rooms
@@ -94,6 +253,8 @@ router.get("/", authenticate, async (req, res) => {
           status: room.status,
           player1: room.player1,
           player2: room.player2,
+          boardSize: room.boardSize,
+          winLength: room.winLength,
           spectatorCount: room._count.spectators,
           createdAt: room.createdAt,
         })),
@@ -136,6 +297,16 @@ router.get(
           spectators: {
             include: { user: { select: { id: true, username: true } } },
           },
+          ratingChanges: {
+            select: {
+              userId: true,
+              ratingBefore: true,
+              ratingAfter: true,
+              change: true,
+            },
+          },
+          series: true,
+          nextRoom: { select: { id: true, code: true } },
         },
       });
 
@@ -159,9 +330,23 @@ router.get(
             player2Id: room.player2Id,
             currentTurn: room.currentTurn,
             board: room.board,
+            boardSize: room.boardSize,
+            winLength: room.winLength,
             winner: room.winner,
             isDraw: room.isDraw,
+            endReason: room.endReason,
+            drawOfferedBy: room.drawOfferedBy,
+            clock: formatClock(room),
             spectators: room.spectators.map((s) => s.user),
+            ratingChanges: room.ratingChanges,
+            rematchRequestedBy: room.rematchRequestedBy,
+            bot: formatRoomBot(room),
+            hintsEnabled: room.hintsEnabled,
+            hints: { player1: room.player1Hints, player2: room.player2Hints },
+            previousRoomId: room.previousRoomId,
+            nextRoom: room.nextRoom,
+            seriesGame: room.seriesGame,
+            series: room.series && formatSeries(room.series),
             version: room.version,
             createdAt: room.createdAt,
             updatedAt: room.updatedAt,
@@ -178,6 +363,199 @@ router.get(
   },
 );
 
+/**
+ * @route   GET /api/rooms/:code/events
+ * @desc    Server-Sent Events stream of room updates for spectators.
+ *          Send Last-Event-ID (the last move's moveOrder) to catch up on missed moves.
+ *          Ends with a session-revoked event once the viewer's session is revoked.
+ * @access  Private (token via Authorization header or ?token=)
+ */
+router.get(
+  "/:code/events",
+  authenticateStream,
+  [param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase()],
+  async (req, res) => {
+    let closeStream = null;
+    let unsubscribe = null;
+    let unsubscribeUser = null;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid room code",
+        });
+      }
+
+      const room = await prisma.room.findUnique({
+        where: { code: req.params.code.toUpperCase() },
+        include: ROOM_PLAYERS_INCLUDE,
+      });
+
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          error: "Room not found",
+        });
+      }
+
+      const lastEventId = getLastEventId(req);
+
+      const endIfRevoked = (open) => {
+        if (open || res.writableEnded) return;
+        writeEvent(res, "session-revoked", {});
+        res.end();
+      };
+
+      // An open stream keeps its session (and so the user) active; the
+      // heartbeat also catches sessions revoked on another instance
+      const touchSession = createSessionHeartbeat(req.sessionId);
+      closeStream = openEventStream(res, {
+        onHeartbeat: () =>
+          touchSession()
+            .then(endIfRevoked)
+            .catch((err) => console.error("Touch session error:", err)),
+      });
+
+      let lastMoveOrder = lastEventId ?? 0;
+      let catchingUp = true;
+      const pending = [];
+
+      const forward = (roomEvent) => {
+        const { event, data } = roomEvent;
+
+        switch (event) {
+          case "move": {
+            // Skip moves already replayed from the database during catch-up
+            if (data.move.moveOrder <= lastMoveOrder) return;
+            lastMoveOrder = data.move.moveOrder;
+
+            writeEvent(
+              res,
+              "move",
+              { move: data.move, board: data.room.board, room: data.room },
+              data.move.moveOrder,
+            );
+            if (data.room.status === "finished") {
+              writeEvent(res, "game-finished", {
+                room: data.room,
+                reason: data.room.endReason,
+              });
+            }
+            break;
+          }
+          case "player-joined":
+          case "player-left":
+          case "bot-takeover":
+          case "bot-released":
+            writeEvent(res, event, data);
+            break;
+          case "forfeit":
+            writeEvent(res, "player-left", data);
+            writeEvent(res, "game-finished", { ...data, reason: "forfeit" });
+            break;
+          case "timeout":
+            writeEvent(res, "game-finished", { ...data, reason: "timeout" });
+            break;
+          case "draw-offered":
+          case "draw-declined":
+          case "rematch-requested":
+          case "rematch-started":
+            writeEvent(res, event, data);
+            break;
+          case "resign":
+          case "draw-accepted":
+            writeEvent(res, event, data);
+            writeEvent(res, "game-finished", {
+              room: data.room,
+              reason: data.room.endReason,
+            });
+            break;
+          case "room-deleted":
+            writeEvent(res, "room-deleted", data);
+            res.end();
+            break;
+          default:
+            break;
+        }
+      };
+
+      // Subscribe before reading history so no event falls in the gap
+      unsubscribe = subscribeToRoom(room.id, (roomEvent) => {
+        if (catchingUp) pending.push(roomEvent);
+        else forward(roomEvent);
+      });
+      unsubscribeUser = subscribeToUser(req.user.id, ({ event }) => {
+        if (event !== SESSIONS_REVOKED_EVENT) return;
+        isSessionOpen(req.sessionId)
+          .then(endIfRevoked)
+          .catch((err) => console.error("Session check error:", err));
+      });
+
+      markConnected(req.user.id);
+      res.on("close", () => {
+        markDisconnected(req.user.id);
+        unsubscribe();
+        unsubscribeUser();
+        closeStream();
+      });
+
+      if (lastEventId === null) {
+        // First connection → send the current state; its id is the latest moveOrder
+        lastMoveOrder = countMoves(room.board);
+        writeEvent(res, "snapshot", { room: serializeRoom(room) }, lastMoveOrder);
+      } else {
+        // Reconnect → replay moves the viewer missed, rebuilding each board state
+        const moves = await prisma.move.findMany({
+          where: { roomId: room.id },
+          orderBy: { moveOrder: "asc" },
+          select: {
+            position: true,
+            symbol: true,
+            moveOrder: true,
+            playerId: true,
+          },
+        });
+
+        let board = createEmptyBoard(room.boardSize);
+        for (const move of moves) {
+          board = makeMove(board, move.position, move.symbol);
+          if (move.moveOrder > lastEventId) {
+            writeEvent(res, "move", { move, board }, move.moveOrder);
+            lastMoveOrder = move.moveOrder;
+          }
+        }
+      }
+
+      if (room.status === "finished") {
+        writeEvent(res, "game-finished", {
+          room: serializeRoom(room),
+          reason: room.endReason || (room.isDraw ? "draw" : "win"),
+        });
+      }
+
+      catchingUp = false;
+      for (const roomEvent of pending) {
+        forward(roomEvent);
+      }
+    } catch (error) {
+      console.error("Room events error:", error);
+      if (unsubscribe) unsubscribe();
+      if (unsubscribeUser) unsubscribeUser();
+      if (closeStream) closeStream();
+
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        success: false,
+        error: "Failed to open event stream",
+      });
+    }
+  },
+);
+
 /**
  * @route   POST /api/rooms/:code/join
  * @desc    Join room as player2
@@ -228,18 +606,28 @@ router.post(
 
         // 3. พยายามเข้าเล่น: ถ้าที่นั่ง P2 ว่าง และเกมยังรออยู่ (Waiting) -> ให้เป็น Player 2
         if (!room.player2Id && room.status === "waiting") {
+          // The joiner is the series' second player for every game
+          if (room.seriesId) {
+            await tx.series.update({
+              where: { id: room.seriesId },
+              data: { player2Id: userId },
+            });
+          }
+
           const updatedRoom = await tx.room.update({
             where: { id: room.id },
             data: {
               player2Id: userId,
               status: "in-progress",
+              // Player1's clock starts once both seats are filled
+              ...(room.timeControl && { turnStartedAt: new Date() }),
             },
             include: {
               player1: { select: { id: true, username: true } },
               player2: { select: { id: true, username: true } },
             },
           });
-          return updatedRoom;
+          return { ...updatedRoom, joinedAsPlayer: true };
         }
 
         // 4. ถ้าห้องเต็ม หรือเกมเริ่มไปแล้ว -> จับเป็นคนดู (Spectator) ✅
@@ -255,6 +643,12 @@ router.post(
         return room;
       });
 
+      if (result.joinedAsPlayer) {
+        publishRoomEvent(result.id, "player-joined", {
+          room: serializeRoom(result),
+        });
+      }
+
       // ส่ง Response กลับไป
       res.json({
         success: true,
@@ -269,6 +663,8 @@ router.post(
             player2Id: result.player2Id,
             currentTurn: result.currentTurn,
             board: result.board,
+            boardSize: result.boardSize,
+            winLength: result.winLength,
             createdAt: result.createdAt,
             // อาจจะส่ง flag บอกไปด้วยว่าเข้ามาในฐานะอะไร
             isSpectator:
@@ -408,44 +804,100 @@ router.post(
         });
       }
 
-      // === Player1 (creator) leaves → DELETE the room entirely ===
-      if (room.player1Id === req.user.id) {
-        await prisma.spectator.deleteMany({ where: { roomId: room.id } });
-        await prisma.move.deleteMany({ where: { roomId: room.id } });
-        await prisma.room.delete({ where: { id: room.id } });
-
+      // เกมที่จบแล้วเก็บไว้เป็นประวัติ → แค่ออกจากห้อง ไม่ลบ/รีเซ็ตห้อง
+      if (room.status === "finished") {
         return res.json({
           success: true,
-          message: "Room deleted (creator left)",
+          message: "Left the room",
         });
       }
 
-      // === Player2 leaves ===
-      if (room.player2Id === req.user.id) {
-        if (room.status === "in-progress") {
-          // Player2 ออกขณะเล่น → Player1 ชนะ (forfeit)
-          await prisma.room.update({
-            where: { id: room.id },
+      // === A player leaves a game in progress → forfeit, the opponent wins ===
+      // เก็บห้องไว้เป็นประวัติและคิด rating (ไม่ลบห้องทิ้งเพื่อหนีการแพ้)
+      // ที่นั่งของคนที่ออกยังอยู่ในห้อง เพื่อให้ replay, history และ leaderboard นับเกมนี้
+      if (
+        room.status === "in-progress" &&
+        (room.player1Id === req.user.id || room.player2Id === req.user.id)
+      ) {
+        const winnerRole =
+          room.player1Id === req.user.id ? "player2" : "player1";
+        const finishedRoom = await prisma.$transaction(async (tx) => {
+          // Conditional so a move that finished the game meanwhile is kept
+          const claimed = await tx.room.updateMany({
+            where: { id: room.id, status: "in-progress", version: room.version },
             data: {
               status: "finished",
-              winnerId: room.player1Id,
-              player2Id: null,
+              winnerId: room[`${winnerRole}Id`],
+              currentTurn: null,
+              drawOfferedBy: null,
+              endReason: "forfeit",
+              finishedAt: new Date(),
+              version: room.version + 1,
             },
           });
 
-          return res.json({
-            success: true,
-            message: "You forfeited. Player 1 wins.",
+          if (claimed.count === 0) return null;
+
+          const updatedRoom = await tx.room.findUnique({
+            where: { id: room.id },
+            include: ROOM_PLAYERS_INCLUDE,
+          });
+          updatedRoom.ratingChanges = await applyRatingChanges(tx, updatedRoom);
+          updatedRoom.series = await recordSeriesResult(tx, updatedRoom);
+
+          return updatedRoom;
+        });
+
+        if (!finishedRoom) {
+          return res.status(409).json({
+            success: false,
+            error: "Game state has changed. Please refresh and try again.",
           });
         }
 
+        const roomPayload = serializeRoom(finishedRoom);
+
+        publishRoomEvent(room.id, "forfeit", { room: roomPayload });
+
+        return res.json({
+          success: true,
+          message: `You forfeited. Player ${winnerRole === "player1" ? 1 : 2} wins.`,
+          data: { room: roomPayload },
+        });
+      }
+
+      // === Player1 (creator) leaves a waiting room → DELETE the room entirely ===
+      if (room.player1Id === req.user.id) {
+        await prisma.spectator.deleteMany({ where: { roomId: room.id } });
+        await prisma.move.deleteMany({ where: { roomId: room.id } });
+        await prisma.room.delete({ where: { id: room.id } });
+
+        publishRoomEvent(room.id, "room-deleted", {
+          room: null,
+          reason: "creator-left",
+        });
+
+        return res.json({
+          success: true,
+          message: "Room deleted (creator left)",
+        });
+      }
+
+      // === Player2 leaves ===
+      if (room.player2Id === req.user.id) {
         // ห้อง waiting → player2 ออกได้ปกติ
-        await prisma.room.update({
+        const updatedRoom = await prisma.room.update({
           where: { id: room.id },
           data: {
             player2Id: null,
             status: "waiting",
+            version: { increment: 1 },
           },
+          include: ROOM_PLAYERS_INCLUDE,
+        });
+
+        publishRoomEvent(room.id, "player-left", {
+          room: serializeRoom(updatedRoom),
         });
 
         return res.json({
@@ -468,4 +920,504 @@ router.post(
   },
 );
 
+const botDifficultyValidator = body("difficulty")
+  .optional()
+  .isIn(DIFFICULTY_LEVELS)
+  .withMessage(`Difficulty must be one of: ${DIFFICULTY_LEVELS.join(", ")}`);
+
+const ROOM_BOT_ERRORS = {
+  ROOM_NOT_FOUND: { status: 404, message: "Room not found" },
+  NOT_ROOM_CREATOR: {
+    status: 403,
+    message: "Only the room creator can invite a bot",
+  },
+  SEAT_TAKEN: { status: 409, message: "The room already has an opponent" },
+  NOT_A_PLAYER: { status: 403, message: "You are not a player in this game" },
+  GAME_NOT_IN_PROGRESS: { status: 400, message: "Game is not in progress" },
+  BOT_ALREADY_PLAYING: {
+    status: 409,
+    message: "A bot is already playing in this room",
+  },
+  OPPONENT_ACTIVE: {
+    status: 409,
+    message:
+      "Your opponent is still connected or has not been away long enough",
+  },
+  NO_BOT_TAKEOVER: { status: 400, message: "No bot is playing your seat" },
+  VERSION_CONFLICT: {
+    status: 409,
+    message: "Game state has changed. Please refresh and try again.",
+  },
+};
+
+/**
+ * Send the error response for a room bot route
+ * @param {object} res - Express response
+ * @param {Error} error
+ * @param {string} action - For the log and the generic error message
+ */
+const sendRoomBotError = (res, error, action) => {
+  const errorInfo = ROOM_BOT_ERRORS[error.message];
+  if (errorInfo) {
+    return res.status(errorInfo.status).json({
+      success: false,
+      error: errorInfo.message,
+    });
+  }
+
+  console.error(`Room bot (${action}) error:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+  });
+};
+
+/**
+ * @route   POST /api/rooms/:code/bot
+ * @desc    Invite a bot into the empty player2 seat (optional difficulty,
+ *          default impossible). The game starts at once; the bot is not rated.
+ * @access  Private (room creator)
+ */
+router.post(
+  "/:code/bot",
+  authenticate,
+  [
+    param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase(),
+    botDifficultyValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
+
+      const code = req.params.code.toUpperCase();
+      const difficulty = req.body.difficulty || DEFAULT_DIFFICULTY;
+
+      const room = await prisma.$transaction(async (tx) => {
+        const room = await tx.room.findUnique({ where: { code } });
+
+        if (!room) {
+          throw new Error("ROOM_NOT_FOUND");
+        }
+
+        if (room.player1Id !== req.user.id) {
+          throw new Error("NOT_ROOM_CREATOR");
+        }
+
+        const bot = await getBotUser(tx, difficulty);
+
+        // Conditional so a player joining at the same moment keeps the seat
+        const claimed = await tx.room.updateMany({
+          where: { id: room.id, status: "waiting", player2Id: null },
+          data: {
+            player2Id: bot.id,
+            botSeat: "player2",
+            botDifficulty: difficulty,
+            status: "in-progress",
+            ...(room.timeControl && { turnStartedAt: new Date() }),
+            version: { increment: 1 },
+          },
+        });
+
+        if (claimed.count === 0) {
+          throw new Error("SEAT_TAKEN");
+        }
+
+        if (room.seriesId) {
+          await tx.series.update({
+            where: { id: room.seriesId },
+            data: { player2Id: bot.id },
+          });
+        }
+
+        return tx.room.findUnique({
+          where: { id: room.id },
+          include: { ...ROOM_PLAYERS_INCLUDE, series: true },
+        });
+      });
+
+      const roomPayload = serializeRoom(room);
+
+      publishRoomEvent(room.id, "player-joined", { room: roomPayload });
+
+      res.status(201).json({
+        success: true,
+        data: { room: roomPayload },
+      });
+    } catch (error) {
+      sendRoomBotError(res, error, "invite bot");
+    }
+  },
+);
+
+/**
+ * @route   POST /api/rooms/:code/bot/takeover
+ * @desc    Let a bot play the opponent's seat after they disconnected
+ *          (no open connection, their turn idle for BOT_TAKEOVER_IDLE_SECONDS).
+ *          The result still counts for the opponent, so the bot always plays
+ *          at TAKEOVER_DIFFICULTY (the requester can't choose a weak one).
+ * @access  Private (players)
+ */
+router.post(
+  "/:code/bot/takeover",
+  authenticate,
+  [param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array().map((e) => e.msg),
+        });
+      }
+
+      const code = req.params.code.toUpperCase();
+
+      const room = await prisma.$transaction(async (tx) => {
+        const room = await tx.room.findUnique({ where: { code } });
+
+        if (!room) {
+          throw new Error("ROOM_NOT_FOUND");
+        }
+
+        let opponentRole;
+        if (room.player1Id === req.user.id) {
+          opponentRole = "player2";
+        } else if (room.player2Id === req.user.id) {
+          opponentRole = "player1";
+        } else {
+          throw new Error("NOT_A_PLAYER");
+        }
+
+        if (room.status !== "in-progress") {
+          throw new Error("GAME_NOT_IN_PROGRESS");
+        }
+
+        if (room.botSeat) {
+          throw new Error("BOT_ALREADY_PLAYING");
+        }
+
+        if (!(await canTakeOver(room, opponentRole))) {
+          throw new Error("OPPONENT_ACTIVE");
+        }
+
+        const claimed = await tx.room.updateMany({
+          where: { id: room.id, version: room.version },
+          data: {
+            botSeat: opponentRole,
+            botDifficulty: TAKEOVER_DIFFICULTY,
+            version: { increment: 1 },
+          },
+        });
+
+        if (claimed.count === 0) {
+          throw new Error("VERSION_CONFLICT");
+        }
+
+        return tx.room.findUnique({
+          where: { id: room.id },
+          include: ROOM_PLAYERS_INCLUDE,
+        });
+      });
+
+      publishRoomEvent(room.id, "bot-takeover", {
+        room: serializeRoom(room),
+      });
+
+      // It is the absent player's turn, so the bot moves right away
+      const botTurn = await playBotTurn(room.id).catch((err) =>
+        console.error("Bot move error:", err),
+      );
+
+      res.json({
+        success: true,
+        data: {
+          room: serializeRoom(botTurn ? botTurn.room : room),
+          ...(botTurn && { botMove: botTurn.move }),
+        },
+      });
+    } catch (error) {
+      sendRoomBotError(res, error, "hand the seat to a bot");
+    }
+  },
+);
+
+/**
+ * @route   POST /api/rooms/:code/bot/release
+ * @desc    Take your seat back from the bot that played it while you were away
+ * @access  Private (the seat's player)
+ */
+router.post(
+  "/:code/bot/release",
+  authenticate,
+  [param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid room code",
+        });
+      }
+
+      const code = req.params.code.toUpperCase();
+
+      const room = await prisma.$transaction(async (tx) => {
+        const room = await tx.room.findUnique({ where: { code } });
+
+        if (!room) {
+          throw new Error("ROOM_NOT_FOUND");
+        }
+
+        if (room.player1Id !== req.user.id && room.player2Id !== req.user.id) {
+          throw new Error("NOT_A_PLAYER");
+        }
+
+        if (room.status !== "in-progress") {
+          throw new Error("GAME_NOT_IN_PROGRESS");
+        }
+
+        // Only a takeover can be released: an invited bot owns its seat
+        if (!room.botSeat || room[`${room.botSeat}Id`] !== req.user.id) {
+          throw new Error("NO_BOT_TAKEOVER");
+        }
+
+        const claimed = await tx.room.updateMany({
+          where: { id: room.id, version: room.version },
+          data: {
+            botSeat: null,
+            botDifficulty: null,
+            version: { increment: 1 },
+          },
+        });
+
+        if (claimed.count === 0) {
+          throw new Error("VERSION_CONFLICT");
+        }
+
+        return tx.room.findUnique({
+          where: { id: room.id },
+          include: ROOM_PLAYERS_INCLUDE,
+        });
+      });
+
+      const roomPayload = serializeRoom(room);
+
+      publishRoomEvent(room.id, "bot-released", { room: roomPayload });
+
+      res.json({
+        success: true,
+        data: { room: roomPayload },
+      });
+    } catch (error) {
+      sendRoomBotError(res, error, "release the seat");
+    }
+  },
+);
+
+/**
+ * Build the handler for a rematch request or acceptance
+ * A request from the player whose opponent already asked counts as accepting.
+ * Accepting creates the follow-up room with X and O swapped.
+ * @param {boolean} acceptOnly - true for /rematch/accept (requires a pending request)
+ * @returns {function} - Express handler
+ */
+const rematchHandler = (acceptOnly) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room code",
+      });
+    }
+
+    const code = req.params.code.toUpperCase();
+
+    const result = await prisma.$transaction(async (tx) => {
+      const room = await tx.room.findUnique({
+        where: { code },
+        include: {
+          ...ROOM_PLAYERS_INCLUDE,
+          series: true,
+          nextRoom: { select: { id: true, code: true } },
+        },
+      });
+
+      if (!room) {
+        throw new Error("ROOM_NOT_FOUND");
+      }
+
+      if (room.status !== "finished") {
+        throw new Error("GAME_NOT_FINISHED");
+      }
+
+      if (room.archivedAt) {
+        throw new Error("ROOM_ARCHIVED");
+      }
+
+      let playerRole;
+      if (room.player1Id === req.user.id) {
+        playerRole = "player1";
+      } else if (room.player2Id === req.user.id) {
+        playerRole = "player2";
+      } else {
+        throw new Error("NOT_A_PLAYER");
+      }
+
+      if (!room.player1Id || !room.player2Id) {
+        throw new Error("OPPONENT_LEFT");
+      }
+
+      if (room.nextRoom) {
+        throw new Error("REMATCH_EXISTS");
+      }
+
+      // An invited bot always wants a rematch
+      const opponentRole = playerRole === "player1" ? "player2" : "player1";
+      const botOpponent =
+        room.botSeat === opponentRole &&
+        (await isBotUser(tx, room[`${opponentRole}Id`]));
+
+      const opponentRequested =
+        botOpponent ||
+        (room.rematchRequestedBy && room.rematchRequestedBy !== playerRole);
+
+      if (!opponentRequested) {
+        if (acceptOnly) {
+          throw new Error("NO_REMATCH_REQUEST");
+        }
+        if (room.rematchRequestedBy === playerRole) {
+          throw new Error("REMATCH_ALREADY_REQUESTED");
+        }
+
+        const updatedRoom = await tx.room.update({
+          where: { id: room.id },
+          data: { rematchRequestedBy: playerRole, version: { increment: 1 } },
+          include: { ...ROOM_PLAYERS_INCLUDE, series: true },
+        });
+
+        return { room: updatedRoom, nextRoom: null };
+      }
+
+      const nextRoom = await createRematchRoom(tx, room, {
+        keepBot: botOpponent,
+      });
+
+      const updatedRoom = await tx.room.update({
+        where: { id: room.id },
+        data: { rematchRequestedBy: null, version: { increment: 1 } },
+        include: {
+          ...ROOM_PLAYERS_INCLUDE,
+          series: true,
+          nextRoom: { select: { id: true, code: true } },
+        },
+      });
+
+      return { room: updatedRoom, nextRoom };
+    });
+
+    const roomPayload = serializeRoom(result.room);
+
+    if (!result.nextRoom) {
+      publishRoomEvent(result.room.id, "rematch-requested", {
+        room: roomPayload,
+      });
+
+      return res.json({
+        success: true,
+        message: "Rematch requested",
+        data: { room: roomPayload },
+      });
+    }
+
+    // Seats swap, so a bot that played O now opens the rematch as X
+    const botTurn = await playBotTurn(result.nextRoom.id).catch((err) =>
+      console.error("Bot move error:", err),
+    );
+    const nextRoomPayload = serializeRoom(
+      botTurn ? { ...botTurn.room, series: result.nextRoom.series } : result.nextRoom,
+    );
+
+    publishRoomEvent(result.room.id, "rematch-started", {
+      room: roomPayload,
+      nextRoom: nextRoomPayload,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Rematch started",
+      data: { room: roomPayload, nextRoom: nextRoomPayload },
+    });
+  } catch (error) {
+    // previousRoomId is unique → both players accepted at the same time
+    const reason = error.code === "P2002" ? "REMATCH_EXISTS" : error.message;
+
+    const errorMessages = {
+      ROOM_NOT_FOUND: { status: 404, message: "Room not found" },
+      GAME_NOT_FINISHED: { status: 400, message: "Game is not finished yet" },
+      ROOM_ARCHIVED: {
+        status: 400,
+        message: "Rematch is no longer available for this game",
+      },
+      NOT_A_PLAYER: { status: 403, message: "You are not a player in this game" },
+      OPPONENT_LEFT: { status: 400, message: "Your opponent has left the room" },
+      REMATCH_EXISTS: { status: 409, message: "Rematch has already started" },
+      REMATCH_ALREADY_REQUESTED: {
+        status: 409,
+        message: "You have already requested a rematch",
+      },
+      NO_REMATCH_REQUEST: {
+        status: 400,
+        message: "There is no rematch request to accept",
+      },
+    };
+
+    const errorInfo = errorMessages[reason];
+    if (errorInfo) {
+      return res.status(errorInfo.status).json({
+        success: false,
+        error: errorInfo.message,
+      });
+    }
+
+    console.error("Rematch error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start rematch",
+    });
+  }
+};
+
+/**
+ * @route   POST /api/rooms/:code/rematch
+ * @desc    Request a rematch of a finished game (accepts if the opponent already asked)
+ * @access  Private
+ */
+router.post(
+  "/:code/rematch",
+  authenticate,
+  [param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase()],
+  rematchHandler(false),
+);
+
+/**
+ * @route   POST /api/rooms/:code/rematch/accept
+ * @desc    Accept the opponent's rematch request (creates the follow-up room)
+ * @access  Private
+ */
+router.post(
+  "/:code/rematch/accept",
+  authenticate,
+  [param("code").trim().isLength({ min: 6, max: 6 }).toUpperCase()],
+  rematchHandler(true),
+);
+
 module.exports = router;
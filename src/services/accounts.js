@@ -0,0 +1,179 @@
+/**
+ * Accounts Service - guest accounts and removing users
+ * Guests get a generated name and can play without registering; upgrading
+ * keeps the same User row, so history and rating carry over.
+ *
+ * Removing a user deletes what only concerns them (bot games, sessions,
+ * rating history, rooms still waiting for an opponent). A user who appears
+ * in multiplayer games is kept as an anonymous tombstone (deleted_xxxx,
+ * deletedAt) instead, so the other players' rooms, replays and moves still
+ * have both seats.
+ */
+
+const crypto = require('crypto');
+
+const GUEST_USERNAME_PREFIX = 'guest_';
+const DELETED_USERNAME_PREFIX = 'deleted_';
+
+// Prefixes no one can register or rename to
+const RESERVED_USERNAME_PREFIXES = [GUEST_USERNAME_PREFIX, DELETED_USERNAME_PREFIX];
+
+const GUEST_NAME_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const readPositiveInt = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// A username can be changed once per this many days
+const USERNAME_CHANGE_COOLDOWN_DAYS = readPositiveInt('USERNAME_CHANGE_COOLDOWN_DAYS', 30);
+
+/**
+ * @param {string} username - Lowercase username
+ * @returns {boolean} - Whether the name is kept for generated accounts
+ */
+function isReservedUsername(username) {
+    return RESERVED_USERNAME_PREFIXES.some(prefix => username.startsWith(prefix));
+}
+
+/**
+ * Random guest name, e.g. guest_k3v9qa
+ * @param {number} [length] - Random characters after the prefix
+ * @returns {string}
+ */
+function generateGuestUsername(length = 6) {
+    let name = GUEST_USERNAME_PREFIX;
+    for (let i = 0; i < length; i++) {
+        name += GUEST_NAME_ALPHABET[crypto.randomInt(GUEST_NAME_ALPHABET.length)];
+    }
+    return name;
+}
+
+/**
+ * When a user may change their username again
+ * @param {object} user - { usernameChangedAt }
+ * @param {Date} [now]
+ * @returns {Date|null} - null if a change is allowed now
+ */
+function getNextUsernameChange(user, now = new Date()) {
+    if (!user.usernameChangedAt) return null;
+    const next = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+    return next > now ? next : null;
+}
+
+/**
+ * Create a guest user with a free generated name
+ * @param {object} client - Prisma client or transaction
+ * @returns {Promise<object>} - { id, username, rating, isGuest, createdAt }
+ */
+async function createGuestUser(client) {
+    let username;
+    let isUnique = false;
+    while (!isUnique) {
+        username = generateGuestUsername();
+        const existing = await client.user.findUnique({ where: { username } });
+        if (!existing) isUnique = true;
+    }
+
+    // No password: guests can't log in, they keep their session or upgrade
+    return client.user.create({
+        data: { username, password: '', isGuest: true },
+        select: { id: true, username: true, rating: true, isGuest: true, createdAt: true }
+    });
+}
+
+/**
+ * Whether other players' games reference the user
+ * @param {object} tx - Prisma transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function hasMultiplayerHistory(tx, userId) {
+    const [rooms, moves, events, series] = await Promise.all([
+        tx.room.count({
+            where: { OR: [{ player1Id: userId }, { player2Id: userId }, { winnerId: userId }] }
+        }),
+        tx.move.count({ where: { playerId: userId } }),
+        tx.gameEvent.count({ where: { playerId: userId } }),
+        tx.series.count({
+            where: { OR: [{ player1Id: userId }, { player2Id: userId }, { winnerId: userId }] }
+        })
+    ]);
+    return rooms + moves + events + series > 0;
+}
+
+/**
+ * Remove a user (call inside a transaction)
+ * Queue entries and waiting rooms are removed first, with conditional writes,
+ * so a pairing or join racing the removal either finishes before the
+ * in-progress check below sees it, or finds nothing left to claim.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} - { result: 'deleted', or 'anonymized' if multiplayer games
+ *                              reference the user, deletedRoomIds: waiting rooms removed }
+ * @throws {Error} - 'GAME_IN_PROGRESS' if the user is playing a multiplayer game
+ */
+async function removeUser(tx, userId) {
+    // A matchmaker claiming one of these entries waits for this transaction, then finds it gone
+    await tx.matchmakingEntry.deleteMany({ where: { userId } });
+
+    // Rooms nobody has joined yet would otherwise stay open with a deleted creator
+    const waitingRooms = await tx.room.findMany({
+        where: { player1Id: userId, status: 'waiting' },
+        select: { id: true }
+    });
+    const deletedRoomIds = waitingRooms.map(room => room.id);
+    if (deletedRoomIds.length > 0) {
+        // Conditional so a room someone has just joined is kept (and caught below)
+        await tx.room.deleteMany({
+            where: { id: { in: deletedRoomIds }, status: 'waiting', player2Id: null }
+        });
+    }
+
+    const activeGames = await tx.room.count({
+        where: {
+            status: 'in-progress',
+            OR: [{ player1Id: userId }, { player2Id: userId }]
+        }
+    });
+    if (activeGames > 0) {
+        throw new Error('GAME_IN_PROGRESS');
+    }
+
+    // Data that only concerns this user (sessions, queue and leaderboard rows cascade)
+    await tx.botGame.deleteMany({ where: { userId } });
+    await tx.spectator.deleteMany({ where: { userId } });
+    await tx.ratingChange.deleteMany({ where: { userId } });
+
+    if (!(await hasMultiplayerHistory(tx, userId))) {
+        await tx.user.delete({ where: { id: userId } });
+        return { result: 'deleted', deletedRoomIds };
+    }
+
+    await tx.session.deleteMany({ where: { userId } });
+    await tx.leaderboardEntry.deleteMany({ where: { userId } });
+    await tx.user.update({
+        where: { id: userId },
+        data: {
+            username: `${DELETED_USERNAME_PREFIX}${userId.replace(/-/g, '').slice(0, 12)}`,
+            password: '',
+            isGuest: false,
+            isAdmin: false,
+            usernameChangedAt: null,
+            deletedAt: new Date()
+        }
+    });
+    return { result: 'anonymized', deletedRoomIds };
+}
+
+module.exports = {
+    GUEST_USERNAME_PREFIX,
+    DELETED_USERNAME_PREFIX,
+    USERNAME_CHANGE_COOLDOWN_DAYS,
+    isReservedUsername,
+    getNextUsernameChange,
+    generateGuestUsername,
+    createGuestUser,
+    hasMultiplayerHistory,
+    removeUser
+};
@@ -0,0 +1,203 @@
+/**
+ * Analysis Service - solves a position exactly
+ * Every legal square gets its game-theoretic result for the player to move
+ * (win / draw / loss with perfect play from both sides) and the number of
+ * moves until the game ends. Winners take the fastest win, losers hold out
+ * the longest, which is the same preference the bot's minimax uses.
+ *
+ * Positions are solved with a memoized negamax on the main thread, so only
+ * positions with a limited number of empty squares can be analysed, and each
+ * analysis may visit at most MAX_ANALYSIS_NODES positions (a few tenths of a
+ * second) before it gives up. Solved positions go into the shared
+ * transposition table, so the bot, hints and annotations reuse them.
+ */
+
+const {
+    checkWinner,
+    canStillWin,
+    getAvailableMoves,
+    makeMove
+} = require('./gameLogic');
+const { getPositionCache } = require('./transpositionTable');
+
+// 3x3 (9 squares) is always solvable; bigger boards need to be nearly full
+const MAX_ANALYSIS_EMPTY_CELLS = 10;
+
+// Search budget per analysis; positions that need more are refused as too complex
+const MAX_ANALYSIS_NODES = 50000;
+
+const RESULT_NAMES = { 1: 'win', 0: 'draw', [-1]: 'loss' };
+
+/**
+ * Player to move from the mark counts (X always starts)
+ * @param {string} board - Board string
+ * @returns {string} - 'X' or 'O'
+ */
+function getSideToMove(board) {
+    let xCount = 0;
+    let oCount = 0;
+    for (const cell of board) {
+        if (cell === 'X') xCount++;
+        else if (cell === 'O') oCount++;
+    }
+    return xCount === oCount ? 'X' : 'O';
+}
+
+/**
+ * Whether (value, distance) is better for the mover than the current best
+ * @returns {boolean}
+ */
+function isBetter(value, distance, best) {
+    if (!best || value > best.value) return true;
+    if (value < best.value) return false;
+    // Same result: win fast, lose slow
+    return value < 0 ? distance > best.distance : distance < best.distance;
+}
+
+/**
+ * Solve a position for the side to move
+ * @param {string} board - Board string
+ * @param {string} toMove - 'X' or 'O'
+ * @param {number} winLength - Marks in a row needed
+ * @param {object} memo - Map-like cache of solved positions (the side to move is implied by the board)
+ * @param {object} [budget] - { remaining } positions the search may still visit (unlimited if omitted)
+ * @returns {object} - { value: 1 | 0 | -1, distance }
+ * @throws {Error} - 'POSITION_TOO_COMPLEX' when the budget runs out
+ */
+function solve(board, toMove, winLength, memo, budget) {
+    const cached = memo.get(board);
+    if (cached) return cached;
+
+    // Only finished subtrees reach the memo, so stopping halfway leaves it valid
+    if (budget && --budget.remaining < 0) {
+        throw new Error('POSITION_TOO_COMPLEX');
+    }
+
+    let result;
+    const moves = getAvailableMoves(board);
+
+    if (checkWinner(board, winLength)) {
+        // The previous move won
+        result = { value: -1, distance: 0 };
+    } else if (moves.length === 0) {
+        result = { value: 0, distance: 0 };
+    } else if (!canStillWin(board, 'X', winLength) && !canStillWin(board, 'O', winLength)) {
+        // Dead position: a draw once the board fills up
+        result = { value: 0, distance: moves.length };
+    } else {
+        const next = toMove === 'X' ? 'O' : 'X';
+        let best = null;
+
+        for (const position of moves) {
+            const child = solve(makeMove(board, position, toMove), next, winLength, memo, budget);
+            const value = -child.value;
+            const distance = child.distance + 1;
+
+            if (isBetter(value, distance, best)) {
+                best = { value, distance };
+                if (value === 1 && distance === 1) break; // Cannot do better than winning now
+            }
+        }
+
+        result = best;
+    }
+
+    memo.set(board, result);
+    return result;
+}
+
+/**
+ * Solve every legal square of a position that is still being played
+ * @param {string} board - Board string with at least one empty square
+ * @param {string} toMove - 'X' or 'O'
+ * @param {number} winLength - Marks in a row needed
+ * @param {object} [memo] - Map-like cache, e.g. getPositionCache(`exact:${winLength}`)
+ * @param {object} [options] - { maxNodes: positions the search may visit, unlimited by default }
+ * @returns {object} - { scored: [{ position, value, distance }], best } (values from the mover's side)
+ * @throws {Error} - 'POSITION_TOO_COMPLEX' when maxNodes runs out
+ */
+function scoreMoves(board, toMove, winLength, memo = new Map(), { maxNodes } = {}) {
+    const next = toMove === 'X' ? 'O' : 'X';
+    const budget = maxNodes ? { remaining: maxNodes } : undefined;
+
+    const scored = getAvailableMoves(board).map(position => {
+        const child = solve(makeMove(board, position, toMove), next, winLength, memo, budget);
+        return { position, value: -child.value, distance: child.distance + 1 };
+    });
+
+    // The best square decides the evaluation; ties are all best moves
+    let best = null;
+    for (const square of scored) {
+        if (isBetter(square.value, square.distance, best)) {
+            best = square;
+        }
+    }
+
+    return { scored, best };
+}
+
+/**
+ * Analyse every legal square of a position
+ * @param {string} board - Valid board string (see validateBoard)
+ * @param {number} winLength - Marks in a row needed
+ * @returns {object} - { toMove, gameOver, winner, evaluation, squares }
+ * @throws {Error} - 'POSITION_TOO_COMPLEX' when too many squares are empty or
+ *                   the search needs more than MAX_ANALYSIS_NODES positions
+ */
+function analyzePosition(board, winLength) {
+    const toMove = getSideToMove(board);
+    const winner = checkWinner(board, winLength);
+    const moves = getAvailableMoves(board);
+
+    if (winner || moves.length === 0) {
+        return {
+            toMove: null,
+            gameOver: true,
+            winner,
+            evaluation: null,
+            squares: []
+        };
+    }
+
+    if (moves.length > MAX_ANALYSIS_EMPTY_CELLS) {
+        throw new Error('POSITION_TOO_COMPLEX');
+    }
+
+    const next = toMove === 'X' ? 'O' : 'X';
+    const { scored, best } = scoreMoves(board, toMove, winLength, getPositionCache(`exact:${winLength}`), {
+        maxNodes: MAX_ANALYSIS_NODES
+    });
+
+    const bestMoves = scored
+        .filter(square => square.value === best.value && square.distance === best.distance)
+        .map(square => square.position);
+
+    let predictedWinner = null;
+    if (best.value === 1) predictedWinner = toMove;
+    else if (best.value === -1) predictedWinner = next;
+
+    return {
+        toMove,
+        gameOver: false,
+        winner: null,
+        evaluation: {
+            result: RESULT_NAMES[best.value],
+            winner: predictedWinner,
+            distance: best.distance,
+            bestMoves
+        },
+        squares: scored.map(square => ({
+            position: square.position,
+            result: RESULT_NAMES[square.value],
+            distance: square.distance
+        }))
+    };
+}
+
+module.exports = {
+    MAX_ANALYSIS_EMPTY_CELLS,
+    MAX_ANALYSIS_NODES,
+    getSideToMove,
+    scoreMoves,
+    analyzePosition
+};
@@ -0,0 +1,245 @@
+/**
+ * Annotation Service - labels every move of a finished game
+ * Each move is compared with the exact evaluation of the position it was
+ * played in (the same win-fast / lose-slow minimax the bot plays):
+ *   best       - one of the strongest moves
+ *   good       - keeps the result but is slower to win / quicker to lose
+ *   inaccuracy - drew when it could have won
+ *   blunder    - turned a win or a draw into a loss
+ *
+ * Labels are computed once, shortly after the game finishes, by the
+ * annotation job (jobs/annotations.js) and stored on the moves, so replays and
+ * history never run the engine again. Solving stays out of the transaction
+ * that finishes the game, each position gets a node budget and the job yields
+ * between positions, so a big board can't stall other requests. Positions too
+ * complex to solve within the budget (early moves on big boards) stay unlabelled.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { createEmptyBoard, makeMove } = require('./gameLogic');
+const { MAX_ANALYSIS_EMPTY_CELLS, scoreMoves } = require('./analysis');
+const { getPositionCache } = require('./transpositionTable');
+
+const prisma = new PrismaClient();
+
+const ANNOTATION_LABELS = ['best', 'good', 'inaccuracy', 'blunder'];
+
+// Positions the solver may visit per move (roughly 0.1 s); bigger searches leave the move unlabelled
+const ANNOTATION_MAX_NODES = 20000;
+
+// Games annotated per job run (rooms and bot games each)
+const ANNOTATION_BATCH = 10;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Label a move from its solved value and the best value available
+ * @param {object} played - { value, distance } of the move played
+ * @param {object} best - { value, distance } of the best move
+ * @returns {string} - One of ANNOTATION_LABELS
+ */
+function classifyMove(played, best) {
+    if (played.value === best.value) {
+        // Every drawing move is as good as any other
+        return played.value === 0 || played.distance === best.distance ? 'best' : 'good';
+    }
+    return best.value === 1 && played.value === 0 ? 'inaccuracy' : 'blunder';
+}
+
+/**
+ * Label one move from the position it was played in
+ * @param {string} board - Position before the move
+ * @param {object} move - { position, symbol }
+ * @param {number} winLength - Marks in a row needed
+ * @param {object} memo - Map-like cache of solved positions
+ * @returns {string|null} - Label, or null if the position is too complex to solve
+ */
+function labelMove(board, move, winLength, memo) {
+    const emptyCells = board.split('-').length - 1;
+    if (emptyCells > MAX_ANALYSIS_EMPTY_CELLS) {
+        return null;
+    }
+
+    try {
+        const { scored, best } = scoreMoves(board, move.symbol, winLength, memo, { maxNodes: ANNOTATION_MAX_NODES });
+        const played = scored.find(square => square.position === move.position);
+        return played ? classifyMove(played, best) : null;
+    } catch (error) {
+        if (error.message === 'POSITION_TOO_COMPLEX') return null;
+        throw error;
+    }
+}
+
+/**
+ * Label every move of a game (yields to the event loop between moves)
+ * @param {number} boardSize - Board side length
+ * @param {number} winLength - Marks in a row needed
+ * @param {object[]} moves - { position, symbol } ordered by moveOrder
+ * @returns {Promise<Array<string|null>>} - Label per move (null = position too complex)
+ */
+async function annotateMoves(boardSize, winLength, moves) {
+    const memo = getPositionCache(`exact:${winLength}`);
+    const labels = [];
+    let board = createEmptyBoard(boardSize);
+
+    for (const move of moves) {
+        labels.push(labelMove(board, move, winLength, memo));
+        board = makeMove(board, move.position, move.symbol);
+        await yieldToEventLoop();
+    }
+
+    return labels;
+}
+
+/**
+ * Summary of one player's labels
+ * @param {Array<string|null>} labels - Labels of the player's moves
+ * @returns {object} - { accuracy, rated, best, good, inaccuracy, blunder }
+ *   accuracy = % of rated moves that kept the result (null if none were rated)
+ */
+function summarizeAnnotations(labels) {
+    const summary = { accuracy: null, rated: 0, best: 0, good: 0, inaccuracy: 0, blunder: 0 };
+
+    for (const label of labels) {
+        if (!label) continue;
+        summary.rated++;
+        summary[label]++;
+    }
+
+    if (summary.rated > 0) {
+        summary.accuracy = Math.round(((summary.best + summary.good) / summary.rated) * 1000) / 10;
+    }
+
+    return summary;
+}
+
+/**
+ * Store labels on the game's move rows (one updateMany per label)
+ * @param {object} moveTable - tx.move or tx.botMove
+ * @param {object} where - Filter selecting the game's moves
+ * @param {object[]} moves - Moves with moveOrder
+ * @param {Array<string|null>} labels - Label per move
+ */
+async function storeLabels(moveTable, where, moves, labels) {
+    for (const label of ANNOTATION_LABELS) {
+        const moveOrders = moves
+            .filter((move, index) => labels[index] === label)
+            .map(move => move.moveOrder);
+
+        if (moveOrders.length > 0) {
+            await moveTable.updateMany({
+                where: { ...where, moveOrder: { in: moveOrders } },
+                data: { annotation: label }
+            });
+        }
+    }
+}
+
+/**
+ * Annotate a finished room (outside any transaction; labels are written in one)
+ * @param {object} room - Finished room { id, boardSize, winLength }
+ * @returns {Promise<boolean>} - false if the room was annotated meanwhile or is gone
+ */
+async function annotateRoom(room) {
+    const moves = await prisma.move.findMany({
+        where: { roomId: room.id },
+        orderBy: { moveOrder: 'asc' },
+        select: { position: true, symbol: true, moveOrder: true }
+    });
+
+    const labels = await annotateMoves(room.boardSize, room.winLength, moves);
+
+    // player1 always plays X
+    const labelsOf = symbol => labels.filter((label, index) => moves[index].symbol === symbol);
+
+    return prisma.$transaction(async (tx) => {
+        // Conditional so two runs can't both write the labels
+        const claimed = await tx.room.updateMany({
+            where: { id: room.id, annotatedAt: null },
+            data: {
+                player1Accuracy: summarizeAnnotations(labelsOf('X')).accuracy,
+                player2Accuracy: summarizeAnnotations(labelsOf('O')).accuracy,
+                annotatedAt: new Date()
+            }
+        });
+
+        if (claimed.count === 0) return false;
+
+        await storeLabels(tx.move, { roomId: room.id }, moves, labels);
+        return true;
+    });
+}
+
+/**
+ * Annotate a finished bot game (outside any transaction; labels are written in one)
+ * @param {object} game - Finished BotGame { id, boardSize, winLength }
+ * @returns {Promise<boolean>} - false if the game was annotated meanwhile or is gone
+ */
+async function annotateBotGame(game) {
+    const moves = await prisma.botMove.findMany({
+        where: { gameId: game.id },
+        orderBy: { moveOrder: 'asc' },
+        select: { player: true, position: true, symbol: true, moveOrder: true }
+    });
+
+    const labels = await annotateMoves(game.boardSize, game.winLength, moves);
+    const labelsOf = player => labels.filter((label, index) => moves[index].player === player);
+
+    return prisma.$transaction(async (tx) => {
+        const claimed = await tx.botGame.updateMany({
+            where: { id: game.id, annotatedAt: null },
+            data: {
+                playerAccuracy: summarizeAnnotations(labelsOf('player')).accuracy,
+                botAccuracy: summarizeAnnotations(labelsOf('bot')).accuracy,
+                annotatedAt: new Date()
+            }
+        });
+
+        if (claimed.count === 0) return false;
+
+        await storeLabels(tx.botMove, { gameId: game.id }, moves, labels);
+        return true;
+    });
+}
+
+/**
+ * Annotate finished games that have no labels yet (one batch, oldest first)
+ * @returns {Promise<number>} - Games annotated
+ */
+async function annotatePendingGames() {
+    const [rooms, botGames] = await Promise.all([
+        prisma.room.findMany({
+            where: { status: 'finished', annotatedAt: null },
+            orderBy: { updatedAt: 'asc' },
+            take: ANNOTATION_BATCH,
+            select: { id: true, boardSize: true, winLength: true }
+        }),
+        prisma.botGame.findMany({
+            where: { status: 'finished', annotatedAt: null },
+            orderBy: { updatedAt: 'asc' },
+            take: ANNOTATION_BATCH,
+            select: { id: true, boardSize: true, winLength: true }
+        })
+    ]);
+
+    let annotated = 0;
+    for (const room of rooms) {
+        if (await annotateRoom(room)) annotated++;
+    }
+    for (const game of botGames) {
+        if (await annotateBotGame(game)) annotated++;
+    }
+    return annotated;
+}
+
+module.exports = {
+    ANNOTATION_LABELS,
+    ANNOTATION_MAX_NODES,
+    classifyMove,
+    labelMove,
+    annotateMoves,
+    summarizeAnnotations,
+    annotateRoom,
+    annotateBotGame,
+    annotatePendingGames
+};
@@ -1,101 +1,290 @@
 /**
  * Bot Service - Unbeatable Tic-Tac-Toe Bot using Minimax Algorithm
  * The bot will never lose - it will either win or draw
+ *
+ * Small positions (every 3x3 position) are solved exactly with the memoized
+ * negamax from analysis.js. Larger boards (4x4 and up) cannot be searched to
+ * the end, so they use a depth-limited alpha-beta search with a heuristic
+ * evaluation instead. Both searches keep positions in the shared
+ * transposition table, keyed by symmetry-canonical board.
+ *
+ * Lower difficulty levels play the same engine but make human-like mistakes:
+ * occasional random moves, a shallow search and sometimes missing a block.
  */
 
-const { checkWinner, isDraw, getAvailableMoves, makeMove } = require('./gameLogic');
+const {
+    checkWinner,
+    isDraw,
+    getAvailableMoves,
+    makeMove,
+    getBoardSize,
+    getDefaultWinLength,
+    getWinningLines
+} = require('./gameLogic');
+const { scoreMoves } = require('./analysis');
+const { getPositionCache } = require('./transpositionTable');
+
+// Difficulty levels, weakest first
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'impossible'];
+const DEFAULT_DIFFICULTY = 'impossible';
+
+// Positions with this many empty squares or fewer are solved exactly (all of 3x3)
+const MAX_EXACT_EMPTY_CELLS = 9;
+
+// Search score of a win (minus the plies it takes)
+const WIN_SCORE = 1e9;
+
+/**
+ * How often each level makes a mistake
+ * - randomMoveChance: play a random nearby move instead of searching
+ * - missBlockChance: ignore the opponent's immediate winning threat
+ * - searchDepth: plies searched (null = full minimax / strongest search)
+ */
+const DIFFICULTY_SETTINGS = {
+    easy: { randomMoveChance: 0.4, missBlockChance: 0.5, searchDepth: 1 },
+    medium: { randomMoveChance: 0.15, missBlockChance: 0.25, searchDepth: 2 },
+    hard: { randomMoveChance: 0.05, missBlockChance: 0.1, searchDepth: 3 },
+    impossible: { randomMoveChance: 0, missBlockChance: 0, searchDepth: null }
+};
+
+/**
+ * Search depth for boards that cannot be solved completely
+ * @param {number} cellCount - Number of cells on the board
+ * @returns {number}
+ */
+function getSearchDepth(cellCount) {
+    if (cellCount <= 16) return 4;
+    if (cellCount <= 25) return 3;
+    return 2;
+}
+
+/**
+ * Heuristic evaluation for large boards
+ * Every winning line still open for only one side scores by how full it is
+ * @param {string} board - Current board state
+ * @param {string} botSymbol - Bot's symbol
+ * @param {string} playerSymbol - Player's symbol
+ * @param {number} winLength - Marks in a row needed to win
+ * @returns {number} - Positive favours the bot
+ */
+function evaluateBoard(board, botSymbol, playerSymbol, winLength) {
+    const lines = getWinningLines(getBoardSize(board), winLength);
+    let score = 0;
+
+    for (const line of lines) {
+        let botCount = 0;
+        let playerCount = 0;
+
+        for (const index of line) {
+            if (board[index] === botSymbol) botCount++;
+            else if (board[index] === playerSymbol) playerCount++;
+        }
+
+        if (botCount > 0 && playerCount === 0) {
+            score += Math.pow(10, botCount);
+        } else if (playerCount > 0 && botCount === 0) {
+            score -= Math.pow(10, playerCount);
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Empty cells next to an existing mark (or the centre on an empty board)
+ * Keeps the branching factor small on large boards
+ * @param {string} board - Current board state
+ * @returns {number[]}
+ */
+function getCandidateMoves(board) {
+    const boardSize = getBoardSize(board);
+    const candidates = [];
+
+    if (!board.includes('X') && !board.includes('O')) {
+        return [Math.floor(boardSize / 2) * boardSize + Math.floor(boardSize / 2)];
+    }
+
+    for (let index = 0; index < board.length; index++) {
+        if (board[index] !== '-') continue;
+
+        const row = Math.floor(index / boardSize);
+        const col = index % boardSize;
+        let hasNeighbour = false;
+
+        for (let dRow = -1; dRow <= 1 && !hasNeighbour; dRow++) {
+            for (let dCol = -1; dCol <= 1; dCol++) {
+                const r = row + dRow;
+                const c = col + dCol;
+                if ((dRow || dCol) && r >= 0 && r < boardSize && c >= 0 && c < boardSize
+                    && board[r * boardSize + c] !== '-') {
+                    hasNeighbour = true;
+                    break;
+                }
+            }
+        }
+
+        if (hasNeighbour) candidates.push(index);
+    }
+
+    return candidates;
+}
+
+/**
+ * Win scores are stored relative to the position so the table can be shared
+ * between searches that reach it at different depths
+ */
+function toStoredScore(score, ply) {
+    if (score > WIN_SCORE / 2) return score + ply;
+    if (score < -WIN_SCORE / 2) return score - ply;
+    return score;
+}
+
+function fromStoredScore(score, ply) {
+    if (score > WIN_SCORE / 2) return score - ply;
+    if (score < -WIN_SCORE / 2) return score + ply;
+    return score;
+}
 
 /**
- * Minimax algorithm with alpha-beta pruning
+ * Depth-limited negamax with alpha-beta pruning for large boards
+ * Scores are from the side to move. Results go into the shared
+ * transposition table with the depth searched and whether the score is
+ * exact or only a bound (alpha-beta cut the search short).
  * @param {string} board - Current board state
- * @param {number} depth - Current depth in the game tree
- * @param {boolean} isMaximizing - True if maximizing player (bot)
+ * @param {string} toMove - Symbol to move
+ * @param {string} opponent - The other symbol
+ * @param {number} depthLeft - Plies left to search
+ * @param {number} ply - Plies from the root (faster wins score higher)
  * @param {number} alpha - Alpha value for pruning
  * @param {number} beta - Beta value for pruning
- * @param {string} botSymbol - Bot's symbol ('X' or 'O')
- * @param {string} playerSymbol - Player's symbol ('X' or 'O')
- * @returns {number} - Score of the board position
+ * @param {number} winLength - Marks in a row needed to win
+ * @param {object} cache - Position cache (see transpositionTable.js)
+ * @returns {number} - Heuristic score for the side to move
  */
-function minimax(board, depth, isMaximizing, alpha, beta, botSymbol, playerSymbol) {
-    // Check terminal states
-    const winner = checkWinner(board);
-
-    if (winner === botSymbol) {
-        return 10 - depth; // Bot wins (prefer faster wins)
+function negamaxSearch(board, toMove, opponent, depthLeft, ply, alpha, beta, winLength, cache) {
+    if (checkWinner(board, winLength)) {
+        return ply - WIN_SCORE; // The previous move won
     }
-    if (winner === playerSymbol) {
-        return depth - 10; // Player wins (prefer slower losses)
+    if (!board.includes('-')) {
+        return 0;
     }
-    if (isDraw(board)) {
-        return 0; // Draw
+    if (depthLeft === 0) {
+        return evaluateBoard(board, toMove, opponent, winLength);
     }
 
-    const availableMoves = getAvailableMoves(board);
+    const alphaOriginal = alpha;
+    const entry = cache.get(board);
+    if (entry && entry.depth >= depthLeft) {
+        const score = fromStoredScore(entry.score, ply);
+        if (entry.bound === 'exact') return score;
+        if (entry.bound === 'lower') alpha = Math.max(alpha, score);
+        else beta = Math.min(beta, score);
+        if (alpha >= beta) return score;
+    }
 
-    if (isMaximizing) {
-        // Bot's turn - maximize score
-        let maxScore = -Infinity;
+    let best = -Infinity;
+    for (const position of getCandidateMoves(board)) {
+        const newBoard = makeMove(board, position, toMove);
+        const score = -negamaxSearch(newBoard, opponent, toMove, depthLeft - 1, ply + 1, -beta, -alpha, winLength, cache);
 
-        for (const position of availableMoves) {
-            const newBoard = makeMove(board, position, botSymbol);
-            const score = minimax(newBoard, depth + 1, false, alpha, beta, botSymbol, playerSymbol);
-            maxScore = Math.max(maxScore, score);
-            alpha = Math.max(alpha, score);
+        best = Math.max(best, score);
+        alpha = Math.max(alpha, score);
 
-            if (beta <= alpha) {
-                break; // Alpha-beta pruning
-            }
+        if (alpha >= beta) {
+            break; // Alpha-beta pruning
         }
+    }
 
-        return maxScore;
-    } else {
-        // Player's turn - minimize score
-        let minScore = Infinity;
+    let bound = 'exact';
+    if (best <= alphaOriginal) bound = 'upper';
+    else if (best >= beta) bound = 'lower';
+    cache.set(board, { depth: depthLeft, score: toStoredScore(best, ply), bound });
 
-        for (const position of availableMoves) {
-            const newBoard = makeMove(board, position, playerSymbol);
-            const score = minimax(newBoard, depth + 1, true, alpha, beta, botSymbol, playerSymbol);
-            minScore = Math.min(minScore, score);
-            beta = Math.min(beta, score);
+    return best;
+}
 
-            if (beta <= alpha) {
-                break; // Alpha-beta pruning
-            }
+/**
+ * Pick the move with the best depth-limited search score
+ * @param {string} board - Current board state
+ * @param {string} botSymbol - Bot's symbol
+ * @param {string} playerSymbol - Player's symbol
+ * @param {number} winLength - Marks in a row needed to win
+ * @param {number} maxDepth - Plies to search
+ * @returns {number} - Position to play
+ */
+function searchBestMove(board, botSymbol, playerSymbol, winLength, maxDepth) {
+    const cache = getPositionCache(`search:${winLength}`);
+    const candidates = getCandidateMoves(board);
+    let bestMove = candidates[0];
+    let bestScore = -Infinity;
+
+    for (const position of candidates) {
+        const newBoard = makeMove(board, position, botSymbol);
+        const score = -negamaxSearch(newBoard, playerSymbol, botSymbol, maxDepth - 1, 1, -Infinity, -bestScore, winLength, cache);
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestMove = position;
+        }
+    }
+
+    return bestMove;
+}
+
+/**
+ * Solve the position exactly and pick the best move
+ * Wins as fast as possible, loses as slowly as possible; equally good moves
+ * are split by the heuristic (e.g. the centre of an empty 3x3 board).
+ * @param {string} board - Current board state
+ * @param {string} botSymbol - Bot's symbol
+ * @param {string} playerSymbol - Player's symbol
+ * @param {number} winLength - Marks in a row needed to win
+ * @returns {number} - Position to play
+ */
+function solveBestMove(board, botSymbol, playerSymbol, winLength) {
+    const { scored, best } = scoreMoves(board, botSymbol, winLength, getPositionCache(`exact:${winLength}`));
+
+    let bestMove = best.position;
+    let bestTieBreak = -Infinity;
+
+    for (const square of scored) {
+        // Every drawing move is as good as any other
+        if (square.value !== best.value || (square.value !== 0 && square.distance !== best.distance)) {
+            continue;
         }
 
-        return minScore;
+        const tieBreak = evaluateBoard(makeMove(board, square.position, botSymbol), botSymbol, playerSymbol, winLength);
+        if (tieBreak > bestTieBreak) {
+            bestTieBreak = tieBreak;
+            bestMove = square.position;
+        }
     }
+
+    return bestMove;
 }
 
 /**
  * Find the best move for the bot
+ * Positions with few empty squares (every 3x3 position) are solved exactly,
+ * so the bot never loses on 3x3. Larger positions use the depth-limited search.
  * @param {string} board - Current board state
  * @param {string} botSymbol - Bot's symbol ('X' or 'O')
  * @param {string} playerSymbol - Player's symbol ('X' or 'O')
- * @returns {number} - Best position to play (0-8)
+ * @param {number} [winLength] - Marks in a row needed to win (default: board's default)
+ * @returns {number} - Best position to play, or -1 if the board is full
  */
-function findBestMove(board, botSymbol, playerSymbol) {
+function findBestMove(board, botSymbol, playerSymbol, winLength) {
     const availableMoves = getAvailableMoves(board);
+    const rowLength = winLength ?? getDefaultWinLength(getBoardSize(board));
 
     if (availableMoves.length === 0) {
         return -1; // No moves available
     }
 
-    // If board is empty or only one move, use strategy shortcuts
-    if (availableMoves.length === 9) {
-        // First move: center or corner is optimal
-        return 4; // Center
-    }
-
-    if (availableMoves.length === 8 && board[4] === '-') {
-        // If center is available and opponent took a corner, take center
-        return 4;
-    }
-
     // 1. Check for immediate win
     for (const position of availableMoves) {
         const newBoard = makeMove(board, position, botSymbol);
-        if (checkWinner(newBoard) === botSymbol) {
+        if (checkWinner(newBoard, rowLength) === botSymbol) {
             return position;
         }
     }
@@ -103,35 +292,75 @@ function findBestMove(board, botSymbol, playerSymbol) {
     // 2. Check for immediate block
     for (const position of availableMoves) {
         const newBoard = makeMove(board, position, playerSymbol);
-        if (checkWinner(newBoard) === playerSymbol) {
+        if (checkWinner(newBoard, rowLength) === playerSymbol) {
             return position;
         }
     }
 
-    let bestMove = availableMoves[0];
-    let bestScore = -Infinity;
+    // 3. Small positions: exact solve (cached across games and requests)
+    if (availableMoves.length <= MAX_EXACT_EMPTY_CELLS) {
+        return solveBestMove(board, botSymbol, playerSymbol, rowLength);
+    }
+
+    // 4. Large boards: depth-limited search over cells near existing marks
+    return searchBestMove(board, botSymbol, playerSymbol, rowLength, getSearchDepth(board.length));
+}
+
+/**
+ * Find a move for the bot at the given difficulty
+ * @param {string} board - Current board state
+ * @param {string} botSymbol - Bot's symbol ('X' or 'O')
+ * @param {string} playerSymbol - Player's symbol ('X' or 'O')
+ * @param {object} [options] - { difficulty, winLength, random }
+ * @returns {number} - Position to play, or -1 if the board is full
+ */
+function findMoveForDifficulty(board, botSymbol, playerSymbol, options = {}) {
+    const { difficulty = DEFAULT_DIFFICULTY, random = Math.random } = options;
+    const winLength = options.winLength ?? getDefaultWinLength(getBoardSize(board));
+    const settings = DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS[DEFAULT_DIFFICULTY];
+
+    if (settings.searchDepth === null) {
+        return findBestMove(board, botSymbol, playerSymbol, winLength);
+    }
 
+    const availableMoves = getAvailableMoves(board);
+    if (availableMoves.length === 0) {
+        return -1;
+    }
+
+    // Winning moves are never missed - the mistakes are in defence and planning
     for (const position of availableMoves) {
-        const newBoard = makeMove(board, position, botSymbol);
-        const score = minimax(newBoard, 0, false, -Infinity, Infinity, botSymbol, playerSymbol);
+        if (checkWinner(makeMove(board, position, botSymbol), winLength) === botSymbol) {
+            return position;
+        }
+    }
 
-        if (score > bestScore) {
-            bestScore = score;
-            bestMove = position;
+    if (random() >= settings.missBlockChance) {
+        for (const position of availableMoves) {
+            if (checkWinner(makeMove(board, position, playerSymbol), winLength) === playerSymbol) {
+                return position;
+            }
         }
     }
 
-    return bestMove;
+    if (random() < settings.randomMoveChance) {
+        // Stay near the action so the mistake looks plausible on large boards
+        const candidates = getCandidateMoves(board);
+        return candidates[Math.floor(random() * candidates.length)];
+    }
+
+    return searchBestMove(board, botSymbol, playerSymbol, winLength, settings.searchDepth);
 }
 
 /**
  * Check if game is over
  * @param {string} board - Current board state
+ * @param {number} [winLength] - Marks in a row needed to win
  * @returns {object} - { isOver: boolean, winner: string|null, isDraw: boolean }
  */
-function checkGameOver(board) {
-    const winner = checkWinner(board);
-    const draw = isDraw(board);
+function checkGameOver(board, winLength) {
+    const winner = checkWinner(board, winLength);
+    const draw = isDraw(board, winLength);
 
     return {
         isOver: winner !== null || draw,
@@ -141,7 +370,14 @@ function checkGameOver(board) {
 }
 
 module.exports = {
-    minimax,
+    DIFFICULTY_LEVELS,
+    DEFAULT_DIFFICULTY,
+    MAX_EXACT_EMPTY_CELLS,
+    getSearchDepth,
+    evaluateBoard,
+    getCandidateMoves,
+    searchBestMove,
     findBestMove,
+    findMoveForDifficulty,
     checkGameOver
 };
@@ -0,0 +1,198 @@
+/**
+ * Clock Service - time controls for multiplayer rooms
+ *
+ * Two kinds of time control:
+ * - per-move: each move must be made within moveTimeSeconds
+ * - bank: each player has a total bank (initialTimeSeconds) that runs down
+ *   on their turn, plus incrementSeconds added after each move
+ *
+ * Only the player to move has a running clock. It starts at room.turnStartedAt.
+ */
+
+const TIME_CONTROL_TYPES = ['per-move', 'bank'];
+
+const DEFAULT_MOVE_SECONDS = 30;
+const DEFAULT_BANK_SECONDS = 300;
+const MIN_MOVE_SECONDS = 5;
+const MAX_MOVE_SECONDS = 3600;
+const MIN_BANK_SECONDS = 30;
+const MAX_BANK_SECONDS = 3 * 3600;
+const MAX_INCREMENT_SECONDS = 60;
+
+/**
+ * Validate a time control request
+ * @param {object} timeControl - { type, moveSeconds, initialSeconds, incrementSeconds }
+ * @returns {object} - { valid: boolean, error?: string }
+ */
+function validateTimeControl(timeControl) {
+    const { type, moveSeconds, initialSeconds, incrementSeconds } = timeControl;
+
+    if (!TIME_CONTROL_TYPES.includes(type)) {
+        return { valid: false, error: `Time control type must be one of: ${TIME_CONTROL_TYPES.join(', ')}` };
+    }
+
+    if (type === 'per-move' && moveSeconds !== undefined
+        && (moveSeconds < MIN_MOVE_SECONDS || moveSeconds > MAX_MOVE_SECONDS)) {
+        return { valid: false, error: `Move time must be between ${MIN_MOVE_SECONDS} and ${MAX_MOVE_SECONDS} seconds` };
+    }
+
+    if (type === 'bank') {
+        if (initialSeconds !== undefined && (initialSeconds < MIN_BANK_SECONDS || initialSeconds > MAX_BANK_SECONDS)) {
+            return { valid: false, error: `Initial time must be between ${MIN_BANK_SECONDS} and ${MAX_BANK_SECONDS} seconds` };
+        }
+        if (incrementSeconds !== undefined && (incrementSeconds < 0 || incrementSeconds > MAX_INCREMENT_SECONDS)) {
+            return { valid: false, error: `Increment must be between 0 and ${MAX_INCREMENT_SECONDS} seconds` };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Room fields for a new time control
+ * @param {object|undefined} timeControl - Validated request, or undefined for no clock
+ * @returns {object} - Prisma data for Room
+ */
+function createClockFields(timeControl) {
+    if (!timeControl) {
+        return {};
+    }
+
+    if (timeControl.type === 'per-move') {
+        return {
+            timeControl: 'per-move',
+            moveTimeSeconds: timeControl.moveSeconds ?? DEFAULT_MOVE_SECONDS
+        };
+    }
+
+    const initialSeconds = timeControl.initialSeconds ?? DEFAULT_BANK_SECONDS;
+    return {
+        timeControl: 'bank',
+        initialTimeSeconds: initialSeconds,
+        incrementSeconds: timeControl.incrementSeconds ?? 0,
+        player1TimeMs: initialSeconds * 1000,
+        player2TimeMs: initialSeconds * 1000
+    };
+}
+
+/**
+ * Time control settings of an existing room, in request form
+ * (used to give a rematch the same clock)
+ * @param {object} room - Room record
+ * @returns {object|undefined}
+ */
+function getTimeControl(room) {
+    if (!room.timeControl) {
+        return undefined;
+    }
+
+    return {
+        type: room.timeControl,
+        moveSeconds: room.moveTimeSeconds ?? undefined,
+        initialSeconds: room.initialTimeSeconds ?? undefined,
+        incrementSeconds: room.incrementSeconds ?? undefined
+    };
+}
+
+/**
+ * Remaining time for both players at a moment
+ * @param {object} room - Room record
+ * @param {Date} [now]
+ * @returns {object|null} - { player1Ms, player2Ms } or null if the room has no clock
+ */
+function getRemainingTimes(room, now = new Date()) {
+    if (!room.timeControl) {
+        return null;
+    }
+
+    const running = room.status === 'in-progress' && room.turnStartedAt && room.currentTurn;
+    const elapsed = running ? Math.max(0, now - room.turnStartedAt) : 0;
+
+    const base = room.timeControl === 'per-move'
+        ? { player1: room.moveTimeSeconds * 1000, player2: room.moveTimeSeconds * 1000 }
+        : { player1: room.player1TimeMs, player2: room.player2TimeMs };
+
+    if (running) {
+        base[room.currentTurn] -= elapsed;
+    }
+
+    return {
+        player1Ms: Math.max(0, base.player1),
+        player2Ms: Math.max(0, base.player2)
+    };
+}
+
+/**
+ * Which player (if any) has run out of time
+ * @param {object} room - Room record
+ * @param {Date} [now]
+ * @returns {string|null} - 'player1', 'player2' or null
+ */
+function getFlaggedPlayer(room, now = new Date()) {
+    if (!room.timeControl || room.status !== 'in-progress' || !room.turnStartedAt) {
+        return null;
+    }
+
+    const remaining = getRemainingTimes(room, now);
+    return remaining[`${room.currentTurn}Ms`] <= 0 ? room.currentTurn : null;
+}
+
+/**
+ * Clock updates after a player moves
+ * @param {object} room - Room record before the move
+ * @param {string} playerRole - 'player1' or 'player2' (the mover)
+ * @param {Date} [now]
+ * @returns {object} - Prisma data for Room
+ */
+function applyMoveToClock(room, playerRole, now = new Date()) {
+    if (!room.timeControl) {
+        return {};
+    }
+
+    const data = { turnStartedAt: now };
+
+    if (room.timeControl === 'bank') {
+        const elapsed = Math.max(0, now - room.turnStartedAt);
+        const field = `${playerRole}TimeMs`;
+        data[field] = Math.max(0, room[field] - elapsed) + room.incrementSeconds * 1000;
+    }
+
+    return data;
+}
+
+/**
+ * Public clock payload
+ * @param {object} room - Room record
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+function formatClock(room, now = new Date()) {
+    if (!room.timeControl) {
+        return null;
+    }
+
+    const remaining = getRemainingTimes(room, now);
+
+    return {
+        type: room.timeControl,
+        moveTimeSeconds: room.moveTimeSeconds,
+        initialTimeSeconds: room.initialTimeSeconds,
+        incrementSeconds: room.incrementSeconds,
+        player1RemainingMs: remaining.player1Ms,
+        player2RemainingMs: remaining.player2Ms,
+        runningFor: room.status === 'in-progress' ? room.currentTurn : null,
+        turnStartedAt: room.turnStartedAt,
+        serverTime: now.toISOString()
+    };
+}
+
+module.exports = {
+    TIME_CONTROL_TYPES,
+    validateTimeControl,
+    createClockFields,
+    getTimeControl,
+    getRemainingTimes,
+    getFlaggedPlayer,
+    applyMoveToClock,
+    formatClock
+};
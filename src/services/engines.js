@@ -0,0 +1,236 @@
+/**
+ * Bot Engine Registry - every bot strategy behind one interface
+ * An engine is a plain object:
+ *   name               - id used in POST /api/bot/create ({ engine })
+ *   description        - shown by GET /api/bot/engines
+ *   supportsDifficulty - whether the difficulty levels apply
+ *   boardSizes         - board sizes it can play (omit = any)
+ *   chooseMove(board, context) - returns the position to play (or a Promise of it)
+ *     context = { botSymbol, playerSymbol, winLength, difficulty, random }
+ *   learn(tx, game)    - optional, called in the transaction that finishes a game
+ *
+ * New engines are added with registerEngine, without touching the routes.
+ */
+
+const {
+    checkWinner,
+    getAvailableMoves,
+    makeMove,
+    getBoardSize,
+    getWinningLines
+} = require('./gameLogic');
+const {
+    DEFAULT_DIFFICULTY,
+    getSearchDepth,
+    evaluateBoard,
+    getCandidateMoves,
+    searchBestMove,
+    findMoveForDifficulty
+} = require('./bot');
+const { getThreatsThrough } = require('./hints');
+const { findMctsMove } = require('./mcts');
+const { MENACE_BOARD_SIZE, findMenaceMove, learnFromGame } = require('./menace');
+
+const DEFAULT_ENGINE = 'minimax';
+
+const engines = new Map();
+
+/**
+ * First move that completes a line for symbol
+ * @returns {number|null}
+ */
+function findWinningMove(board, symbol, winLength) {
+    for (const position of getAvailableMoves(board)) {
+        if (checkWinner(makeMove(board, position, symbol), winLength) === symbol) {
+            return position;
+        }
+    }
+    return null;
+}
+
+/**
+ * First move that creates two winning threats for symbol
+ * @returns {number|null}
+ */
+function findForkMove(board, symbol, winLength) {
+    const lines = getWinningLines(getBoardSize(board), winLength);
+    for (const position of getAvailableMoves(board)) {
+        if (getThreatsThrough(makeMove(board, position, symbol), position, symbol, lines).size >= 2) {
+            return position;
+        }
+    }
+    return null;
+}
+
+/**
+ * Rule-based play: win, block, fork, stop a fork, centre, then the square
+ * with the best static evaluation (no look-ahead)
+ */
+function chooseHeuristicMove(board, { botSymbol, playerSymbol, winLength }) {
+    const rules = [
+        () => findWinningMove(board, botSymbol, winLength),
+        () => findWinningMove(board, playerSymbol, winLength),
+        () => findForkMove(board, botSymbol, winLength),
+        () => findForkMove(board, playerSymbol, winLength)
+    ];
+
+    for (const rule of rules) {
+        const position = rule();
+        if (position !== null) return position;
+    }
+
+    const boardSize = getBoardSize(board);
+    const center = Math.floor(boardSize / 2) * boardSize + Math.floor(boardSize / 2);
+    if (board[center] === '-') {
+        return center;
+    }
+
+    let bestMove = -1;
+    let bestScore = -Infinity;
+    for (const position of getCandidateMoves(board)) {
+        const score = evaluateBoard(makeMove(board, position, botSymbol), botSymbol, playerSymbol, winLength);
+        if (score > bestScore) {
+            bestScore = score;
+            bestMove = position;
+        }
+    }
+
+    return bestMove;
+}
+
+/**
+ * Add an engine to the registry (replaces an engine with the same name)
+ * @param {object} engine - { name, description, supportsDifficulty, boardSizes, chooseMove, learn }
+ */
+function registerEngine(engine) {
+    if (!engine.name || typeof engine.chooseMove !== 'function') {
+        throw new Error('INVALID_ENGINE');
+    }
+    engines.set(engine.name, { supportsDifficulty: false, boardSizes: null, ...engine });
+}
+
+/**
+ * @param {string} name - Engine name
+ * @returns {object|undefined}
+ */
+function getEngine(name) {
+    return engines.get(name);
+}
+
+/**
+ * @returns {string[]} - Registered engine names
+ */
+function getEngineNames() {
+    return [...engines.keys()];
+}
+
+/**
+ * Engines for listing in the API
+ * @returns {object[]} - { name, description, supportsDifficulty, boardSizes, learns, isDefault }
+ */
+function listEngines() {
+    return [...engines.values()].map(engine => ({
+        name: engine.name,
+        description: engine.description,
+        supportsDifficulty: engine.supportsDifficulty,
+        boardSizes: engine.boardSizes,
+        learns: typeof engine.learn === 'function',
+        isDefault: engine.name === DEFAULT_ENGINE
+    }));
+}
+
+/**
+ * Whether an engine can play a board size
+ * @param {object} engine - Registered engine
+ * @param {number} boardSize - Board side length
+ * @returns {boolean}
+ */
+function supportsBoardSize(engine, boardSize) {
+    return !engine.boardSizes || engine.boardSizes.includes(boardSize);
+}
+
+/**
+ * Ask an engine for the bot's move
+ * @param {string} name - Engine name (unknown names fall back to the default engine)
+ * @param {string} board - Current board state
+ * @param {object} context - { botSymbol, playerSymbol, winLength, difficulty, random }
+ * @returns {Promise<number>} - Position to play, or -1 if the board is full
+ */
+async function chooseMove(name, board, context) {
+    if (getAvailableMoves(board).length === 0) {
+        return -1;
+    }
+
+    const engine = engines.get(name) || engines.get(DEFAULT_ENGINE);
+    return engine.chooseMove(board, { random: Math.random, ...context });
+}
+
+/**
+ * Let a learning engine learn from a finished game (call inside the finishing transaction)
+ * @param {object} tx - Prisma transaction client
+ * @param {object} game - Finished BotGame
+ * @returns {Promise<*>} - Whatever the engine's learn returns, or null for engines that don't learn
+ */
+async function learnFromFinishedGame(tx, game) {
+    const engine = engines.get(game.engine);
+    if (!engine || typeof engine.learn !== 'function') {
+        return null;
+    }
+    return engine.learn(tx, game);
+}
+
+registerEngine({
+    name: 'minimax',
+    description: 'Perfect minimax with alpha-beta on 3x3 (never loses), depth-limited search on larger boards. Supports difficulty levels.',
+    supportsDifficulty: true,
+    chooseMove: (board, { botSymbol, playerSymbol, winLength, difficulty = DEFAULT_DIFFICULTY, random }) =>
+        findMoveForDifficulty(board, botSymbol, playerSymbol, { difficulty, winLength, random })
+});
+
+registerEngine({
+    name: 'depth-limited',
+    description: 'Alpha-beta search a few moves ahead with a heuristic evaluation, on every board size.',
+    chooseMove: (board, { botSymbol, playerSymbol, winLength }) =>
+        searchBestMove(board, botSymbol, playerSymbol, winLength, getSearchDepth(board.length))
+});
+
+registerEngine({
+    name: 'mcts',
+    description: 'Monte Carlo tree search with random playouts; needs no evaluation function, so it plays any board size.',
+    chooseMove: (board, { botSymbol, playerSymbol, winLength, random }) =>
+        findMctsMove(board, botSymbol, playerSymbol, { winLength, random })
+});
+
+registerEngine({
+    name: 'heuristic',
+    description: 'Rule-based play: win, block, fork, stop forks, take the centre, then the best-looking square.',
+    chooseMove: chooseHeuristicMove
+});
+
+registerEngine({
+    name: 'menace',
+    description: 'Self-learning matchbox bot (MENACE): starts out weak and learns from every game it plays. Classic 3x3 only.',
+    boardSizes: [MENACE_BOARD_SIZE],
+    chooseMove: (board, { random }) => findMenaceMove(board, { random }),
+    learn: learnFromGame
+});
+
+registerEngine({
+    name: 'random',
+    description: 'Plays a random empty square.',
+    chooseMove: (board, { random }) => {
+        const moves = getAvailableMoves(board);
+        return moves[Math.floor(random() * moves.length)];
+    }
+});
+
+module.exports = {
+    DEFAULT_ENGINE,
+    registerEngine,
+    getEngine,
+    getEngineNames,
+    listEngines,
+    supportsBoardSize,
+    chooseMove,
+    learnFromFinishedGame
+};
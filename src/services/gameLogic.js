@@ -1,9 +1,20 @@
 /**
  * Game Logic Service
  * Contains core Tic-Tac-Toe logic including win detection and validation
+ *
+ * Boards are stored as strings of boardSize * boardSize chars ('X', 'O', '-'),
+ * row by row. The classic game is boardSize 3 / winLength 3; larger boards
+ * (e.g. 15x15 with 5 in a row, Gomoku style) use the same representation.
  */
 
-// Winning combinations (indices)
+// Rule limits
+const DEFAULT_BOARD_SIZE = 3;
+const MIN_BOARD_SIZE = 3;
+const MAX_BOARD_SIZE = 15;
+const MIN_WIN_LENGTH = 3;
+const MAX_DEFAULT_WIN_LENGTH = 5; // Gomoku style default for large boards
+
+// Winning combinations (indices) for the classic 3x3 board
 const WINNING_COMBINATIONS = [
   [0, 1, 2], // Top row
   [3, 4, 5], // Middle row
@@ -15,44 +26,195 @@ const WINNING_COMBINATIONS = [
   [2, 4, 6], // Diagonal top-right to bottom-left
 ];
 
+// Cache of generated winning lines keyed by "boardSize:winLength"
+const winningLinesCache = new Map();
+
+/**
+ * Get the board size (side length) from a board string
+ * @param {string} board - Board string
+ * @returns {number}
+ */
+function getBoardSize(board) {
+  return Math.round(Math.sqrt(board.length));
+}
+
+/**
+ * Default win length for a board size (full row up to 5 in a row)
+ * @param {number} boardSize - Side length
+ * @returns {number}
+ */
+function getDefaultWinLength(boardSize) {
+  return Math.min(boardSize, MAX_DEFAULT_WIN_LENGTH);
+}
+
+/**
+ * Resolve a rule set, filling in defaults
+ * @param {object} [options] - { boardSize, winLength }
+ * @returns {object} - { boardSize, winLength }
+ */
+function resolveRules({ boardSize, winLength } = {}) {
+  const size = boardSize ?? DEFAULT_BOARD_SIZE;
+  return {
+    boardSize: size,
+    winLength: winLength ?? getDefaultWinLength(size),
+  };
+}
+
+/**
+ * Validate a rule set
+ * @param {number} boardSize - Side length
+ * @param {number} winLength - Marks in a row needed to win
+ * @returns {object} - { valid: boolean, error?: string }
+ */
+function validateRules(boardSize, winLength) {
+  if (
+    !Number.isInteger(boardSize) ||
+    boardSize < MIN_BOARD_SIZE ||
+    boardSize > MAX_BOARD_SIZE
+  ) {
+    return {
+      valid: false,
+      error: `Board size must be between ${MIN_BOARD_SIZE} and ${MAX_BOARD_SIZE}`,
+    };
+  }
+  if (
+    !Number.isInteger(winLength) ||
+    winLength < MIN_WIN_LENGTH ||
+    winLength > boardSize
+  ) {
+    return {
+      valid: false,
+      error: `Win length must be between ${MIN_WIN_LENGTH} and the board size`,
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Create an empty board
+ * @param {number} boardSize - Side length (default: 3)
+ * @returns {string}
+ */
+function createEmptyBoard(boardSize = DEFAULT_BOARD_SIZE) {
+  return "-".repeat(boardSize * boardSize);
+}
+
+/**
+ * Get all winning lines for a rule set
+ * Every horizontal, vertical and diagonal run of winLength cells
+ * @param {number} boardSize - Side length
+ * @param {number} winLength - Marks in a row needed to win
+ * @returns {number[][]} - Array of index arrays
+ */
+function getWinningLines(boardSize, winLength) {
+  const key = `${boardSize}:${winLength}`;
+  if (winningLinesCache.has(key)) {
+    return winningLinesCache.get(key);
+  }
+
+  const lines = [];
+  const directions = [
+    [0, 1], // Horizontal
+    [1, 0], // Vertical
+    [1, 1], // Diagonal down-right
+    [1, -1], // Diagonal down-left
+  ];
+
+  for (let row = 0; row < boardSize; row++) {
+    for (let col = 0; col < boardSize; col++) {
+      for (const [dRow, dCol] of directions) {
+        const endRow = row + dRow * (winLength - 1);
+        const endCol = col + dCol * (winLength - 1);
+        if (endRow < 0 || endRow >= boardSize || endCol < 0 || endCol >= boardSize) {
+          continue;
+        }
+
+        const line = [];
+        for (let i = 0; i < winLength; i++) {
+          line.push((row + dRow * i) * boardSize + (col + dCol * i));
+        }
+        lines.push(line);
+      }
+    }
+  }
+
+  winningLinesCache.set(key, lines);
+  return lines;
+}
+
 /**
  * Check if there's a winner on the board
- * @param {string} board - 9-character string representing the board
+ * @param {string} board - Board string (9 chars for the classic game)
+ * @param {number} [winLength] - Marks in a row needed (default: board's default)
  * @returns {string|null} - 'X', 'O', or null if no winner
  */
-function checkWinner(board) {
-  for (const [a, b, c] of WINNING_COMBINATIONS) {
-    if (board[a] !== "-" && board[a] === board[b] && board[b] === board[c]) {
-      return board[a]; // Return 'X' or 'O'
+function checkWinner(board, winLength) {
+  const boardSize = getBoardSize(board);
+  const lines =
+    boardSize === 3 && (winLength === undefined || winLength === 3)
+      ? WINNING_COMBINATIONS
+      : getWinningLines(boardSize, winLength ?? getDefaultWinLength(boardSize));
+
+  for (const line of lines) {
+    const first = board[line[0]];
+    if (first === "-") continue;
+
+    let complete = true;
+    for (let i = 1; i < line.length; i++) {
+      if (board[line[i]] !== first) {
+        complete = false;
+        break;
+      }
+    }
+    if (complete) {
+      return first; // Return 'X' or 'O'
     }
   }
   return null;
 }
 
+/**
+ * Check if a player could still complete a line
+ * True when at least one winning line has no opponent marks in it
+ * @param {string} board - Board string
+ * @param {string} symbol - 'X' or 'O'
+ * @param {number} [winLength] - Marks in a row needed
+ * @returns {boolean}
+ */
+function canStillWin(board, symbol, winLength) {
+  const boardSize = getBoardSize(board);
+  const opponent = symbol === "X" ? "O" : "X";
+  const lines = getWinningLines(boardSize, winLength ?? getDefaultWinLength(boardSize));
+
+  return lines.some((line) => line.every((index) => board[index] !== opponent));
+}
+
 /**
  * Check if the game is a draw
- * @param {string} board - 9-character string representing the board
+ * @param {string} board - Board string
+ * @param {number} [winLength] - Marks in a row needed
  * @returns {boolean} - true if draw (board full, no winner)
  */
-function isDraw(board) {
-  return !board.includes("-") && !checkWinner(board);
+function isDraw(board, winLength) {
+  return !board.includes("-") && !checkWinner(board, winLength);
 }
 
 /**
  * Check if a position is valid and empty
- * @param {string} board - 9-character string
- * @param {number} position - Position 0-8
+ * @param {string} board - Board string
+ * @param {number} position - Position 0 to board.length - 1
  * @returns {boolean}
  */
 function isValidMove(board, position) {
-  if (position < 0 || position > 8) return false;
+  if (!Number.isInteger(position)) return false;
+  if (position < 0 || position >= board.length) return false;
   return board[position] === "-";
 }
 
 /**
  * Make a move on the board
  * @param {string} board - Current board state
- * @param {number} position - Position 0-8
+ * @param {number} position - Position 0 to board.length - 1
  * @param {string} symbol - 'X' or 'O'
  * @returns {string} - New board state
  */
@@ -64,7 +226,7 @@ function makeMove(board, position, symbol) {
 
 /**
  * Count moves on the board
- * @param {string} board - 9-character string
+ * @param {string} board - Board string
  * @returns {number}
  */
 function countMoves(board) {
@@ -73,12 +235,12 @@ function countMoves(board) {
 
 /**
  * Get available positions
- * @param {string} board - 9-character string
+ * @param {string} board - Board string
  * @returns {number[]} - Array of available positions
  */
 function getAvailableMoves(board) {
   const moves = [];
-  for (let i = 0; i < 9; i++) {
+  for (let i = 0; i < board.length; i++) {
     if (board[i] === "-") {
       moves.push(i);
     }
@@ -99,11 +261,12 @@ function getNextSymbol(board) {
 
 /**
  * Validate game state
- * @param {string} board - 9-character string
+ * @param {string} board - Board string
+ * @param {number} [boardSize] - Expected side length (default: 3)
  * @returns {object} - { valid: boolean, error?: string }
  */
-function validateBoard(board) {
-  if (!board || board.length !== 9) {
+function validateBoard(board, boardSize = DEFAULT_BOARD_SIZE) {
+  if (!board || board.length !== boardSize * boardSize) {
     return { valid: false, error: "Invalid board length" };
   }
 
@@ -126,15 +289,16 @@ function validateBoard(board) {
 
 /**
  * Get game status from board
- * @param {string} board - 9-character string
+ * @param {string} board - Board string
+ * @param {number} [winLength] - Marks in a row needed
  * @returns {object} - { status, winner, isDraw }
  */
-function getGameStatus(board) {
-  const winner = checkWinner(board);
+function getGameStatus(board, winLength) {
+  const winner = checkWinner(board, winLength);
   if (winner) {
     return { status: "finished", winner, isDraw: false };
   }
-  if (isDraw(board)) {
+  if (isDraw(board, winLength)) {
     return { status: "finished", winner: null, isDraw: true };
   }
   return { status: "in-progress", winner: null, isDraw: false };
@@ -142,7 +306,18 @@ function getGameStatus(board) {
 
 module.exports = {
   WINNING_COMBINATIONS,
+  DEFAULT_BOARD_SIZE,
+  MIN_BOARD_SIZE,
+  MAX_BOARD_SIZE,
+  MIN_WIN_LENGTH,
+  getBoardSize,
+  getDefaultWinLength,
+  resolveRules,
+  validateRules,
+  createEmptyBoard,
+  getWinningLines,
   checkWinner,
+  canStillWin,
   isDraw,
   isValidMove,
   makeMove,
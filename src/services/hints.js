@@ -0,0 +1,115 @@
+/**
+ * Hint Service - suggests a move with a short reason
+ * Checks are made in the order a coach would explain them:
+ * win now → block → fork → take the centre → best move from the bot engine.
+ */
+
+const {
+    checkWinner,
+    getAvailableMoves,
+    makeMove,
+    getBoardSize,
+    getDefaultWinLength,
+    getWinningLines
+} = require('./gameLogic');
+const { findBestMove } = require('./bot');
+
+const HINT_REASONS = {
+    win: 'Win now: this completes a line',
+    block: 'Block: your opponent would win here next turn',
+    fork: 'Fork: this creates two winning threats at once',
+    center: 'Take the center: it is part of the most lines',
+    'best-move': 'Best move found by the engine'
+};
+
+/**
+ * Squares where symbol would complete a line next turn, counting only lines through position
+ * @param {string} board - Board after playing position
+ * @param {number} position - Square just played
+ * @param {string} symbol - 'X' or 'O'
+ * @param {number[][]} lines - Winning lines for the board
+ * @returns {Set<number>} - Empty squares that would win
+ */
+function getThreatsThrough(board, position, symbol, lines) {
+    const threats = new Set();
+
+    for (const line of lines) {
+        if (!line.includes(position)) continue;
+
+        let empty = null;
+        let emptyCount = 0;
+        let blocked = false;
+
+        for (const index of line) {
+            if (board[index] === '-') {
+                empty = index;
+                emptyCount++;
+            } else if (board[index] !== symbol) {
+                blocked = true;
+                break;
+            }
+        }
+
+        if (!blocked && emptyCount === 1) {
+            threats.add(empty);
+        }
+    }
+
+    return threats;
+}
+
+/**
+ * Suggest a move for the player to move
+ * @param {string} board - Current board state
+ * @param {string} symbol - Symbol of the player asking ('X' or 'O')
+ * @param {number} [winLength] - Marks in a row needed to win
+ * @returns {object|null} - { position, reason, message } or null if the board is full
+ */
+function getHint(board, symbol, winLength) {
+    const boardSize = getBoardSize(board);
+    const rowLength = winLength ?? getDefaultWinLength(boardSize);
+    const opponent = symbol === 'X' ? 'O' : 'X';
+    const moves = getAvailableMoves(board);
+
+    if (moves.length === 0) {
+        return null;
+    }
+
+    const hint = (position, reason) => ({ position, reason, message: HINT_REASONS[reason] });
+
+    for (const position of moves) {
+        if (checkWinner(makeMove(board, position, symbol), rowLength) === symbol) {
+            return hint(position, 'win');
+        }
+    }
+
+    for (const position of moves) {
+        if (checkWinner(makeMove(board, position, opponent), rowLength) === opponent) {
+            return hint(position, 'block');
+        }
+    }
+
+    const lines = getWinningLines(boardSize, rowLength);
+    for (const position of moves) {
+        const threats = getThreatsThrough(makeMove(board, position, symbol), position, symbol, lines);
+        if (threats.size >= 2) {
+            return hint(position, 'fork');
+        }
+    }
+
+    // Odd boards have a single centre square
+    if (boardSize % 2 === 1) {
+        const center = Math.floor(board.length / 2);
+        if (board[center] === '-') {
+            return hint(center, 'center');
+        }
+    }
+
+    return hint(findBestMove(board, symbol, opponent, rowLength), 'best-move');
+}
+
+module.exports = {
+    HINT_REASONS,
+    getThreatsThrough,
+    getHint
+};
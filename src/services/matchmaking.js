@@ -0,0 +1,198 @@
+/**
+ * Matchmaking Service
+ * Pairs queued players with similar ratings. The allowed rating gap starts
+ * small and widens the longer a player waits, so everyone eventually gets a game.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { generateRoomCode, serializeRoom } = require('../utils/helpers');
+const { createEmptyBoard } = require('./gameLogic');
+const { publishUserEvent } = require('./roomEvents');
+
+const prisma = new PrismaClient();
+
+const BASE_RATING_GAP = 50;         // Allowed gap right after queueing
+const GAP_GROWTH_PER_SECOND = 10;   // Extra gap per second waited
+const MAX_RATING_GAP = 1000;        // Never widen beyond this
+
+/**
+ * Rating gap a queued player currently accepts
+ * @param {Date} queuedAt - When the player joined the queue
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function getAllowedGap(queuedAt, now = new Date()) {
+    const waitSeconds = Math.max(0, (now - queuedAt) / 1000);
+    return Math.min(BASE_RATING_GAP + GAP_GROWTH_PER_SECOND * waitSeconds, MAX_RATING_GAP);
+}
+
+/**
+ * Pick the best opponent for an entry from a list of queued entries
+ * Two players match when their gap fits the longer waiter's allowance
+ * @param {object} entry - Queue entry looking for a match
+ * @param {object[]} candidates - Other queued entries
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+function findOpponent(entry, candidates, now = new Date()) {
+    let best = null;
+    let bestGap = Infinity;
+
+    for (const candidate of candidates) {
+        if (candidate.userId === entry.userId) continue;
+        if (candidate.boardSize !== entry.boardSize || candidate.winLength !== entry.winLength) continue;
+
+        const gap = Math.abs(candidate.rating - entry.rating);
+        const allowed = Math.max(getAllowedGap(entry.createdAt, now), getAllowedGap(candidate.createdAt, now));
+
+        // Closest rating wins; the older entry wins ties (candidates are oldest first)
+        if (gap <= allowed && gap < bestGap) {
+            best = candidate;
+            bestGap = gap;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Atomically claim two queue entries and create their room
+ * The conditional updateMany only succeeds for entries still queued, so a
+ * concurrent matcher that claimed either player makes this transaction roll back.
+ * @param {object} entryA - Queue entry
+ * @param {object} entryB - Queue entry
+ * @returns {Promise<object|null>} - Created room, or null if either player was taken
+ */
+async function createMatch(entryA, entryB) {
+    try {
+        const room = await prisma.$transaction(async (tx) => {
+            const claimed = await tx.matchmakingEntry.updateMany({
+                where: { id: { in: [entryA.id, entryB.id] }, status: 'queued' },
+                data: { status: 'matched', matchedAt: new Date() }
+            });
+
+            if (claimed.count !== 2) {
+                throw new Error('ALREADY_MATCHED');
+            }
+
+            let code;
+            let isUnique = false;
+            while (!isUnique) {
+                code = generateRoomCode();
+                const existing = await tx.room.findUnique({ where: { code } });
+                if (!existing) isUnique = true;
+            }
+
+            // Random seat so neither player always gets X
+            const [first, second] = Math.random() < 0.5 ? [entryA, entryB] : [entryB, entryA];
+
+            const created = await tx.room.create({
+                data: {
+                    code,
+                    player1Id: first.userId,
+                    player2Id: second.userId,
+                    status: 'in-progress',
+                    currentTurn: 'player1',
+                    board: createEmptyBoard(entryA.boardSize),
+                    boardSize: entryA.boardSize,
+                    winLength: entryA.winLength,
+                    hintsEnabled: false
+                },
+                include: {
+                    player1: { select: { id: true, username: true } },
+                    player2: { select: { id: true, username: true } }
+                }
+            });
+
+            await tx.matchmakingEntry.updateMany({
+                where: { id: { in: [entryA.id, entryB.id] } },
+                data: { roomId: created.id }
+            });
+
+            return created;
+        });
+
+        const roomPayload = serializeRoom(room);
+        for (const userId of [room.player1Id, room.player2Id]) {
+            publishUserEvent(userId, 'match-found', { room: roomPayload });
+        }
+
+        return room;
+    } catch (error) {
+        if (error.message === 'ALREADY_MATCHED') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Try to match one entry against the current queue
+ * @param {object} entry - Queue entry
+ * @returns {Promise<object|null>} - Created room or null
+ */
+async function tryMatchEntry(entry) {
+    const candidates = await prisma.matchmakingEntry.findMany({
+        where: {
+            status: 'queued',
+            userId: { not: entry.userId },
+            boardSize: entry.boardSize,
+            winLength: entry.winLength,
+            rating: {
+                gte: entry.rating - MAX_RATING_GAP,
+                lte: entry.rating + MAX_RATING_GAP
+            }
+        },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const opponent = findOpponent(entry, candidates);
+    if (!opponent) {
+        return null;
+    }
+
+    return createMatch(entry, opponent);
+}
+
+/**
+ * Match as many queued players as possible (run periodically)
+ * Longest waiters are matched first
+ * @returns {Promise<number>} - Number of rooms created
+ */
+async function runMatchmaking() {
+    const queued = await prisma.matchmakingEntry.findMany({
+        where: { status: 'queued' },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const taken = new Set();
+    let created = 0;
+    const now = new Date();
+
+    for (const entry of queued) {
+        if (taken.has(entry.id)) continue;
+
+        const candidates = queued.filter(c => c.id !== entry.id && !taken.has(c.id));
+        const opponent = findOpponent(entry, candidates, now);
+        if (!opponent) continue;
+
+        const room = await createMatch(entry, opponent);
+        if (room) {
+            taken.add(entry.id);
+            taken.add(opponent.id);
+            created++;
+        }
+    }
+
+    return created;
+}
+
+module.exports = {
+    BASE_RATING_GAP,
+    GAP_GROWTH_PER_SECOND,
+    MAX_RATING_GAP,
+    getAllowedGap,
+    findOpponent,
+    tryMatchEntry,
+    runMatchmaking
+};
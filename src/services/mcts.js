@@ -0,0 +1,211 @@
+/**
+ * Monte Carlo Tree Search - bot engine for boards too large to search
+ * Each iteration walks down the tree with UCT, adds one new position,
+ * finishes the game with random moves and backs the result up the path.
+ * The move visited most often is played.
+ *
+ * Playouts work on a character array and only check the lines through the
+ * square just played, so thousands fit in the time budget even on 15x15.
+ */
+
+const {
+    checkWinner,
+    getAvailableMoves,
+    makeMove,
+    getBoardSize,
+    getDefaultWinLength,
+    getWinningLines
+} = require('./gameLogic');
+const { getCandidateMoves } = require('./bot');
+
+const DEFAULT_ITERATIONS = 3000;
+const DEFAULT_TIME_LIMIT_MS = 300;
+const EXPLORATION = Math.SQRT2;
+
+const linesByCellCache = new Map();
+
+/**
+ * Winning lines through each cell
+ * @param {number} boardSize - Board side length
+ * @param {number} winLength - Marks in a row needed
+ * @returns {number[][][]} - linesByCell[index] = lines containing index
+ */
+function getLinesByCell(boardSize, winLength) {
+    const key = `${boardSize}:${winLength}`;
+    if (linesByCellCache.has(key)) {
+        return linesByCellCache.get(key);
+    }
+
+    const linesByCell = Array.from({ length: boardSize * boardSize }, () => []);
+    for (const line of getWinningLines(boardSize, winLength)) {
+        for (const index of line) {
+            linesByCell[index].push(line);
+        }
+    }
+
+    linesByCellCache.set(key, linesByCell);
+    return linesByCell;
+}
+
+/**
+ * Whether the mark just placed at position completes a line
+ * @returns {boolean}
+ */
+function completesLine(cells, position, linesByCell) {
+    const symbol = cells[position];
+    return linesByCell[position].some(line => line.every(index => cells[index] === symbol));
+}
+
+/**
+ * Finish a game with random moves
+ * @param {string} board - Position to start from (game not over)
+ * @param {string} toMove - 'X' or 'O'
+ * @param {number[][][]} linesByCell - From getLinesByCell
+ * @param {function} random - Returns a number in [0, 1)
+ * @returns {string|null} - Winning symbol or null for a draw
+ */
+function playout(board, toMove, linesByCell, random) {
+    const cells = board.split('');
+    const empty = getAvailableMoves(board);
+    let symbol = toMove;
+
+    while (empty.length > 0) {
+        // Swap-remove a random empty square
+        const pick = Math.floor(random() * empty.length);
+        const position = empty[pick];
+        empty[pick] = empty[empty.length - 1];
+        empty.pop();
+
+        cells[position] = symbol;
+        if (completesLine(cells, position, linesByCell)) {
+            return symbol;
+        }
+        symbol = symbol === 'X' ? 'O' : 'X';
+    }
+
+    return null;
+}
+
+/**
+ * Tree node; wins are counted for the player who made node.move
+ */
+function createNode(board, mover, move, parent, winner) {
+    return {
+        board,
+        mover,
+        move,
+        parent,
+        winner,
+        isTerminal: winner !== null || !board.includes('-'),
+        children: [],
+        untried: null,
+        visits: 0,
+        wins: 0
+    };
+}
+
+/**
+ * Child with the best UCT score
+ */
+function selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const child of node.children) {
+        const score = child.wins / child.visits + EXPLORATION * Math.sqrt(logVisits / child.visits);
+        if (score > bestScore) {
+            bestScore = score;
+            best = child;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Choose a move with Monte Carlo tree search
+ * @param {string} board - Current board state
+ * @param {string} botSymbol - Bot's symbol
+ * @param {string} playerSymbol - Player's symbol
+ * @param {object} [options] - { winLength, iterations, timeLimitMs, random }
+ * @returns {number} - Position to play, or -1 if the board is full
+ */
+function findMctsMove(board, botSymbol, playerSymbol, options = {}) {
+    const {
+        iterations = DEFAULT_ITERATIONS,
+        timeLimitMs = DEFAULT_TIME_LIMIT_MS,
+        random = Math.random
+    } = options;
+    const boardSize = getBoardSize(board);
+    const winLength = options.winLength ?? getDefaultWinLength(boardSize);
+    const moves = getAvailableMoves(board);
+
+    if (moves.length === 0) {
+        return -1;
+    }
+
+    // Random playouts are bad at seeing one-move threats, so settle those first
+    for (const symbol of [botSymbol, playerSymbol]) {
+        for (const position of moves) {
+            if (checkWinner(makeMove(board, position, symbol), winLength) === symbol) {
+                return position;
+            }
+        }
+    }
+
+    const linesByCell = getLinesByCell(boardSize, winLength);
+    const root = createNode(board, playerSymbol, null, null, null);
+    const deadline = Date.now() + timeLimitMs;
+
+    for (let i = 0; i < iterations && Date.now() < deadline; i++) {
+        // 1. Selection
+        let node = root;
+        while (!node.isTerminal && node.untried && node.untried.length === 0) {
+            node = selectChild(node);
+        }
+
+        // 2. Expansion (only squares near existing marks, like the search bot)
+        if (!node.isTerminal) {
+            if (!node.untried) {
+                node.untried = getCandidateMoves(node.board);
+            }
+            const pick = Math.floor(random() * node.untried.length);
+            const position = node.untried.splice(pick, 1)[0];
+            const toMove = node.mover === 'X' ? 'O' : 'X';
+            const childBoard = makeMove(node.board, position, toMove);
+            const won = completesLine(childBoard, position, linesByCell);
+            const child = createNode(childBoard, toMove, position, node, won ? toMove : null);
+            node.children.push(child);
+            node = child;
+        }
+
+        // 3. Simulation
+        let winner = node.winner;
+        if (!node.isTerminal) {
+            winner = playout(node.board, node.mover === 'X' ? 'O' : 'X', linesByCell, random);
+        }
+
+        // 4. Backpropagation
+        for (let current = node; current; current = current.parent) {
+            current.visits++;
+            if (winner === null) current.wins += 0.5;
+            else if (winner === current.mover) current.wins += 1;
+        }
+    }
+
+    let bestChild = null;
+    for (const child of root.children) {
+        if (!bestChild || child.visits > bestChild.visits) {
+            bestChild = child;
+        }
+    }
+
+    return bestChild ? bestChild.move : moves[0];
+}
+
+module.exports = {
+    DEFAULT_ITERATIONS,
+    DEFAULT_TIME_LIMIT_MS,
+    findMctsMove
+};
@@ -0,0 +1,259 @@
+/**
+ * MENACE Service - a bot that learns from its own games
+ * Modelled on Donald Michie's Matchbox Educable Noughts And Crosses Engine:
+ * every position is a matchbox holding coloured beads, one colour per empty
+ * square. The bot draws a bead at random to choose its move, so squares with
+ * more beads are played more often. After each game the beads it drew are
+ * adjusted: a win adds 3, a draw adds 1 and a loss takes 1 away.
+ *
+ * Boxes are stored per symmetry-canonical board (MenaceBox), so a lesson
+ * learned in one corner applies to all 8 rotations/reflections. MENACE
+ * plays the classic 3x3 game only, from either side (the mark counts on the
+ * board say whose turn it is).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { createEmptyBoard, getAvailableMoves, makeMove, countMoves } = require('./gameLogic');
+const { canonicalize } = require('./symmetry');
+
+const prisma = new PrismaClient();
+
+const MENACE_BOARD_SIZE = 3;
+
+// Beads per empty square in a new box, by marks already on the board.
+// Fewer beads later in the game let a single lesson change play faster.
+const INITIAL_BEADS = [4, 4, 3, 3, 2, 2, 1, 1, 1];
+
+// Beads added to every square the bot played, by game result (from the bot's side)
+const REINFORCEMENT = { win: 3, draw: 1, loss: -1 };
+
+// Most recent blocks returned by getMenaceProgress
+const MAX_PROGRESS_BLOCKS = 200;
+
+/**
+ * Beads for a box that has not been stored yet
+ * @param {string} canonicalBoard - Canonical board
+ * @returns {number[]} - One count per cell (0 on occupied cells)
+ */
+function getInitialBeads(canonicalBoard) {
+    const beads = INITIAL_BEADS[countMoves(canonicalBoard)];
+    return [...canonicalBoard].map(cell => (cell === '-' ? beads : 0));
+}
+
+/**
+ * Bead counts for a board, in the board's own orientation
+ * @param {string} board - Board string
+ * @param {object|null} box - Stored MenaceBox for the canonical board (null = not learned yet)
+ * @returns {number[]} - beads[cell] for every cell of board
+ */
+function getBeadsForBoard(board, box) {
+    const canonical = canonicalize(board);
+    const canonicalBeads = box ? box.beads : getInitialBeads(canonical.board);
+
+    const beads = new Array(board.length).fill(0);
+    canonical.map.forEach((cell, canonicalCell) => {
+        beads[cell] = board[cell] === '-' ? canonicalBeads[canonicalCell] : 0;
+    });
+    return beads;
+}
+
+/**
+ * Load the matchbox for a board
+ * @param {string} board - Board string
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<object|null>} - MenaceBox or null
+ */
+function findBox(board, client = prisma) {
+    return client.menaceBox.findUnique({
+        where: { position: canonicalize(board).board }
+    });
+}
+
+/**
+ * Draw a bead: choose a square with probability proportional to its beads
+ * An emptied box (every move there has lost) falls back to a random square.
+ * @param {string} board - Current board state
+ * @param {object} [options] - { random }
+ * @returns {Promise<number>} - Position to play, or -1 if the board is full
+ */
+async function findMenaceMove(board, options = {}) {
+    const { random = Math.random } = options;
+    const moves = getAvailableMoves(board);
+
+    if (moves.length === 0) {
+        return -1;
+    }
+
+    const beads = getBeadsForBoard(board, await findBox(board));
+    const total = moves.reduce((sum, position) => sum + beads[position], 0);
+
+    if (total === 0) {
+        return moves[Math.floor(random() * moves.length)];
+    }
+
+    let draw = random() * total;
+    for (const position of moves) {
+        draw -= beads[position];
+        if (draw < 0) return position;
+    }
+    return moves[moves.length - 1];
+}
+
+/**
+ * Result of a finished MENACE game from the bot's side
+ * @param {object} game - Finished BotGame (winner)
+ * @returns {string} - 'win', 'draw' or 'loss'
+ */
+function getMenaceResult(game) {
+    if (game.winner === 'bot') return 'win';
+    if (game.winner === 'player') return 'loss';
+    return 'draw';
+}
+
+/**
+ * Adjust the beads for every move the bot made in a finished game
+ * (call inside the finishing transaction)
+ * @param {object} tx - Prisma transaction client
+ * @param {object} game - Finished BotGame (id, winner)
+ * @returns {Promise<string>} - The result that was learned
+ */
+async function learnFromGame(tx, game) {
+    const result = getMenaceResult(game);
+    const delta = REINFORCEMENT[result];
+
+    const moves = await tx.botMove.findMany({
+        where: { gameId: game.id },
+        orderBy: { moveOrder: 'asc' },
+        select: { player: true, position: true, symbol: true }
+    });
+
+    // Replay the game to find the box and bead behind each bot move
+    const lessons = [];
+    let board = createEmptyBoard(MENACE_BOARD_SIZE);
+    for (const move of moves) {
+        if (move.player === 'bot') {
+            const canonical = canonicalize(board);
+            lessons.push({
+                position: canonical.board,
+                cell: canonical.map.indexOf(move.position),
+                initialBeads: getInitialBeads(canonical.board)
+            });
+        }
+        board = makeMove(board, move.position, move.symbol);
+    }
+
+    if (lessons.length > 0) {
+        await tx.menaceBox.createMany({
+            data: lessons.map(lesson => ({ position: lesson.position, beads: lesson.initialBeads })),
+            skipDuplicates: true
+        });
+    }
+
+    // Single-statement updates so concurrent games don't overwrite each other's beads
+    for (const lesson of lessons) {
+        await tx.$executeRaw`
+            UPDATE "MenaceBox"
+            SET "beads"[${lesson.cell + 1}::int] = GREATEST("beads"[${lesson.cell + 1}::int] + ${delta}::int, 0),
+                "updatedAt" = NOW()
+            WHERE "position" = ${lesson.position}`;
+    }
+
+    await tx.menaceResult.create({
+        data: { gameId: game.id, result }
+    });
+
+    return result;
+}
+
+/**
+ * Learning curve: results in blocks of bucketSize games, oldest first
+ * Counted in the database, which returns one row per block and result, so
+ * the cost doesn't grow with the rows read into memory. history holds the
+ * latest MAX_PROGRESS_BLOCKS blocks; totals cover every game.
+ * @param {number} bucketSize - Games per block
+ * @returns {Promise<object>} - { gamesPlayed, positionsLearned, totals, history }
+ */
+async function getMenaceProgress(bucketSize) {
+    const [groups, positionsLearned] = await Promise.all([
+        prisma.menaceResult.groupBy({
+            by: ['result'],
+            _count: true
+        }),
+        prisma.menaceBox.count()
+    ]);
+
+    const emptyBlock = () => ({ wins: 0, draws: 0, losses: 0 });
+    const totals = emptyBlock();
+    const keys = { win: 'wins', draw: 'draws', loss: 'losses' };
+
+    for (const group of groups) {
+        totals[keys[group.result]] += group._count;
+    }
+    const gamesPlayed = totals.wins + totals.draws + totals.losses;
+
+    const firstBlock = Math.max(0, Math.ceil(gamesPlayed / bucketSize) - MAX_PROGRESS_BLOCKS);
+    const rows = gamesPlayed === 0 ? [] : await prisma.$queryRaw`
+        SELECT "block", "result", COUNT(*)::int AS "count"
+        FROM (
+            SELECT "result",
+                   ((ROW_NUMBER() OVER (ORDER BY "createdAt", "id") - 1) / ${bucketSize}::int)::int AS "block"
+            FROM "MenaceResult"
+        ) AS "numbered"
+        WHERE "block" >= ${firstBlock}::int
+        GROUP BY "block", "result"
+        ORDER BY "block"`;
+
+    const blocks = new Map();
+    for (const row of rows) {
+        const fromGame = row.block * bucketSize + 1;
+        if (!blocks.has(row.block)) {
+            blocks.set(row.block, { fromGame, toGame: fromGame - 1, ...emptyBlock() });
+        }
+        const block = blocks.get(row.block);
+        block.toGame += row.count;
+        block[keys[row.result]] += row.count;
+    }
+
+    const rate = (count, games) => (games > 0 ? ((count / games) * 100).toFixed(1) : 0);
+
+    return {
+        gamesPlayed,
+        positionsLearned,
+        totals: { ...totals, winRate: rate(totals.wins, gamesPlayed) },
+        history: [...blocks.values()].map(block => {
+            const games = block.toGame - block.fromGame + 1;
+            return {
+                ...block,
+                winRate: rate(block.wins, games),
+                notLostRate: rate(block.wins + block.draws, games)
+            };
+        })
+    };
+}
+
+/**
+ * Forget everything: delete all boxes and the learning log
+ * @returns {Promise<object>} - { boxesDeleted, resultsDeleted }
+ */
+async function resetMenace() {
+    const [boxes, results] = await prisma.$transaction([
+        prisma.menaceBox.deleteMany(),
+        prisma.menaceResult.deleteMany()
+    ]);
+
+    return { boxesDeleted: boxes.count, resultsDeleted: results.count };
+}
+
+module.exports = {
+    MENACE_BOARD_SIZE,
+    INITIAL_BEADS,
+    REINFORCEMENT,
+    MAX_PROGRESS_BLOCKS,
+    getInitialBeads,
+    getBeadsForBoard,
+    findBox,
+    findMenaceMove,
+    learnFromGame,
+    getMenaceProgress,
+    resetMenace
+};
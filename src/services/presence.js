@@ -0,0 +1,121 @@
+/**
+ * Presence Service - who is still around
+ * A user is active while any of their sessions was used recently. Every
+ * authenticated REST request updates the session's lastSeenAt (throttled, see
+ * sessions.js), and open WebSocket / SSE streams refresh it on their
+ * heartbeat, so clients of every kind, on every instance, count.
+ *
+ * Open streams of this process are also counted in memory, so a player who
+ * has just connected counts before their stream's first heartbeat.
+ *
+ * Streams are closed when their session is: at once on this instance (whoever
+ * revokes sessions calls publishSessionsRevoked), and on the next database
+ * check of the heartbeat on other instances.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { LAST_SEEN_INTERVAL_SECONDS, findActiveSession, touchSession } = require('./sessions');
+
+const prisma = new PrismaClient();
+
+// Longest gap between stream heartbeats (WebSocket 30 s, SSE 25 s)
+const STREAM_HEARTBEAT_SECONDS = 30;
+
+// A stream refreshes lastSeenAt at least this often, so an older one means the user is gone
+const ACTIVE_WINDOW_SECONDS = LAST_SEEN_INTERVAL_SECONDS + STREAM_HEARTBEAT_SECONDS;
+
+const connections = new Map();
+
+/**
+ * Record a new stream (WebSocket or SSE) for a user
+ * @param {string} userId - User ID
+ */
+function markConnected(userId) {
+    connections.set(userId, (connections.get(userId) || 0) + 1);
+}
+
+/**
+ * Record a closed stream for a user
+ * @param {string} userId - User ID
+ */
+function markDisconnected(userId) {
+    const count = (connections.get(userId) || 0) - 1;
+    if (count > 0) {
+        connections.set(userId, count);
+    } else {
+        connections.delete(userId);
+    }
+}
+
+/**
+ * @param {string} userId - User ID
+ * @returns {boolean} - Whether the user has an open stream in this process
+ */
+function isOnline(userId) {
+    return connections.has(userId);
+}
+
+/**
+ * Whether a session can still be used (not revoked, expired or deleted)
+ * Streams check this when told their user's sessions changed (publishSessionsRevoked).
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+async function isSessionOpen(sessionId) {
+    return (await findActiveSession(sessionId)) !== null;
+}
+
+/**
+ * Heartbeat for a long-lived stream: keeps its session's lastSeenAt current
+ * and notices when the session was closed on another instance. The first beat
+ * always checks the database; later ones at most once per
+ * LAST_SEEN_INTERVAL_SECONDS like authenticate does.
+ * @param {string} sessionId - Session the stream authenticated with
+ * @returns {Function} - Async function to call on every stream heartbeat;
+ *                       resolves to false once the session is no longer open
+ */
+function createSessionHeartbeat(sessionId) {
+    let lastSeenAt = new Date(0);
+
+    return async () => {
+        const now = new Date();
+        if (now - lastSeenAt < LAST_SEEN_INTERVAL_SECONDS * 1000) return true;
+
+        const active = await findActiveSession(sessionId);
+        if (!active) return false;
+
+        await touchSession(active.session, now);
+        lastSeenAt = now;
+        return true;
+    };
+}
+
+/**
+ * Whether a user has an open stream here or used any session recently
+ * @param {string|null} userId - User ID
+ * @param {Date} [now]
+ * @returns {Promise<boolean>}
+ */
+async function isUserActive(userId, now = new Date()) {
+    if (!userId) return false;
+    if (isOnline(userId)) return true;
+
+    const recentSessions = await prisma.session.count({
+        where: {
+            userId,
+            revokedAt: null,
+            lastSeenAt: { gte: new Date(now.getTime() - ACTIVE_WINDOW_SECONDS * 1000) }
+        }
+    });
+    return recentSessions > 0;
+}
+
+module.exports = {
+    ACTIVE_WINDOW_SECONDS,
+    markConnected,
+    markDisconnected,
+    isOnline,
+    isSessionOpen,
+    createSessionHeartbeat,
+    isUserActive
+};
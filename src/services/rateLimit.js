@@ -0,0 +1,217 @@
+/**
+ * Rate Limit Service - request buckets and login lockout
+ * Each limited route has a named rule set: at most `max` requests per
+ * `windowSeconds` per IP and/or per user (fixed windows). Defaults are in
+ * DEFAULT_RULES and every rule can be overridden from the environment as
+ * RATE_LIMIT_<ROUTE>_<SCOPE>=max/windowSeconds (e.g. RATE_LIMIT_LOGIN_IP=20/60),
+ * or turned off with "off".
+ *
+ * Failed logins are counted per username with the store's atomic increment,
+ * so parallel attempts can't lose a failure. From LOGIN_LOCKOUT_THRESHOLD
+ * failures on, the account is locked for a delay that doubles with every
+ * further failure (capped at LOGIN_LOCKOUT_MAX_SECONDS). A successful login
+ * clears the count.
+ *
+ * Counters live in a store. The default in-memory store is enough for a
+ * single instance; several instances need a shared store (e.g. Redis)
+ * implementing the same interface, installed with setRateLimitStore:
+ *   increment(key, windowMs) → Promise<{ count, resetAt }>  (atomic, fixed window)
+ *   get(key)                 → Promise<value|null>
+ *   set(key, value, ttlMs)   → Promise<void>
+ *   delete(key)              → Promise<void>
+ */
+
+const readPositiveInt = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Route → scope ('ip' | 'user') → "max/windowSeconds"
+const DEFAULT_RULES = {
+    login: { ip: '20/60' },
+    refresh: { ip: '30/60' },
+    register: { ip: '10/3600' },
+    guest: { ip: '10/3600' },
+    'create-room': { ip: '30/60', user: '10/60' },
+    move: { user: '60/60' },
+    analysis: { user: '20/60' }
+};
+
+const LOGIN_LOCKOUT_THRESHOLD = readPositiveInt('LOGIN_LOCKOUT_THRESHOLD', 5);
+const LOGIN_LOCKOUT_BASE_SECONDS = readPositiveInt('LOGIN_LOCKOUT_BASE_SECONDS', 30);
+const LOGIN_LOCKOUT_MAX_SECONDS = readPositiveInt('LOGIN_LOCKOUT_MAX_SECONDS', 15 * 60);
+
+// Failure counts are forgotten this long after the first failure
+const LOGIN_FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How often the memory store drops expired keys
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store (one process only)
+ * @returns {object} - Store implementing the interface above
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    const read = (key, now = Date.now()) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= now) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    // Expired keys are also dropped on read; the sweep keeps idle ones from piling up
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const entry = read(key, now);
+            if (!entry) {
+                entries.set(key, { value: 1, expiresAt: now + windowMs });
+                return { count: 1, resetAt: now + windowMs };
+            }
+            entry.value++;
+            return { count: entry.value, resetAt: entry.expiresAt };
+        },
+
+        async get(key) {
+            const entry = read(key);
+            return entry ? entry.value : null;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the store (call once at startup, before serving requests)
+ * @param {object} newStore - Store implementing the interface above
+ */
+function setRateLimitStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Parse "max/windowSeconds"
+ * @param {string} value
+ * @returns {object|null} - { max, windowSeconds }, or null if off or invalid
+ */
+function parseRule(value) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+    if (!match) return null;
+    const max = Number(match[1]);
+    const windowSeconds = Number(match[2]);
+    return max > 0 && windowSeconds > 0 ? { max, windowSeconds } : null;
+}
+
+/**
+ * Rules of a route after env overrides
+ * @param {string} route - Key of DEFAULT_RULES
+ * @returns {object} - { ip?: { max, windowSeconds }, user?: { max, windowSeconds } }
+ */
+function getRules(route) {
+    const defaults = DEFAULT_RULES[route];
+    if (!defaults) {
+        throw new Error(`Unknown rate limit route: ${route}`);
+    }
+
+    const rules = {};
+    for (const scope of Object.keys(defaults)) {
+        const envName = `RATE_LIMIT_${route.replace(/-/g, '_').toUpperCase()}_${scope.toUpperCase()}`;
+        const rule = parseRule(process.env[envName] !== undefined ? process.env[envName] : defaults[scope]);
+        if (rule) rules[scope] = rule;
+    }
+    return rules;
+}
+
+/**
+ * Count one request against a bucket
+ * @param {string} key - Bucket key (route, scope and IP or user ID)
+ * @param {object} rule - { max, windowSeconds }
+ * @returns {Promise<object>} - { allowed, remaining, retryAfter (seconds, 0 if allowed) }
+ */
+async function consume(key, rule) {
+    const { count, resetAt } = await store.increment(key, rule.windowSeconds * 1000);
+    const allowed = count <= rule.max;
+    return {
+        allowed,
+        remaining: Math.max(0, rule.max - count),
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+    };
+}
+
+const loginFailuresKey = username => `login-failures:${username.toLowerCase()}`;
+const loginLockKey = username => `login-lock:${username.toLowerCase()}`;
+
+/**
+ * Seconds until a locked account may try to log in again
+ * @param {string} username
+ * @returns {Promise<number>} - 0 if not locked
+ */
+async function getLoginLockout(username) {
+    const lockedUntil = await store.get(loginLockKey(username));
+    if (!lockedUntil) return 0;
+    return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Count a failed login and lock the account once past the threshold
+ * Counted for unknown usernames too, so responses don't reveal which exist.
+ * @param {string} username
+ * @returns {Promise<number>} - Seconds the account is now locked for (0 if not locked)
+ */
+async function recordLoginFailure(username) {
+    const { count: failures } = await store.increment(loginFailuresKey(username), LOGIN_FAILURE_TTL_MS);
+    if (failures < LOGIN_LOCKOUT_THRESHOLD) return 0;
+
+    const doublings = failures - LOGIN_LOCKOUT_THRESHOLD;
+    const lockSeconds = Math.min(LOGIN_LOCKOUT_MAX_SECONDS, LOGIN_LOCKOUT_BASE_SECONDS * 2 ** doublings);
+
+    // Only the lock is a plain write; every failure is already counted above
+    await store.set(loginLockKey(username), Date.now() + lockSeconds * 1000, lockSeconds * 1000);
+
+    return lockSeconds;
+}
+
+/**
+ * Clear the failure count after a successful login
+ * @param {string} username
+ */
+async function clearLoginFailures(username) {
+    await Promise.all([
+        store.delete(loginFailuresKey(username)),
+        store.delete(loginLockKey(username))
+    ]);
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    LOGIN_LOCKOUT_THRESHOLD,
+    createMemoryStore,
+    setRateLimitStore,
+    parseRule,
+    getRules,
+    consume,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
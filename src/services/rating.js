@@ -0,0 +1,105 @@
+/**
+ * Rating Service - Elo ratings for multiplayer games
+ * Ratings are updated inside the same transaction that finishes the room,
+ * and every change is recorded in RatingChange for history.
+ */
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+
+/**
+ * Expected score of A against B
+ * @param {number} ratingA
+ * @param {number} ratingB
+ * @returns {number} - Between 0 and 1
+ */
+function expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Calculate Elo rating changes for one game
+ * @param {number} ratingA - Player A rating before the game
+ * @param {number} ratingB - Player B rating before the game
+ * @param {number} scoreA - 1 = A won, 0.5 = draw, 0 = A lost
+ * @param {number} [kFactor] - Maximum change per game
+ * @returns {object} - { changeA, changeB }
+ */
+function calculateEloChange(ratingA, ratingB, scoreA, kFactor = K_FACTOR) {
+    const changeA = Math.round(kFactor * (scoreA - expectedScore(ratingA, ratingB)));
+    return { changeA, changeB: -changeA };
+}
+
+/**
+ * Apply rating changes for a finished room
+ * Must be called with the transaction client that finishes the room
+ * @param {object} tx - Prisma transaction client
+ * @param {object} room - { id, player1Id, player2Id, winnerId, isDraw, hintsEnabled }
+ * @returns {Promise<object[]>} - RatingChange records ([] if the room is not rated)
+ */
+async function applyRatingChanges(tx, room) {
+    const { id: roomId, player1Id, player2Id, winnerId, isDraw, hintsEnabled } = room;
+
+    // Only completed games between two players are rated
+    if (!player1Id || !player2Id || (!winnerId && !isDraw)) {
+        return [];
+    }
+
+    // Both players could ask the solver for the best move
+    if (hintsEnabled) {
+        return [];
+    }
+
+    const players = await tx.user.findMany({
+        where: { id: { in: [player1Id, player2Id] } },
+        select: { id: true, rating: true, isBot: true }
+    });
+    const player1 = players.find(p => p.id === player1Id);
+    const player2 = players.find(p => p.id === player2Id);
+
+    // Games against a bot account (invited into the room) are not rated
+    if (!player1 || !player2 || player1.isBot || player2.isBot) {
+        return [];
+    }
+
+    const scoreA = isDraw ? 0.5 : winnerId === player1Id ? 1 : 0;
+    const { changeA, changeB } = calculateEloChange(player1.rating, player2.rating, scoreA);
+
+    const changes = [];
+    for (const [userId, change] of [[player1Id, changeA], [player2Id, changeB]]) {
+        // Increment instead of overwriting so concurrent games for the same
+        // user don't lose each other's update; "before" is derived from the result
+        const updated = await tx.user.update({
+            where: { id: userId },
+            data: { rating: { increment: change } },
+            select: { rating: true }
+        });
+
+        const record = await tx.ratingChange.create({
+            data: {
+                userId,
+                roomId,
+                ratingBefore: updated.rating - change,
+                ratingAfter: updated.rating,
+                change
+            },
+            select: {
+                userId: true,
+                ratingBefore: true,
+                ratingAfter: true,
+                change: true
+            }
+        });
+        changes.push(record);
+    }
+
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    K_FACTOR,
+    expectedScore,
+    calculateEloChange,
+    applyRatingChanges
+};
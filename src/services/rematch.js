@@ -0,0 +1,87 @@
+/**
+ * Rematch Service - follow-up rooms for finished games
+ * The rematch keeps the board rules and time control, swaps X and O
+ * (player1 always plays X) and continues the series if one is running.
+ * An invited bot moves to the other seat with its player.
+ */
+
+const { generateRoomCode } = require('../utils/helpers');
+const { createEmptyBoard } = require('./gameLogic');
+const { createClockFields, getTimeControl } = require('./clock');
+
+/**
+ * Series fields for the rematch of a room
+ * @param {object} room - Finished room with series included
+ * @param {string} player1Id - player1 of the new room
+ * @param {string} player2Id - player2 of the new room
+ * @returns {object} - Prisma data for Room
+ */
+function getRematchSeriesFields(room, player1Id, player2Id) {
+    if (!room.series) {
+        return {};
+    }
+
+    // Series still running → next game of the same series
+    if (room.series.status === 'in-progress') {
+        return { seriesId: room.series.id, seriesGame: (room.seriesGame || 1) + 1 };
+    }
+
+    // Series decided → the rematch starts a new one of the same length
+    return {
+        series: { create: { bestOf: room.series.bestOf, player1Id, player2Id } },
+        seriesGame: 1
+    };
+}
+
+/**
+ * Create the rematch room for a finished room (call inside a transaction)
+ * previousRoomId is unique, so a concurrent second rematch fails with P2002.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} room - Finished room with series included
+ * @param {object} [options] - { keepBot: the bot account in room.botSeat plays the rematch too }
+ * @returns {Promise<object>} - Created room with players and series
+ */
+async function createRematchRoom(tx, room, { keepBot = false } = {}) {
+    let code;
+    let isUnique = false;
+    while (!isUnique) {
+        code = generateRoomCode();
+        const existing = await tx.room.findUnique({ where: { code } });
+        if (!existing) isUnique = true;
+    }
+
+    // Swap seats so the other player gets X
+    const player1Id = room.player2Id;
+    const player2Id = room.player1Id;
+
+    return tx.room.create({
+        data: {
+            code,
+            player1Id,
+            player2Id,
+            status: 'in-progress',
+            currentTurn: 'player1',
+            board: createEmptyBoard(room.boardSize),
+            boardSize: room.boardSize,
+            winLength: room.winLength,
+            ...createClockFields(getTimeControl(room)),
+            ...(room.timeControl && { turnStartedAt: new Date() }),
+            hintsEnabled: room.hintsEnabled,
+            ...(keepBot && {
+                botSeat: room.botSeat === 'player1' ? 'player2' : 'player1',
+                botDifficulty: room.botDifficulty
+            }),
+            previousRoomId: room.id,
+            ...getRematchSeriesFields(room, player1Id, player2Id)
+        },
+        include: {
+            player1: { select: { id: true, username: true } },
+            player2: { select: { id: true, username: true } },
+            series: true
+        }
+    });
+}
+
+module.exports = {
+    createRematchRoom
+};
@@ -0,0 +1,155 @@
+/**
+ * Room Bot Service - a bot playing a seat of a multiplayer room
+ * The room creator can invite a bot into the empty player2 seat, and a player
+ * whose opponent has disconnected can let a bot finish the game for them.
+ * The bot plays through a system user (one per difficulty, isBot), so its
+ * moves are stored in the room's Move history like anyone else's and
+ * spectators see an ordinary room. Games against an invited bot are not rated.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getFlaggedPlayer } = require('./clock');
+const { chooseMove } = require('./engines');
+const { isUserActive } = require('./presence');
+const { applyRoomMove } = require('./roomMoves');
+const { publishRoomEvent } = require('./roomEvents');
+const { serializeRoom } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const ROOM_BOT_ENGINE = 'minimax';
+
+// A takeover game stays rated for the absent player, so the player asking for
+// it can't pick a weak bot to beat: it always plays at full strength
+const TAKEOVER_DIFFICULTY = 'impossible';
+
+// How long a disconnected player's turn must have been waiting before a bot may take over
+const readSeconds = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+const TAKEOVER_IDLE_SECONDS = readSeconds('BOT_TAKEOVER_IDLE_SECONDS', 30);
+
+/**
+ * Username of the bot account for a difficulty
+ * Usernames can't contain '-' at registration, so no player can take these.
+ * @param {string} difficulty - Difficulty level
+ * @returns {string}
+ */
+function getBotUsername(difficulty) {
+    return `bot-${difficulty}`;
+}
+
+/**
+ * Find or create the bot account for a difficulty
+ * @param {object} client - Prisma client or transaction
+ * @param {string} difficulty - Difficulty level
+ * @returns {Promise<object>} - { id, username }
+ */
+function getBotUser(client, difficulty) {
+    const username = getBotUsername(difficulty);
+    return client.user.upsert({
+        where: { username },
+        update: {},
+        // No password: bot accounts can't log in
+        create: { username, password: '', isBot: true },
+        select: { id: true, username: true }
+    });
+}
+
+/**
+ * @param {object} client - Prisma client or transaction
+ * @param {string|null} userId - User ID
+ * @returns {Promise<boolean>} - Whether the user is a bot account
+ */
+async function isBotUser(client, userId) {
+    if (!userId) return false;
+    const user = await client.user.findUnique({
+        where: { id: userId },
+        select: { isBot: true }
+    });
+    return Boolean(user && user.isBot);
+}
+
+/**
+ * Whether a bot may take over a seat whose player has gone
+ * It must be the seat's turn, the turn must have waited for at least
+ * BOT_TAKEOVER_IDLE_SECONDS and the player must be inactive everywhere:
+ * no open stream and no session used recently (see presence.js), whether
+ * they play over WebSocket, SSE or plain REST, on any instance.
+ * @param {object} room - Room record
+ * @param {string} seat - "player1" or "player2"
+ * @param {Date} [now]
+ * @returns {Promise<boolean>}
+ */
+async function canTakeOver(room, seat, now = new Date()) {
+    if (room.status !== 'in-progress'
+        || room.currentTurn !== seat
+        || now - room.updatedAt < TAKEOVER_IDLE_SECONDS * 1000) {
+        return false;
+    }
+    return !(await isUserActive(room[`${seat}Id`], now));
+}
+
+/**
+ * Play the bot's move if it is the bot's turn in a room
+ * Called after every change that can hand the turn to the bot (a human move,
+ * inviting a bot, a takeover, a rematch). Publishes the move like a human one.
+ * @param {string} roomId - Room ID
+ * @returns {Promise<object|null>} - { room, move }, or null if the bot is not to move
+ */
+async function playBotTurn(roomId) {
+    const room = await prisma.room.findUnique({ where: { id: roomId } });
+    const now = new Date();
+
+    if (!room || room.status !== 'in-progress' || !room.botSeat || room.currentTurn !== room.botSeat) {
+        return null;
+    }
+
+    // A flagged clock is settled by the clock job, not by a late bot move
+    if (getFlaggedPlayer(room, now) === room.botSeat) {
+        return null;
+    }
+
+    const botSymbol = room.botSeat === 'player1' ? 'X' : 'O';
+
+    // Search outside the transaction; the version check below catches any change meanwhile
+    const position = await chooseMove(ROOM_BOT_ENGINE, room.board, {
+        botSymbol,
+        playerSymbol: botSymbol === 'X' ? 'O' : 'X',
+        winLength: room.winLength,
+        difficulty: room.botDifficulty
+    });
+
+    let result;
+    try {
+        result = await prisma.$transaction(async (tx) => {
+            const bot = await getBotUser(tx, room.botDifficulty);
+            return applyRoomMove(tx, room, {
+                playerRole: room.botSeat,
+                playerId: bot.id,
+                position,
+                now
+            });
+        });
+    } catch (error) {
+        // Someone else changed the room first (resign, release, a concurrent trigger)
+        if (error.message === 'VERSION_CONFLICT') return null;
+        throw error;
+    }
+
+    publishRoomEvent(roomId, 'move', { room: serializeRoom(result.room), move: result.move });
+
+    return result;
+}
+
+module.exports = {
+    ROOM_BOT_ENGINE,
+    TAKEOVER_DIFFICULTY,
+    TAKEOVER_IDLE_SECONDS,
+    getBotUsername,
+    getBotUser,
+    isBotUser,
+    canTakeOver,
+    playBotTurn
+};
@@ -0,0 +1,76 @@
+/**
+ * Room Events Service
+ * In-process pub/sub for room updates. Routes publish after a successful
+ * write and the real-time transports (WebSocket) forward them to subscribers.
+ * Per-user events (e.g. a matchmaking match) use a separate user channel.
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+// One listener per subscribed socket, so the default limit of 10 is too low
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event for a room
+ * @param {string} roomId - Room ID
+ * @param {string} event - Event name (e.g. 'move', 'player-joined')
+ * @param {object} data - Event payload (usually { room })
+ */
+function publishRoomEvent(roomId, event, data = {}) {
+    emitter.emit(`room:${roomId}`, {
+        event,
+        roomId,
+        data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Subscribe to events for a room
+ * @param {string} roomId - Room ID
+ * @param {function} listener - Called with { event, roomId, data, timestamp }
+ * @returns {function} - Unsubscribe function
+ */
+function subscribeToRoom(roomId, listener) {
+    const channel = `room:${roomId}`;
+    emitter.on(channel, listener);
+
+    return () => emitter.off(channel, listener);
+}
+
+/**
+ * Publish an event to a single user (all of their connections)
+ * @param {string} userId - User ID
+ * @param {string} event - Event name (e.g. 'match-found')
+ * @param {object} data - Event payload
+ */
+function publishUserEvent(userId, event, data = {}) {
+    emitter.emit(`user:${userId}`, {
+        event,
+        userId,
+        data,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Subscribe to events addressed to a user
+ * @param {string} userId - User ID
+ * @param {function} listener - Called with { event, userId, data, timestamp }
+ * @returns {function} - Unsubscribe function
+ */
+function subscribeToUser(userId, listener) {
+    const channel = `user:${userId}`;
+    emitter.on(channel, listener);
+
+    return () => emitter.off(channel, listener);
+}
+
+module.exports = {
+    publishRoomEvent,
+    subscribeToRoom,
+    publishUserEvent,
+    subscribeToUser
+};
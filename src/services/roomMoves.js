@@ -0,0 +1,125 @@
+/**
+ * Room Moves Service - plays one move in a multiplayer room
+ * Shared by the move route (human players) and the room bot, so both go
+ * through the same checks, clock update and end-of-game bookkeeping.
+ */
+
+const {
+    checkWinner,
+    isDraw,
+    isValidMove,
+    makeMove,
+    countMoves
+} = require('./gameLogic');
+const { applyRatingChanges } = require('./rating');
+const { recordSeriesResult } = require('./series');
+const { applyMoveToClock } = require('./clock');
+
+const ROOM_INCLUDE = {
+    player1: { select: { id: true, username: true } },
+    player2: { select: { id: true, username: true } },
+    winner: { select: { id: true, username: true } }
+};
+
+/**
+ * Play a move for a seat (call inside a transaction)
+ * The caller checks that it is the seat's turn and that its clock has not run out.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} room - Room as read in this transaction
+ * @param {object} move
+ * @param {string} move.playerRole - "player1" or "player2"
+ * @param {string} move.playerId - User who made the move (the seat's player, or the bot)
+ * @param {number} move.position - Board position
+ * @param {Date} [move.now] - Move time for the clock
+ * @returns {Promise<object>} - { room, move } with players included
+ * @throws {Error} - 'INVALID_MOVE', or 'VERSION_CONFLICT' if another move was committed first
+ */
+async function applyRoomMove(tx, room, { playerRole, playerId, position, now = new Date() }) {
+    if (!isValidMove(room.board, position)) {
+        throw new Error('INVALID_MOVE');
+    }
+
+    // player1 = X, player2 = O
+    const symbol = playerRole === 'player1' ? 'X' : 'O';
+    const newBoard = makeMove(room.board, position, symbol);
+
+    const winner = checkWinner(newBoard, room.winLength);
+    const draw = isDraw(newBoard, room.winLength);
+
+    // Moving instead of answering a draw offer declines it
+    const declinesOffer = room.drawOfferedBy && room.drawOfferedBy !== playerRole;
+
+    let newStatus = 'in-progress';
+    let winnerId = null;
+    let endReason = null;
+    let newCurrentTurn = playerRole === 'player1' ? 'player2' : 'player1';
+
+    if (winner) {
+        newStatus = 'finished';
+        // The seat wins, even when a bot made the move for its player
+        winnerId = room[`${playerRole}Id`];
+        endReason = 'win';
+        newCurrentTurn = null;
+    } else if (draw) {
+        newStatus = 'finished';
+        endReason = 'draw';
+        newCurrentTurn = null;
+    }
+
+    // Conditional on version so two moves for the same turn can't both commit
+    const claimed = await tx.room.updateMany({
+        where: { id: room.id, version: room.version },
+        data: {
+            board: newBoard,
+            currentTurn: newCurrentTurn,
+            status: newStatus,
+            winnerId,
+            isDraw: draw,
+            endReason,
+            ...(newStatus === 'finished' && { finishedAt: now }),
+            ...(declinesOffer && { drawOfferedBy: null }),
+            ...applyMoveToClock(room, playerRole, now),
+            version: room.version + 1
+        }
+    });
+
+    if (claimed.count === 0) {
+        throw new Error('VERSION_CONFLICT');
+    }
+
+    const updatedRoom = await tx.room.findUnique({
+        where: { id: room.id },
+        include: ROOM_INCLUDE
+    });
+
+    // Record move in history
+    const moveCount = countMoves(room.board);
+    if (declinesOffer) {
+        await tx.gameEvent.create({
+            data: { roomId: room.id, playerId, type: 'draw-declined', afterMove: moveCount }
+        });
+    }
+    const move = await tx.move.create({
+        data: {
+            roomId: room.id,
+            playerId,
+            position,
+            symbol,
+            moveOrder: moveCount + 1
+        },
+        select: { position: true, symbol: true, moveOrder: true }
+    });
+
+    // Update Elo ratings and the series score atomically with the finishing move
+    // (move annotations are added afterwards by the annotation job)
+    if (newStatus === 'finished') {
+        updatedRoom.ratingChanges = await applyRatingChanges(tx, updatedRoom);
+        updatedRoom.series = await recordSeriesResult(tx, updatedRoom);
+    }
+
+    return { room: updatedRoom, move };
+}
+
+module.exports = {
+    applyRoomMove
+};
@@ -0,0 +1,97 @@
+/**
+ * Series Service - best-of-N series across linked rematch rooms
+ * Scores are tracked per user (not per seat) because X and O swap every game.
+ * The series ends as soon as one player reaches a majority of bestOf, or after
+ * bestOf games have been played (draws count as played games).
+ */
+
+const SERIES_LENGTHS = [3, 5, 7];
+
+/**
+ * Wins needed to take a series
+ * @param {number} bestOf
+ * @returns {number}
+ */
+function winsNeeded(bestOf) {
+    return Math.floor(bestOf / 2) + 1;
+}
+
+/**
+ * Decide a series from its score
+ * @param {object} series - Series record
+ * @returns {object|null} - { winnerId, isDraw } or null if the series continues
+ */
+function getSeriesOutcome(series) {
+    const needed = winsNeeded(series.bestOf);
+
+    if (series.player1Wins >= needed) {
+        return { winnerId: series.player1Id, isDraw: false };
+    }
+    if (series.player2Wins >= needed) {
+        return { winnerId: series.player2Id, isDraw: false };
+    }
+
+    const played = series.player1Wins + series.player2Wins + series.draws;
+    if (played < series.bestOf) {
+        return null;
+    }
+
+    // All games played without a majority (draws) → the leader takes it
+    if (series.player1Wins === series.player2Wins) {
+        return { winnerId: null, isDraw: true };
+    }
+    return {
+        winnerId: series.player1Wins > series.player2Wins ? series.player1Id : series.player2Id,
+        isDraw: false
+    };
+}
+
+/**
+ * Record a finished room's result in its series (call inside the finishing transaction)
+ * @param {object} tx - Prisma transaction client
+ * @param {object} room - Finished room (winnerId, isDraw, seriesId)
+ * @returns {Promise<object|null>} - Updated series, or null if the room is not part of one
+ */
+async function recordSeriesResult(tx, room) {
+    if (!room.seriesId) {
+        return null;
+    }
+
+    const series = await tx.series.findUnique({ where: { id: room.seriesId } });
+    if (!series || series.status !== 'in-progress') {
+        return series;
+    }
+
+    let scoreField;
+    if (room.isDraw) {
+        scoreField = 'draws';
+    } else if (room.winnerId && room.winnerId === series.player1Id) {
+        scoreField = 'player1Wins';
+    } else if (room.winnerId && room.winnerId === series.player2Id) {
+        scoreField = 'player2Wins';
+    } else {
+        return series;
+    }
+
+    const updated = await tx.series.update({
+        where: { id: series.id },
+        data: { [scoreField]: { increment: 1 } }
+    });
+
+    const outcome = getSeriesOutcome(updated);
+    if (!outcome) {
+        return updated;
+    }
+
+    return tx.series.update({
+        where: { id: series.id },
+        data: { status: 'finished', ...outcome }
+    });
+}
+
+module.exports = {
+    SERIES_LENGTHS,
+    winsNeeded,
+    getSeriesOutcome,
+    recordSeriesResult
+};
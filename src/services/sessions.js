@@ -0,0 +1,333 @@
+/**
+ * Session Service - access tokens, rotating refresh tokens and revocation
+ * Logging in creates a Session. The client gets a short-lived access token
+ * (a JWT carrying the session id) and a refresh token. Each refresh token
+ * works once: exchanging it returns a new pair and marks the old one used.
+ * If a used refresh token shows up again, someone else holds a copy, so the
+ * whole session is revoked. authenticate rejects access tokens of revoked
+ * sessions, which is what makes logout take effect before the JWT expires.
+ *
+ * Each session remembers the device it was created on (user agent, IP) and
+ * when it was last used, so users can review and revoke their sessions.
+ * Open WebSocket / SSE streams of a revoked session are closed as well, see
+ * publishSessionsRevoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { publishUserEvent } = require('./roomEvents');
+
+const prisma = new PrismaClient();
+
+// A new variable on purpose: existing installs still have JWT_EXPIRES_IN=7d from
+// before sessions, which would keep access tokens alive for a week after logout
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+if (process.env.JWT_EXPIRES_IN) {
+    console.warn(`⚠️ JWT_EXPIRES_IN is no longer used; access tokens expire after ACCESS_TOKEN_EXPIRES_IN (${ACCESS_TOKEN_EXPIRES_IN})`);
+}
+
+const readPositiveInt = (name, fallback) => {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+const REFRESH_TOKEN_EXPIRES_DAYS = readPositiveInt('REFRESH_TOKEN_EXPIRES_DAYS', 30);
+
+// lastSeenAt is written at most this often per session, not on every request
+const LAST_SEEN_INTERVAL_SECONDS = readPositiveInt('SESSION_LAST_SEEN_INTERVAL_SECONDS', 60);
+
+// User event that makes the user's open streams re-check their session
+const SESSIONS_REVOKED_EVENT = 'sessions-revoked';
+
+// Longest user agent kept (headers can be arbitrarily long)
+const MAX_USER_AGENT_LENGTH = 255;
+
+const SESSION_SELECT = {
+    id: true,
+    createdAt: true,
+    lastSeenAt: true,
+    userAgent: true,
+    ipAddress: true,
+    expiresAt: true
+};
+
+/**
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest stored in RefreshToken.tokenHash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @returns {Date} - Session expiry counted from now
+ */
+function getSessionExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Issue a new refresh token for a session (stores only its hash)
+ * @param {object} client - Prisma client or transaction
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string>} - The refresh token to hand to the client
+ */
+async function issueRefreshToken(client, sessionId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await client.refreshToken.create({
+        data: { sessionId, tokenHash: hashToken(token) }
+    });
+    return token;
+}
+
+/**
+ * Sign an access token for a session
+ * @param {object} session - { id, userId }
+ * @returns {string} - JWT
+ */
+function signAccessToken(session) {
+    return jwt.sign(
+        { userId: session.userId, sessionId: session.id },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * Device info for a new session
+ * @param {object} req - Express request
+ * @returns {object} - { userAgent, ipAddress }
+ */
+function getDeviceInfo(req) {
+    const userAgent = req.get('user-agent');
+    return {
+        userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+        ipAddress: req.ip || null
+    };
+}
+
+/**
+ * Start a session for a user who has just proved who they are
+ * @param {string} userId - User ID
+ * @param {object} [device] - { userAgent, ipAddress } from getDeviceInfo
+ * @returns {Promise<object>} - { token, refreshToken, sessionId }
+ */
+async function createSession(userId, device = {}) {
+    return prisma.$transaction(async (tx) => {
+        const session = await tx.session.create({
+            data: {
+                userId,
+                expiresAt: getSessionExpiry(),
+                userAgent: device.userAgent || null,
+                ipAddress: device.ipAddress || null
+            }
+        });
+
+        return {
+            token: signAccessToken(session),
+            refreshToken: await issueRefreshToken(tx, session.id),
+            sessionId: session.id
+        };
+    });
+}
+
+/**
+ * Revoke a session (its access and refresh tokens stop working)
+ * @param {object} client - Prisma client or transaction
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Stored in revokedReason
+ * @returns {Promise<boolean>} - false if the session was already revoked
+ */
+async function revokeSession(client, sessionId, reason) {
+    const result = await client.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.count > 0;
+}
+
+/**
+ * Revoke every open session of a user
+ * @param {object} client - Prisma client or transaction
+ * @param {string} userId - User ID
+ * @param {string} reason - Stored in revokedReason
+ * @param {object} [options] - { exceptSessionId: keep this session open }
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeUserSessions(client, userId, reason, { exceptSessionId } = {}) {
+    const result = await client.session.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { id: { not: exceptSessionId } })
+        },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.count;
+}
+
+/**
+ * Tell the user's open streams in this process that sessions were closed
+ * Each stream re-checks its own session and closes if it is gone. Call after
+ * the revoking transaction has committed.
+ * @param {string} userId - User ID
+ */
+function publishSessionsRevoked(userId) {
+    publishUserEvent(userId, SESSIONS_REVOKED_EVENT);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<object>} - { token, refreshToken, sessionId }
+ * @throws {Error} - 'INVALID_REFRESH_TOKEN', 'SESSION_REVOKED', 'SESSION_EXPIRED'
+ *                   or 'REFRESH_TOKEN_REUSED' (the session is revoked as well)
+ */
+async function refreshSession(refreshToken) {
+    const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        include: { session: true }
+    });
+
+    if (!stored) {
+        throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    const { session } = stored;
+
+    if (session.revokedAt) {
+        throw new Error('SESSION_REVOKED');
+    }
+
+    if (session.expiresAt <= new Date()) {
+        throw new Error('SESSION_EXPIRED');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+        // Conditional so two requests with the same token can't both rotate it
+        const claimed = await tx.refreshToken.updateMany({
+            where: { id: stored.id, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+
+        if (claimed.count === 0) {
+            return null;
+        }
+
+        await tx.session.update({
+            where: { id: session.id },
+            data: { expiresAt: getSessionExpiry(), lastSeenAt: new Date() }
+        });
+
+        return {
+            token: signAccessToken(session),
+            refreshToken: await issueRefreshToken(tx, session.id),
+            sessionId: session.id
+        };
+    });
+
+    if (!result) {
+        // Outside the rotation transaction so the revocation is kept
+        await revokeSession(prisma, session.id, 'refresh-reuse');
+        publishSessionsRevoked(session.userId);
+        throw new Error('REFRESH_TOKEN_REUSED');
+    }
+
+    return result;
+}
+
+/**
+ * Load an open session with its user (used by authenticate)
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<object|null>} - { session, user }, or null if the session is revoked, expired or gone
+ */
+async function findActiveSession(sessionId) {
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+        include: {
+            user: {
+                select: {
+                    id: true,
+                    username: true,
+                    isAdmin: true,
+                    isGuest: true,
+                    createdAt: true
+                }
+            }
+        }
+    });
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return null;
+    }
+
+    const { user, ...sessionFields } = session;
+    return { session: sessionFields, user };
+}
+
+/**
+ * Record that a session was used, at most once per LAST_SEEN_INTERVAL_SECONDS
+ * Takes the session authenticate already loaded, so most requests cost no write.
+ * @param {object} session - { id, lastSeenAt }
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} - Whether lastSeenAt was written
+ */
+async function touchSession(session, now = new Date()) {
+    const staleBefore = new Date(now.getTime() - LAST_SEEN_INTERVAL_SECONDS * 1000);
+    if (session.lastSeenAt > staleBefore) {
+        return false;
+    }
+
+    // Conditional so parallel requests of the same session write once
+    const result = await prisma.session.updateMany({
+        where: { id: session.id, lastSeenAt: { lte: staleBefore } },
+        data: { lastSeenAt: now }
+    });
+    return result.count > 0;
+}
+
+/**
+ * Open sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} - { id, createdAt, lastSeenAt, userAgent, ipAddress, expiresAt }
+ */
+function listActiveSessions(userId) {
+    return prisma.session.findMany({
+        where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+        orderBy: { lastSeenAt: 'desc' },
+        select: SESSION_SELECT
+    });
+}
+
+/**
+ * Revoke one of a user's own sessions
+ * @param {string} userId - Owner (other users' sessions are not found)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - false if the user has no such open session
+ */
+async function revokeUserSession(userId, sessionId) {
+    const result = await prisma.session.updateMany({
+        where: { id: sessionId, userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'revoked' }
+    });
+    return result.count > 0;
+}
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_TOKEN_EXPIRES_DAYS,
+    LAST_SEEN_INTERVAL_SECONDS,
+    SESSIONS_REVOKED_EVENT,
+    hashToken,
+    getDeviceInfo,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    revokeUserSession,
+    publishSessionsRevoked,
+    findActiveSession,
+    touchSession,
+    listActiveSessions
+};
@@ -0,0 +1,222 @@
+/**
+ * Simulation Service - bot-vs-bot matches run in-process
+ * Plays N games between two registered engines (see engines.js) and reports
+ * results, game length and how long each engine took per move. Used by
+ * `npm run simulate` to compare strategies and to check that the minimax
+ * bot really never loses.
+ *
+ * Games are never stored, so learning engines (MENACE) play with their
+ * current weights but do not learn from simulated games.
+ */
+
+const {
+    createEmptyBoard,
+    getAvailableMoves,
+    makeMove,
+    checkWinner,
+    resolveRules,
+    validateRules
+} = require('./gameLogic');
+const { getEngine, supportsBoardSize, chooseMove } = require('./engines');
+
+/**
+ * Small seedable PRNG (mulberry32) so a simulation can be repeated exactly
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Play one game between two engines
+ * @param {object} options
+ * @param {object} options.x - { engine, difficulty } playing X (moves first)
+ * @param {object} options.o - { engine, difficulty } playing O
+ * @param {number} options.boardSize - Board side length
+ * @param {number} options.winLength - Marks in a row needed
+ * @param {number} [options.openingMoves] - Random moves played before the engines take over
+ * @param {function} [options.random] - Random source for openings and engines
+ * @returns {Promise<object>} - { winner: 'X' | 'O' | null, board, moveCount, opening, moveTimesMs: { X: [], O: [] } }
+ */
+async function playGame({ x, o, boardSize, winLength, openingMoves = 0, random = Math.random }) {
+    const sides = { X: x, O: o };
+    const moveTimesMs = { X: [], O: [] };
+    const opening = [];
+    let board = createEmptyBoard(boardSize);
+    let symbol = 'X';
+    let winner = null;
+
+    while (getAvailableMoves(board).length > 0) {
+        let position;
+
+        if (opening.length < openingMoves) {
+            const moves = getAvailableMoves(board);
+            position = moves[Math.floor(random() * moves.length)];
+            opening.push(position);
+        } else {
+            const opponent = symbol === 'X' ? 'O' : 'X';
+            const started = process.hrtime.bigint();
+            position = await chooseMove(sides[symbol].engine, board, {
+                botSymbol: symbol,
+                playerSymbol: opponent,
+                winLength,
+                difficulty: sides[symbol].difficulty,
+                random
+            });
+            moveTimesMs[symbol].push(Number(process.hrtime.bigint() - started) / 1e6);
+        }
+
+        if (board[position] !== '-') {
+            throw new Error(`ILLEGAL_MOVE: ${sides[symbol].engine} played ${position} on ${board}`);
+        }
+
+        board = makeMove(board, position, symbol);
+        winner = checkWinner(board, winLength);
+        if (winner) break;
+
+        symbol = symbol === 'X' ? 'O' : 'X';
+    }
+
+    return {
+        winner,
+        board,
+        moveCount: board.length - getAvailableMoves(board).length,
+        opening,
+        moveTimesMs
+    };
+}
+
+/**
+ * Timing summary for a list of move times
+ * @param {number[]} times - Milliseconds per move
+ * @returns {object} - { moves, averageMs, maxMs, totalMs }
+ */
+function summarizeTimes(times) {
+    const totalMs = times.reduce((sum, time) => sum + time, 0);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        moves: times.length,
+        averageMs: times.length > 0 ? round(totalMs / times.length) : 0,
+        maxMs: round(times.length > 0 ? Math.max(...times) : 0),
+        totalMs: round(totalMs)
+    };
+}
+
+/**
+ * Run a match of several games between two engines
+ * @param {object} options
+ * @param {object} options.a - { engine, difficulty } first competitor
+ * @param {object} options.b - { engine, difficulty } second competitor
+ * @param {number} [options.games] - Number of games (default 10)
+ * @param {number} [options.boardSize] - Board side length (default 3)
+ * @param {number} [options.winLength] - Marks in a row (default for the board size)
+ * @param {number} [options.openingMoves] - Random opening moves per game (default 0)
+ * @param {boolean} [options.swapColors] - Alternate who plays X (default true)
+ * @param {number} [options.seed] - Seed for a repeatable run
+ * @returns {Promise<object>} - Report with results per competitor and per color
+ * @throws {Error} - 'UNKNOWN_ENGINE', 'UNSUPPORTED_BOARD_SIZE' or 'INVALID_RULES'
+ */
+async function runMatch(options) {
+    const { a, b, games = 10, openingMoves = 0, swapColors = true, seed } = options;
+    const { boardSize, winLength } = resolveRules(options);
+
+    if (!validateRules(boardSize, winLength).valid) {
+        throw new Error('INVALID_RULES');
+    }
+
+    for (const side of [a, b]) {
+        const engine = getEngine(side.engine);
+        if (!engine) {
+            throw new Error('UNKNOWN_ENGINE');
+        }
+        if (!supportsBoardSize(engine, boardSize)) {
+            throw new Error('UNSUPPORTED_BOARD_SIZE');
+        }
+    }
+
+    const random = seed === undefined ? Math.random : createRandom(seed);
+    const emptyResults = () => ({ wins: 0, draws: 0, losses: 0 });
+    const competitors = {
+        a: { ...a, ...emptyResults(), asX: emptyResults(), asO: emptyResults(), times: [] },
+        b: { ...b, ...emptyResults(), asX: emptyResults(), asO: emptyResults(), times: [] }
+    };
+    let totalMoves = 0;
+    const decisiveGames = [];
+
+    for (let index = 0; index < games; index++) {
+        const aPlaysX = !swapColors || index % 2 === 0;
+        const colors = aPlaysX ? { X: 'a', O: 'b' } : { X: 'b', O: 'a' };
+
+        const game = await playGame({
+            x: competitors[colors.X],
+            o: competitors[colors.O],
+            boardSize,
+            winLength,
+            openingMoves,
+            random
+        });
+
+        totalMoves += game.moveCount;
+
+        for (const symbol of ['X', 'O']) {
+            const competitor = competitors[colors[symbol]];
+            const byColor = symbol === 'X' ? competitor.asX : competitor.asO;
+            let outcome = 'draws';
+            if (game.winner) outcome = game.winner === symbol ? 'wins' : 'losses';
+
+            competitor[outcome]++;
+            byColor[outcome]++;
+            competitor.times.push(...game.moveTimesMs[symbol]);
+        }
+
+        if (game.winner) {
+            decisiveGames.push({
+                game: index + 1,
+                winner: colors[game.winner],
+                winnerSymbol: game.winner,
+                opening: game.opening,
+                finalBoard: game.board
+            });
+        }
+    }
+
+    const report = competitor => ({
+        engine: competitor.engine,
+        difficulty: competitor.difficulty ?? null,
+        wins: competitor.wins,
+        draws: competitor.draws,
+        losses: competitor.losses,
+        asX: competitor.asX,
+        asO: competitor.asO,
+        timing: summarizeTimes(competitor.times)
+    });
+
+    return {
+        games,
+        boardSize,
+        winLength,
+        openingMoves,
+        swapColors,
+        seed: seed ?? null,
+        averageLength: games > 0 ? Math.round((totalMoves / games) * 10) / 10 : 0,
+        a: report(competitors.a),
+        b: report(competitors.b),
+        draws: competitors.a.draws,
+        decisiveGames
+    };
+}
+
+module.exports = {
+    createRandom,
+    playGame,
+    runMatch
+};
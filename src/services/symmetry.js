@@ -0,0 +1,85 @@
+/**
+ * Symmetry Service - rotations and reflections of an N×N board
+ * The 8 symmetries of a square turn one position into up to 8 equivalent
+ * boards. Picking the smallest string as the "canonical" board lets learning
+ * and caching treat all of them as one position.
+ */
+
+const { getBoardSize } = require('./gameLogic');
+
+const symmetryCache = new Map();
+
+/**
+ * Index maps for the 8 symmetries: transformed[i] = board[map[i]]
+ * @param {number} boardSize - Board side length
+ * @returns {number[][]} - 8 maps, the identity first
+ */
+function getSymmetries(boardSize) {
+    if (symmetryCache.has(boardSize)) {
+        return symmetryCache.get(boardSize);
+    }
+
+    const last = boardSize - 1;
+    const coordinates = [
+        (r, c) => [r, c], // Identity
+        (r, c) => [last - c, r], // Rotate 90°
+        (r, c) => [last - r, last - c], // Rotate 180°
+        (r, c) => [c, last - r], // Rotate 270°
+        (r, c) => [r, last - c], // Mirror left-right
+        (r, c) => [last - r, c], // Mirror top-bottom
+        (r, c) => [c, r], // Main diagonal
+        (r, c) => [last - c, last - r] // Anti-diagonal
+    ];
+
+    const maps = coordinates.map(source => {
+        const map = [];
+        for (let row = 0; row < boardSize; row++) {
+            for (let col = 0; col < boardSize; col++) {
+                const [r, c] = source(row, col);
+                map.push(r * boardSize + c);
+            }
+        }
+        return map;
+    });
+
+    symmetryCache.set(boardSize, maps);
+    return maps;
+}
+
+/**
+ * Apply a symmetry map to a board
+ * @param {string} board - Board string
+ * @param {number[]} map - From getSymmetries
+ * @returns {string}
+ */
+function transformBoard(board, map) {
+    let result = '';
+    for (const index of map) {
+        result += board[index];
+    }
+    return result;
+}
+
+/**
+ * Canonical form of a board (smallest of its 8 symmetric versions)
+ * @param {string} board - Board string
+ * @returns {object} - { board, map } where canonical cell i is board cell map[i]
+ */
+function canonicalize(board) {
+    let best = null;
+
+    for (const map of getSymmetries(getBoardSize(board))) {
+        const transformed = transformBoard(board, map);
+        if (!best || transformed < best.board) {
+            best = { board: transformed, map };
+        }
+    }
+
+    return best;
+}
+
+module.exports = {
+    getSymmetries,
+    transformBoard,
+    canonicalize
+};
@@ -0,0 +1,102 @@
+/**
+ * Timeout Service - decides games when a player's clock runs out
+ * The player who ran out loses on time, unless their opponent could no longer
+ * complete any line, in which case the game is drawn.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { canStillWin } = require('./gameLogic');
+const { getFlaggedPlayer } = require('./clock');
+const { applyRatingChanges } = require('./rating');
+const { recordSeriesResult } = require('./series');
+const { publishRoomEvent } = require('./roomEvents');
+const { serializeRoom } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+const ROOM_INCLUDE = {
+    player1: { select: { id: true, username: true } },
+    player2: { select: { id: true, username: true } },
+    winner: { select: { id: true, username: true } }
+};
+
+/**
+ * Finish a room on time if the player to move has run out
+ * @param {string} roomId - Room ID
+ * @param {Date} [now]
+ * @returns {Promise<object|null>} - Finished room, or null if nobody has flagged
+ */
+async function resolveTimeout(roomId, now = new Date()) {
+    const finishedRoom = await prisma.$transaction(async (tx) => {
+        const room = await tx.room.findUnique({ where: { id: roomId } });
+        if (!room) return null;
+
+        const flagged = getFlaggedPlayer(room, now);
+        if (!flagged) return null;
+
+        const opponentRole = flagged === 'player1' ? 'player2' : 'player1';
+        const opponentSymbol = opponentRole === 'player1' ? 'X' : 'O';
+        const opponentCanWin = canStillWin(room.board, opponentSymbol, room.winLength);
+
+        // Conditional on version so a move committed in the meantime wins the race
+        const claimed = await tx.room.updateMany({
+            where: { id: roomId, status: 'in-progress', version: room.version },
+            data: {
+                status: 'finished',
+                currentTurn: null,
+                winnerId: opponentCanWin ? room[`${opponentRole}Id`] : null,
+                isDraw: !opponentCanWin,
+                endReason: 'timeout',
+                finishedAt: now,
+                ...(room.timeControl === 'bank' && { [`${flagged}TimeMs`]: 0 }),
+                version: room.version + 1
+            }
+        });
+
+        if (claimed.count === 0) return null;
+
+        const updatedRoom = await tx.room.findUnique({
+            where: { id: roomId },
+            include: ROOM_INCLUDE
+        });
+        updatedRoom.ratingChanges = await applyRatingChanges(tx, updatedRoom);
+        updatedRoom.series = await recordSeriesResult(tx, updatedRoom);
+
+        return updatedRoom;
+    });
+
+    if (finishedRoom) {
+        publishRoomEvent(roomId, 'timeout', { room: serializeRoom(finishedRoom) });
+    }
+
+    return finishedRoom;
+}
+
+/**
+ * Resolve every timed room whose running clock has expired (run periodically)
+ * @param {Date} [now]
+ * @returns {Promise<number>} - Number of rooms decided on time
+ */
+async function resolveExpiredClocks(now = new Date()) {
+    const timedRooms = await prisma.room.findMany({
+        where: {
+            status: 'in-progress',
+            timeControl: { not: null },
+            turnStartedAt: { not: null }
+        }
+    });
+
+    let resolved = 0;
+    for (const room of timedRooms) {
+        if (getFlaggedPlayer(room, now) && await resolveTimeout(room.id, now)) {
+            resolved++;
+        }
+    }
+
+    return resolved;
+}
+
+module.exports = {
+    resolveTimeout,
+    resolveExpiredClocks
+};
@@ -0,0 +1,110 @@
+/**
+ * Transposition Table - bounded position cache shared by every bot search
+ * The same position is reached through different move orders, in different
+ * games and (after a rotation or reflection) in different corners. Entries
+ * are keyed by the symmetry-canonical board, so all of those share one slot.
+ *
+ * The table lives for the whole process, so concurrent bot games and
+ * analysis requests reuse each other's work. It holds at most maxEntries
+ * positions and evicts the least recently used one when full.
+ */
+
+const { canonicalize } = require('./symmetry');
+
+const DEFAULT_MAX_ENTRIES = 100000;
+
+/**
+ * Create a bounded LRU table
+ * @param {object} [options] - { maxEntries }
+ * @returns {object} - { get, set, clear, getStats }
+ */
+function createTranspositionTable({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    // A Map keeps insertion order: re-inserting on a hit makes the first key the least recently used
+    const entries = new Map();
+    const counters = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+    return {
+        get(key) {
+            const value = entries.get(key);
+            if (value === undefined) {
+                counters.misses++;
+                return undefined;
+            }
+            counters.hits++;
+            entries.delete(key);
+            entries.set(key, value);
+            return value;
+        },
+
+        set(key, value) {
+            if (entries.has(key)) {
+                entries.delete(key);
+            } else if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+                counters.evictions++;
+            }
+            entries.set(key, value);
+            counters.stores++;
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        getStats() {
+            const lookups = counters.hits + counters.misses;
+            return {
+                ...counters,
+                size: entries.size,
+                maxEntries,
+                hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 10 : 0
+            };
+        }
+    };
+}
+
+const maxEntries = parseInt(process.env.BOT_CACHE_MAX_ENTRIES, 10);
+const sharedTable = createTranspositionTable(maxEntries > 0 ? { maxEntries } : undefined);
+const views = new Map();
+
+/**
+ * Map-like view of the shared table for one kind of search
+ * Keys are boards; the view canonicalizes them and adds the namespace
+ * (e.g. 'exact:3' = exact solver, 3 in a row) so different searches and
+ * rules never read each other's entries.
+ * @param {string} namespace - Search kind and rules
+ * @returns {object} - { get(board), set(board, value) }
+ */
+function getPositionCache(namespace) {
+    if (!views.has(namespace)) {
+        const keyFor = board => `${namespace}|${canonicalize(board).board}`;
+        views.set(namespace, {
+            get: board => sharedTable.get(keyFor(board)),
+            set: (board, value) => sharedTable.set(keyFor(board), value)
+        });
+    }
+    return views.get(namespace);
+}
+
+/**
+ * Hit / miss / eviction counters of the shared table (for monitoring)
+ * @returns {object}
+ */
+function getCacheStats() {
+    return sharedTable.getStats();
+}
+
+/**
+ * Empty the shared table (counters are kept)
+ */
+function clearCache() {
+    sharedTable.clear();
+}
+
+module.exports = {
+    DEFAULT_MAX_ENTRIES,
+    createTranspositionTable,
+    getPositionCache,
+    getCacheStats,
+    clearCache
+};
@@ -2,6 +2,8 @@
  * Utility helpers for the application
  */
 
+const { formatClock } = require('../services/clock');
+
 /**
  * Generate a random room code
  * @param {number} length - Length of the code (default: 6)
@@ -18,8 +20,8 @@ function generateRoomCode(length = 6) {
 
 /**
  * Parse board string to array representation
- * @param {string} board - 9-character string
- * @returns {string[]} - 9-element array
+ * @param {string} board - Board string (9 chars for 3x3)
+ * @returns {string[]} - One element per cell
  */
 function boardToArray(board) {
     return board.split('');
@@ -27,8 +29,8 @@ function boardToArray(board) {
 
 /**
  * Convert board array to string
- * @param {string[]} boardArray - 9-element array
- * @returns {string} - 9-character string
+ * @param {string[]} boardArray - One element per cell
+ * @returns {string} - Board string
  */
 function arrayToBoard(boardArray) {
     return boardArray.join('');
@@ -36,16 +38,110 @@ function arrayToBoard(boardArray) {
 
 /**
  * Format board for display
- * @param {string} board - 9-character string
- * @returns {string[][]} - 3x3 array
+ * @param {string} board - Board string (boardSize * boardSize chars)
+ * @returns {string[][]} - boardSize x boardSize array
  */
 function formatBoard(board) {
     const arr = boardToArray(board);
-    return [
-        [arr[0], arr[1], arr[2]],
-        [arr[3], arr[4], arr[5]],
-        [arr[6], arr[7], arr[8]]
-    ];
+    const size = Math.round(Math.sqrt(arr.length));
+    const rows = [];
+    for (let row = 0; row < size; row++) {
+        rows.push(arr.slice(row * size, (row + 1) * size));
+    }
+    return rows;
+}
+
+/**
+ * Build the public room payload returned by the game routes
+ * and pushed to real-time subscribers
+ * @param {object} room - Room record (with player1, player2, winner included,
+ *                        and ratingChanges once the game is rated)
+ * @returns {object}
+ */
+function serializeRoom(room) {
+    return {
+        id: room.id,
+        code: room.code,
+        status: room.status,
+        player1: room.player1 || null,
+        player2: room.player2 || null,
+        player1Id: room.player1Id,
+        player2Id: room.player2Id,
+        currentTurn: room.currentTurn,
+        board: room.board,
+        boardSize: room.boardSize,
+        winLength: room.winLength,
+        winner: room.winner || null,
+        isDraw: room.isDraw,
+        endReason: room.endReason || null,
+        drawOfferedBy: room.drawOfferedBy || null,
+        rematchRequestedBy: room.rematchRequestedBy || null,
+        hintsEnabled: room.hintsEnabled ?? false,
+        ...(room.player1Hints !== undefined && {
+            hints: { player1: room.player1Hints, player2: room.player2Hints }
+        }),
+        bot: formatRoomBot(room),
+        ...(room.annotatedAt && {
+            accuracy: { player1: room.player1Accuracy, player2: room.player2Accuracy }
+        }),
+        previousRoomId: room.previousRoomId || null,
+        ...(room.nextRoom !== undefined && {
+            nextRoom: room.nextRoom && { id: room.nextRoom.id, code: room.nextRoom.code }
+        }),
+        seriesGame: room.seriesGame || null,
+        ...(room.series && { series: formatSeries(room.series) }),
+        version: room.version,
+        clock: formatClock(room),
+        ...(room.ratingChanges && {
+            ratingChanges: room.ratingChanges.map(formatRatingChange)
+        })
+    };
+}
+
+/**
+ * Bot playing a seat of a room
+ * @param {object} room - Room record
+ * @returns {object|null} - { seat, difficulty }, or null when no bot plays
+ */
+function formatRoomBot(room) {
+    if (!room.botSeat) {
+        return null;
+    }
+    return { seat: room.botSeat, difficulty: room.botDifficulty };
+}
+
+/**
+ * Format a Series record for API responses
+ * @param {object} series - Series record
+ * @returns {object}
+ */
+function formatSeries(series) {
+    return {
+        id: series.id,
+        bestOf: series.bestOf,
+        status: series.status,
+        player1Id: series.player1Id,
+        player2Id: series.player2Id,
+        player1Wins: series.player1Wins,
+        player2Wins: series.player2Wins,
+        draws: series.draws,
+        winnerId: series.winnerId,
+        isDraw: series.isDraw
+    };
+}
+
+/**
+ * Format a RatingChange record for API responses
+ * @param {object} ratingChange - RatingChange record
+ * @returns {object} - { userId, ratingBefore, ratingAfter, change }
+ */
+function formatRatingChange(ratingChange) {
+    return {
+        userId: ratingChange.userId,
+        ratingBefore: ratingChange.ratingBefore,
+        ratingAfter: ratingChange.ratingAfter,
+        change: ratingChange.change
+    };
 }
 
 /**
@@ -71,6 +167,10 @@ module.exports = {
     boardToArray,
     arrayToBoard,
     formatBoard,
+    serializeRoom,
+    formatRatingChange,
+    formatRoomBot,
+    formatSeries,
     generateId,
     sleep
 };
@@ -0,0 +1,124 @@
+/**
+ * Guest accounts and removing users (src/services/accounts.js)
+ */
+
+const {
+    GUEST_USERNAME_PREFIX,
+    USERNAME_CHANGE_COOLDOWN_DAYS,
+    isReservedUsername,
+    getNextUsernameChange,
+    generateGuestUsername,
+    createGuestUser,
+    removeUser
+} = require('../src/services/accounts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Transaction stand-in; history = rooms, moves, events and series referencing the user
+ */
+function createTx({ waitingRoomIds = [], history = 0, activeGames = 0 } = {}) {
+    const deleteMany = () => jest.fn(async () => ({ count: 0 }));
+    return {
+        room: {
+            findMany: jest.fn(async () => waitingRoomIds.map(id => ({ id }))),
+            deleteMany: deleteMany(),
+            count: jest.fn(async ({ where }) => (where.status === 'in-progress' ? activeGames : history))
+        },
+        move: { count: jest.fn(async () => 0) },
+        gameEvent: { count: jest.fn(async () => 0) },
+        series: { count: jest.fn(async () => 0) },
+        botGame: { deleteMany: deleteMany() },
+        spectator: { deleteMany: deleteMany() },
+        ratingChange: { deleteMany: deleteMany() },
+        session: { deleteMany: deleteMany() },
+        matchmakingEntry: { deleteMany: deleteMany() },
+        leaderboardEntry: { deleteMany: deleteMany() },
+        user: { delete: jest.fn(), update: jest.fn() }
+    };
+}
+
+describe('guest names', () => {
+    it('generates names under the reserved guest prefix', () => {
+        const username = generateGuestUsername();
+        expect(username).toMatch(/^guest_[a-z0-9]{6}$/);
+        expect(isReservedUsername(username)).toBe(true);
+        expect(isReservedUsername('deleted_abc')).toBe(true);
+        expect(isReservedUsername('alice')).toBe(false);
+    });
+});
+
+describe('createGuestUser', () => {
+    it('retries until the generated name is free', async () => {
+        const client = {
+            user: {
+                findUnique: jest.fn()
+                    .mockResolvedValueOnce({ id: 'taken' })
+                    .mockResolvedValueOnce(null),
+                create: jest.fn(async ({ data }) => ({ id: 'guest-1', ...data }))
+            }
+        };
+
+        const guest = await createGuestUser(client);
+
+        expect(client.user.findUnique).toHaveBeenCalledTimes(2);
+        expect(guest.username.startsWith(GUEST_USERNAME_PREFIX)).toBe(true);
+        expect(client.user.create.mock.calls[0][0].data).toMatchObject({ password: '', isGuest: true });
+    });
+});
+
+describe('getNextUsernameChange', () => {
+    it('allows one change per cooldown', () => {
+        const now = new Date('2026-10-19T12:00:00Z');
+        const changedAt = new Date(now.getTime() - DAY_MS);
+
+        expect(getNextUsernameChange({ usernameChangedAt: null }, now)).toBeNull();
+        expect(getNextUsernameChange({ usernameChangedAt: changedAt }, now))
+            .toEqual(new Date(changedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS));
+
+        const longAgo = new Date(now.getTime() - (USERNAME_CHANGE_COOLDOWN_DAYS + 1) * DAY_MS);
+        expect(getNextUsernameChange({ usernameChangedAt: longAgo }, now)).toBeNull();
+    });
+});
+
+describe('removeUser', () => {
+    it('deletes a user nobody else played with, and their waiting rooms', async () => {
+        const tx = createTx({ waitingRoomIds: ['room-1'] });
+
+        expect(await removeUser(tx, 'user-1')).toEqual({ result: 'deleted', deletedRoomIds: ['room-1'] });
+        expect(tx.room.deleteMany).toHaveBeenCalledWith({
+            where: { id: { in: ['room-1'] }, status: 'waiting', player2Id: null }
+        });
+        expect(tx.matchmakingEntry.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+        expect(tx.botGame.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+        expect(tx.user.delete).toHaveBeenCalledWith({ where: { id: 'user-1' } });
+        expect(tx.user.update).not.toHaveBeenCalled();
+    });
+
+    it('keeps an anonymous tombstone when other players\' games reference the user', async () => {
+        const tx = createTx({ history: 3 });
+        const userId = '2f1c6b1e-8a4d-4c1e-9b7a-3d5e6f708192';
+
+        expect(await removeUser(tx, userId)).toEqual({ result: 'anonymized', deletedRoomIds: [] });
+        expect(tx.room.deleteMany).not.toHaveBeenCalled();
+        expect(tx.user.delete).not.toHaveBeenCalled();
+        expect(tx.session.deleteMany).toHaveBeenCalledWith({ where: { userId } });
+        expect(tx.user.update.mock.calls[0][0].data).toMatchObject({
+            username: 'deleted_2f1c6b1e8a4d',
+            password: '',
+            isAdmin: false,
+            deletedAt: expect.any(Date)
+        });
+    });
+
+    it('refuses while the user is in a game, after taking them out of the queue', async () => {
+        // e.g. someone joined their waiting room just before it was deleted
+        const tx = createTx({ waitingRoomIds: ['room-1'], activeGames: 1 });
+
+        await expect(removeUser(tx, 'user-1')).rejects.toThrow('GAME_IN_PROGRESS');
+        expect(tx.matchmakingEntry.deleteMany.mock.invocationCallOrder[0])
+            .toBeLessThan(tx.room.count.mock.invocationCallOrder[0]);
+        expect(tx.user.delete).not.toHaveBeenCalled();
+        expect(tx.user.update).not.toHaveBeenCalled();
+    });
+});
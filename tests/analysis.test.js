@@ -0,0 +1,56 @@
+/**
+ * Position analysis (src/services/analysis.js)
+ */
+
+const {
+    MAX_ANALYSIS_EMPTY_CELLS,
+    getSideToMove,
+    scoreMoves,
+    analyzePosition
+} = require('../src/services/analysis');
+const { createEmptyBoard } = require('../src/services/gameLogic');
+
+describe('getSideToMove', () => {
+    it('counts marks, X moving first', () => {
+        expect(getSideToMove('---------')).toBe('X');
+        expect(getSideToMove('X--------')).toBe('O');
+        expect(getSideToMove('X---O----')).toBe('X');
+    });
+});
+
+describe('analyzePosition', () => {
+    it('solves the empty classic board as a draw', () => {
+        const analysis = analyzePosition(createEmptyBoard(3), 3);
+
+        expect(analysis.toMove).toBe('X');
+        expect(analysis.evaluation).toMatchObject({ result: 'draw', winner: null, distance: 9 });
+        expect(analysis.squares).toHaveLength(9);
+        expect(analysis.squares.every(square => square.result === 'draw')).toBe(true);
+    });
+
+    it('finds the fastest win and marks losing squares', () => {
+        // X to move: 2 wins now, 5 blocks O, anything else lets O win at 5
+        const analysis = analyzePosition('XX-OO----', 3);
+
+        expect(analysis.evaluation).toEqual({ result: 'win', winner: 'X', distance: 1, bestMoves: [2] });
+        const result = position => analysis.squares.find(square => square.position === position);
+        expect(result(5)).toEqual({ position: 5, result: 'draw', distance: 5 });
+        expect(result(6)).toEqual({ position: 6, result: 'loss', distance: 2 });
+    });
+
+    it('reports finished games without solving them', () => {
+        expect(analyzePosition('XXXOO----', 3)).toMatchObject({ gameOver: true, winner: 'X', squares: [] });
+    });
+
+    it('refuses positions with too many empty squares', () => {
+        expect(MAX_ANALYSIS_EMPTY_CELLS).toBeLessThan(16);
+        expect(() => analyzePosition(createEmptyBoard(4), 4)).toThrow('POSITION_TOO_COMPLEX');
+    });
+});
+
+describe('scoreMoves', () => {
+    it('gives up once the node budget runs out', () => {
+        expect(() => scoreMoves(createEmptyBoard(3), 'X', 3, new Map(), { maxNodes: 100 })).toThrow('POSITION_TOO_COMPLEX');
+        expect(scoreMoves(createEmptyBoard(3), 'X', 3, new Map()).best.value).toBe(0);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Move annotations (src/services/annotations.js)
+ */
+
+const mockTx = {
+    room: { updateMany: jest.fn() },
+    move: { updateMany: jest.fn() }
+};
+
+const mockPrisma = {
+    move: { findMany: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+const {
+    classifyMove,
+    labelMove,
+    annotateMoves,
+    summarizeAnnotations,
+    annotateRoom
+} = require('../src/services/annotations');
+const { createEmptyBoard } = require('../src/services/gameLogic');
+
+// X to move: 2 wins, 5 only draws, anything else loses
+const POSITION = 'XX-OO----';
+
+// X wins on the top row; O's 6 lets X win at once, O could have held on with 2
+const GAME = [
+    { position: 0, symbol: 'X', moveOrder: 1 },
+    { position: 4, symbol: 'O', moveOrder: 2 },
+    { position: 1, symbol: 'X', moveOrder: 3 },
+    { position: 6, symbol: 'O', moveOrder: 4 },
+    { position: 2, symbol: 'X', moveOrder: 5 }
+];
+
+describe('classifyMove', () => {
+    it('compares the move with the best result available', () => {
+        expect(classifyMove({ value: 1, distance: 1 }, { value: 1, distance: 1 })).toBe('best');
+        expect(classifyMove({ value: 1, distance: 3 }, { value: 1, distance: 1 })).toBe('good');
+        expect(classifyMove({ value: 0, distance: 7 }, { value: 0, distance: 5 })).toBe('best');
+        expect(classifyMove({ value: 0, distance: 5 }, { value: 1, distance: 1 })).toBe('inaccuracy');
+        expect(classifyMove({ value: -1, distance: 2 }, { value: 0, distance: 5 })).toBe('blunder');
+    });
+});
+
+describe('labelMove', () => {
+    it('labels moves from the exact evaluation', () => {
+        const memo = new Map();
+        expect(labelMove(POSITION, { position: 2, symbol: 'X' }, 3, memo)).toBe('best');
+        expect(labelMove(POSITION, { position: 5, symbol: 'X' }, 3, memo)).toBe('inaccuracy');
+        expect(labelMove(POSITION, { position: 6, symbol: 'X' }, 3, memo)).toBe('blunder');
+    });
+
+    it('leaves positions too complex to solve unlabelled', () => {
+        expect(labelMove(createEmptyBoard(5), { position: 12, symbol: 'X' }, 4, new Map())).toBeNull();
+    });
+});
+
+describe('annotateMoves and summarizeAnnotations', () => {
+    it('labels a whole game and sums it up per player', async () => {
+        const labels = await annotateMoves(3, 3, GAME);
+
+        expect(labels).toEqual(['best', 'best', 'best', 'blunder', 'best']);
+        expect(summarizeAnnotations([labels[1], labels[3]])).toEqual({
+            accuracy: 50,
+            rated: 2,
+            best: 1,
+            good: 0,
+            inaccuracy: 0,
+            blunder: 1
+        });
+        expect(summarizeAnnotations([null]).accuracy).toBeNull();
+    });
+});
+
+describe('annotateRoom', () => {
+    beforeEach(() => {
+        mockPrisma.move.findMany.mockResolvedValue(GAME);
+        mockPrisma.$transaction.mockImplementation(callback => callback(mockTx));
+        mockTx.move.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('stores labels and accuracy in one claiming transaction', async () => {
+        mockTx.room.updateMany.mockResolvedValue({ count: 1 });
+
+        expect(await annotateRoom({ id: 'room-1', boardSize: 3, winLength: 3 })).toBe(true);
+
+        expect(mockTx.room.updateMany).toHaveBeenCalledWith({
+            where: { id: 'room-1', annotatedAt: null },
+            data: { player1Accuracy: 100, player2Accuracy: 50, annotatedAt: expect.any(Date) }
+        });
+        expect(mockTx.move.updateMany).toHaveBeenCalledWith({
+            where: { roomId: 'room-1', moveOrder: { in: [4] } },
+            data: { annotation: 'blunder' }
+        });
+    });
+
+    it('writes nothing when another run annotated the room first', async () => {
+        mockTx.room.updateMany.mockResolvedValue({ count: 0 });
+
+        expect(await annotateRoom({ id: 'room-1', boardSize: 3, winLength: 3 })).toBe(false);
+        expect(mockTx.move.updateMany).not.toHaveBeenCalled();
+    });
+});
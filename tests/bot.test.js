@@ -0,0 +1,77 @@
+/**
+ * Bot difficulty levels (src/services/bot.js)
+ */
+
+const {
+    DIFFICULTY_LEVELS,
+    findBestMove,
+    findMoveForDifficulty,
+    checkGameOver
+} = require('../src/services/bot');
+const { createEmptyBoard, makeMove, isValidMove } = require('../src/services/gameLogic');
+
+// X to move can win at 2; O threatens 5
+const WIN_AVAILABLE = 'XX-OO----';
+// O threatens 2 and X has no win of its own
+const MUST_BLOCK = 'OO-X----X';
+
+/**
+ * random() that returns the given values in turn
+ */
+const sequence = (...values) => {
+    let i = 0;
+    return () => values[i++ % values.length];
+};
+
+describe('findBestMove', () => {
+    it('takes a win and blocks the opponent', () => {
+        expect(findBestMove(WIN_AVAILABLE, 'X', 'O', 3)).toBe(2);
+        expect(findBestMove(MUST_BLOCK, 'X', 'O', 3)).toBe(2);
+    });
+
+    it('never loses against itself on the classic board', () => {
+        let board = createEmptyBoard(3);
+        let toMove = 'X';
+        while (!checkGameOver(board, 3).isOver) {
+            const other = toMove === 'X' ? 'O' : 'X';
+            board = makeMove(board, findBestMove(board, toMove, other, 3), toMove);
+            toMove = other;
+        }
+        expect(checkGameOver(board, 3)).toEqual({ isOver: true, winner: null, isDraw: true });
+    });
+
+    it('returns a legal move on larger boards', () => {
+        const board = makeMove(createEmptyBoard(7), 24, 'X');
+        const move = findBestMove(board, 'O', 'X', 4);
+        expect(isValidMove(board, move)).toBe(true);
+    });
+});
+
+describe('findMoveForDifficulty', () => {
+    it('never misses a winning move, even at easy', () => {
+        for (const difficulty of DIFFICULTY_LEVELS) {
+            // random() = 0 makes every mistake that can be made
+            expect(findMoveForDifficulty(WIN_AVAILABLE, 'X', 'O', { difficulty, random: () => 0 })).toBe(2);
+        }
+    });
+
+    it('blocks when the dice say no mistake', () => {
+        const move = findMoveForDifficulty(MUST_BLOCK, 'X', 'O', { difficulty: 'easy', random: () => 0.99 });
+        expect(move).toBe(2);
+    });
+
+    it('can miss a block at lower levels but not at impossible', () => {
+        // Miss the block, play a random move, pick the last candidate
+        const random = sequence(0, 0, 0.99);
+        const easyMove = findMoveForDifficulty(MUST_BLOCK, 'X', 'O', { difficulty: 'easy', random });
+        expect(isValidMove(MUST_BLOCK, easyMove)).toBe(true);
+        expect(easyMove).not.toBe(2);
+
+        const impossibleMove = findMoveForDifficulty(MUST_BLOCK, 'X', 'O', { difficulty: 'impossible', random: () => 0 });
+        expect(impossibleMove).toBe(2);
+    });
+
+    it('returns -1 on a full board', () => {
+        expect(findMoveForDifficulty('XOXXOOOXX', 'X', 'O', { difficulty: 'medium' })).toBe(-1);
+    });
+});
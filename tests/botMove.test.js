@@ -0,0 +1,126 @@
+/**
+ * Moves in bot games (POST /api/bot/:gameId/move)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockTx = {
+    botGame: { updateMany: jest.fn(), findUnique: jest.fn() },
+    botMove: { create: jest.fn() }
+};
+
+const mockPrisma = {
+    botGame: { findUnique: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// The caller is whoever the X-Test-User header names
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-test-user'] };
+        next();
+    },
+    requireAdmin: (req, res, next) => next()
+}));
+
+const botRoutes = require('../src/routes/bot');
+const { registerEngine } = require('../src/services/engines');
+
+const GAME_ID = '6c0f7a52-3b1d-4e8f-a2c4-9d8e7f6a5b4c';
+
+const app = express();
+app.use(express.json());
+app.use('/api/bot', botRoutes);
+
+let inTransaction = false;
+let searchedInTransaction = null;
+
+// Plays the first free square and notes whether a transaction was open meanwhile
+registerEngine({
+    name: 'test-first-square',
+    description: 'Test engine',
+    chooseMove: board => {
+        searchedInTransaction = inTransaction;
+        return board.indexOf('-');
+    }
+});
+
+const GAME = {
+    id: GAME_ID,
+    userId: 'alice',
+    board: '---------',
+    boardSize: 3,
+    winLength: 3,
+    engine: 'test-first-square',
+    difficulty: null,
+    playerSymbol: 'X',
+    currentTurn: 'player',
+    status: 'in-progress',
+    version: 4,
+    _count: { moves: 0 }
+};
+
+const move = (position, body = {}) =>
+    request(app).post(`/api/bot/${GAME_ID}/move`).set('X-Test-User', 'alice').send({ position, ...body });
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    inTransaction = false;
+    searchedInTransaction = null;
+
+    mockPrisma.botGame.findUnique.mockResolvedValue(GAME);
+    mockPrisma.$transaction.mockImplementation(async callback => {
+        inTransaction = true;
+        try {
+            return await callback(mockTx);
+        } finally {
+            inTransaction = false;
+        }
+    });
+    mockTx.botGame.findUnique.mockImplementation(async () => ({ ...GAME, board: 'XO-------', version: 5, moves: [] }));
+});
+
+describe('POST /api/bot/:gameId/move', () => {
+    it('searches for the reply before opening the transaction', async () => {
+        mockTx.botGame.updateMany.mockResolvedValue({ count: 1 });
+
+        const res = await move(4);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.botMove).toBe(0);
+        expect(searchedInTransaction).toBe(false);
+        expect(mockTx.botGame.updateMany).toHaveBeenCalledWith({
+            where: { id: GAME_ID, status: 'in-progress', version: 4 },
+            data: expect.objectContaining({ board: 'O---X----', currentTurn: 'player', version: 5 })
+        });
+        expect(mockTx.botMove.create.mock.calls.map(([{ data }]) => [data.player, data.position, data.moveOrder]))
+            .toEqual([['player', 4, 1], ['bot', 0, 2]]);
+    });
+
+    it('writes nothing when the game changed during the search', async () => {
+        mockTx.botGame.updateMany.mockResolvedValue({ count: 0 });
+
+        const res = await move(4);
+
+        expect(res.status).toBe(409);
+        expect(mockTx.botMove.create).not.toHaveBeenCalled();
+    });
+
+    it('checks the game before searching', async () => {
+        expect((await move(4, { version: 3 })).status).toBe(409);
+        mockPrisma.botGame.findUnique.mockResolvedValue({ ...GAME, board: '----X----' });
+        expect((await move(4)).status).toBe(400);
+
+        expect(searchedInTransaction).toBeNull();
+        expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Bot game replays (GET /api/replay/bot/:gameId)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+    botGame: { findUnique: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// The caller is whoever the X-Test-User header names
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-test-user'] };
+        next();
+    }
+}));
+
+const replayRoutes = require('../src/routes/replay');
+
+const GAME_ID = '6c0f7a52-3b1d-4e8f-a2c4-9d8e7f6a5b4c';
+
+const app = express();
+app.use('/api/replay', replayRoutes);
+
+const getReplay = userId =>
+    request(app).get(`/api/replay/bot/${GAME_ID}`).set('X-Test-User', userId);
+
+beforeEach(() => {
+    mockPrisma.botGame.findUnique.mockResolvedValue({
+        id: GAME_ID,
+        userId: 'alice',
+        user: { id: 'alice', username: 'alice' },
+        engine: 'minimax',
+        difficulty: 'hard',
+        playerSymbol: 'X',
+        status: 'finished',
+        winner: 'player',
+        board: 'XXXOO----',
+        boardSize: 3,
+        winLength: 3,
+        hintsUsed: 1,
+        annotatedAt: null,
+        moves: [
+            { moveOrder: 1, player: 'player', position: 0, symbol: 'X' },
+            { moveOrder: 2, player: 'bot', position: 3, symbol: 'O' },
+            { moveOrder: 3, player: 'player', position: 1, symbol: 'X' },
+            { moveOrder: 4, player: 'bot', position: 4, symbol: 'O' },
+            { moveOrder: 5, player: 'player', position: 2, symbol: 'X' }
+        ],
+        hints: [{ afterMove: 4, position: 2, reason: 'win' }]
+    });
+});
+
+describe('GET /api/replay/bot/:gameId', () => {
+    it('rebuilds the board after every move and says who moved', async () => {
+        const res = await getReplay('alice');
+
+        expect(res.status).toBe(200);
+        const { game, moves, hints, totalMoves } = res.body.data;
+
+        expect(game).toMatchObject({ botSymbol: 'O', result: 'win', isDraw: false, hintsUsed: 1, accuracy: null });
+        expect(totalMoves).toBe(5);
+        expect(moves.map(move => move.boardAfterMove)).toEqual([
+            'X--------',
+            'X--O-----',
+            'XX-O-----',
+            'XX-OO----',
+            'XXXOO----'
+        ]);
+        expect(moves[0]).toMatchObject({ mover: 'player', player: { id: 'alice' } });
+        expect(moves[1]).toMatchObject({ mover: 'bot', player: null });
+        expect(hints).toEqual([{ afterMove: 4, position: 2, reason: 'win' }]);
+    });
+
+    it('only shows a game to the player who played it', async () => {
+        expect((await getReplay('bob')).status).toBe(403);
+
+        mockPrisma.botGame.findUnique.mockResolvedValue(null);
+        expect((await getReplay('alice')).status).toBe(404);
+    });
+});
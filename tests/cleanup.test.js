@@ -0,0 +1,135 @@
+/**
+ * Cleanup job (src/jobs/cleanup.js)
+ */
+
+const mockPrisma = {
+    room: { findMany: jest.fn(), deleteMany: jest.fn(), updateMany: jest.fn() },
+    spectator: { deleteMany: jest.fn() },
+    move: { deleteMany: jest.fn() },
+    session: { deleteMany: jest.fn() },
+    user: { findMany: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+jest.mock('../src/services/accounts', () => ({
+    removeUser: jest.fn()
+}));
+
+const cron = require('node-cron');
+const { startCleanupJob } = require('../src/jobs/cleanup');
+const { removeUser } = require('../src/services/accounts');
+const { subscribeToUser } = require('../src/services/roomEvents');
+const { SESSIONS_REVOKED_EVENT } = require('../src/services/sessions');
+
+/**
+ * Schedule the job and run one tick of it
+ */
+async function runCleanup() {
+    startCleanupJob();
+    const [, tick] = cron.schedule.mock.calls[0];
+    await tick();
+}
+
+let rooms;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    rooms = { waiting: [], 'in-progress': [], finished: [] };
+    mockPrisma.room.findMany.mockImplementation(async ({ where }) => rooms[where.status]);
+    mockPrisma.room.updateMany.mockImplementation(args => ({ updateMany: args }));
+    mockPrisma.spectator.deleteMany.mockImplementation(args => ({ deleteMany: args }));
+    mockPrisma.$transaction.mockResolvedValue([]);
+    mockPrisma.session.deleteMany.mockResolvedValue({ count: 0 });
+    mockPrisma.user.findMany.mockResolvedValue([]);
+});
+
+describe('finished rooms', () => {
+    it('are archived, not deleted', async () => {
+        rooms.finished = [{ id: 'room-1', code: 'ABC123' }];
+
+        await runCleanup();
+
+        expect(mockPrisma.room.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ status: 'finished', archivedAt: null })
+        }));
+
+        const [clearSpectators, archive] = mockPrisma.$transaction.mock.calls[0][0];
+        expect(clearSpectators.deleteMany.where).toEqual({ roomId: { in: ['room-1'] } });
+        expect(archive.updateMany.where).toEqual({ id: { in: ['room-1'] } });
+        expect(archive.updateMany.data.archivedAt).toBeInstanceOf(Date);
+
+        expect(mockPrisma.room.deleteMany).not.toHaveBeenCalled();
+        expect(mockPrisma.move.deleteMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('abandoned rooms', () => {
+    it('are still deleted with their moves', async () => {
+        rooms.waiting = [{ id: 'room-2', code: 'WAIT01' }];
+
+        await runCleanup();
+
+        expect(mockPrisma.move.deleteMany).toHaveBeenCalledWith({ where: { roomId: { in: ['room-2'] } } });
+        expect(mockPrisma.room.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['room-2'] } } });
+    });
+});
+
+describe('inactive guests', () => {
+    it('are only purged when they have no game in progress', async () => {
+        await runCleanup();
+
+        const { where } = mockPrisma.user.findMany.mock.calls[0][0];
+        expect(where).toMatchObject({
+            isGuest: true,
+            roomsAsPlayer1: { none: { status: 'in-progress' } },
+            roomsAsPlayer2: { none: { status: 'in-progress' } }
+        });
+        expect(where.sessions.none.lastSeenAt.gte).toEqual(where.createdAt.lt);
+    });
+
+    it('are removed and their open streams closed', async () => {
+        mockPrisma.user.findMany.mockResolvedValue([{ id: 'guest-1' }]);
+        mockPrisma.$transaction.mockImplementation(async arg => (
+            typeof arg === 'function' ? arg('tx') : []
+        ));
+        removeUser.mockResolvedValue({ result: 'deleted', deletedRoomIds: [] });
+
+        const events = [];
+        const unsubscribe = subscribeToUser('guest-1', userEvent => events.push(userEvent.event));
+
+        await runCleanup();
+
+        expect(removeUser).toHaveBeenCalledWith('tx', 'guest-1');
+        expect(events).toEqual([SESSIONS_REVOKED_EVENT]);
+
+        unsubscribe();
+    });
+
+    it('skip a guest who started a game since the query', async () => {
+        mockPrisma.user.findMany.mockResolvedValue([{ id: 'guest-1' }, { id: 'guest-2' }]);
+        mockPrisma.$transaction.mockImplementation(async arg => (
+            typeof arg === 'function' ? arg('tx') : []
+        ));
+        removeUser
+            .mockRejectedValueOnce(new Error('GAME_IN_PROGRESS'))
+            .mockResolvedValueOnce({ result: 'deleted', deletedRoomIds: [] });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await runCleanup();
+
+        expect(removeUser).toHaveBeenCalledTimes(2);
+        expect(console.log).toHaveBeenCalledWith('👻 Purged 1 inactive guest accounts');
+        expect(console.error).not.toHaveBeenCalled();
+    });
+});
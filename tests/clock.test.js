@@ -0,0 +1,89 @@
+/**
+ * Time controls and game clocks (src/services/clock.js)
+ */
+
+const {
+    validateTimeControl,
+    createClockFields,
+    getTimeControl,
+    getRemainingTimes,
+    getFlaggedPlayer,
+    applyMoveToClock
+} = require('../src/services/clock');
+
+const TURN_STARTED = new Date('2026-10-19T12:00:00Z');
+const after = seconds => new Date(TURN_STARTED.getTime() + seconds * 1000);
+
+const bankRoom = (overrides = {}) => ({
+    status: 'in-progress',
+    currentTurn: 'player1',
+    turnStartedAt: TURN_STARTED,
+    ...createClockFields({ type: 'bank', initialSeconds: 60, incrementSeconds: 2 }),
+    ...overrides
+});
+
+const perMoveRoom = (overrides = {}) => ({
+    status: 'in-progress',
+    currentTurn: 'player2',
+    turnStartedAt: TURN_STARTED,
+    ...createClockFields({ type: 'per-move', moveSeconds: 10 }),
+    ...overrides
+});
+
+describe('validateTimeControl', () => {
+    it('accepts both types and rejects out-of-range values', () => {
+        expect(validateTimeControl({ type: 'per-move' }).valid).toBe(true);
+        expect(validateTimeControl({ type: 'bank', initialSeconds: 300, incrementSeconds: 5 }).valid).toBe(true);
+        expect(validateTimeControl({ type: 'sudden-death' }).valid).toBe(false);
+        expect(validateTimeControl({ type: 'per-move', moveSeconds: 1 }).valid).toBe(false);
+        expect(validateTimeControl({ type: 'bank', initialSeconds: 10 }).valid).toBe(false);
+        expect(validateTimeControl({ type: 'bank', incrementSeconds: 61 }).valid).toBe(false);
+    });
+});
+
+describe('createClockFields and getTimeControl', () => {
+    it('fills in defaults and round-trips for rematches', () => {
+        expect(createClockFields(undefined)).toEqual({});
+        expect(createClockFields({ type: 'per-move' })).toEqual({ timeControl: 'per-move', moveTimeSeconds: 30 });
+
+        const fields = createClockFields({ type: 'bank', initialSeconds: 120 });
+        expect(fields).toMatchObject({ player1TimeMs: 120000, player2TimeMs: 120000, incrementSeconds: 0 });
+        expect(createClockFields(getTimeControl(fields))).toEqual(fields);
+    });
+});
+
+describe('getRemainingTimes', () => {
+    it('only runs the clock of the player to move', () => {
+        expect(getRemainingTimes(bankRoom(), after(15))).toEqual({ player1Ms: 45000, player2Ms: 60000 });
+        expect(getRemainingTimes(perMoveRoom(), after(4))).toEqual({ player1Ms: 10000, player2Ms: 6000 });
+    });
+
+    it('stops when the game is over and never goes below zero', () => {
+        expect(getRemainingTimes(bankRoom({ status: 'finished' }), after(15))).toEqual({ player1Ms: 60000, player2Ms: 60000 });
+        expect(getRemainingTimes(bankRoom(), after(90)).player1Ms).toBe(0);
+        expect(getRemainingTimes({ timeControl: null })).toBeNull();
+    });
+});
+
+describe('getFlaggedPlayer', () => {
+    it('flags the player to move once their time is up', () => {
+        expect(getFlaggedPlayer(perMoveRoom(), after(9))).toBeNull();
+        expect(getFlaggedPlayer(perMoveRoom(), after(10))).toBe('player2');
+        expect(getFlaggedPlayer(bankRoom(), after(61))).toBe('player1');
+        expect(getFlaggedPlayer(bankRoom({ status: 'finished' }), after(61))).toBeNull();
+    });
+});
+
+describe('applyMoveToClock', () => {
+    it('charges the mover and adds the increment', () => {
+        expect(applyMoveToClock(bankRoom(), 'player1', after(20))).toEqual({
+            turnStartedAt: after(20),
+            player1TimeMs: 40000 + 2000
+        });
+    });
+
+    it('only restarts the turn for per-move clocks', () => {
+        expect(applyMoveToClock(perMoveRoom(), 'player2', after(3))).toEqual({ turnStartedAt: after(3) });
+        expect(applyMoveToClock({ timeControl: null }, 'player1')).toEqual({});
+    });
+});
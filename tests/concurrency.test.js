@@ -255,6 +255,72 @@ async function testWrongTurn() {
     }
 }
 
+/**
+ * Test: Many players joining the matchmaking queue at once
+ * Expected: Every room pairs two different players and nobody is matched twice
+ */
+async function testMatchmakingRace() {
+    console.log('\n=== Test: Simultaneous Matchmaking Queue Joins ===');
+
+    try {
+        const players = [];
+        for (let i = 0; i < 6; i++) {
+            players.push(await createUser(`test_queue_${Date.now()}_${i}`, 'password123'));
+        }
+
+        console.log('✓ Created test users');
+
+        // Each player queues twice at the same time to also race their own entry
+        console.log(`\nSending ${players.length * 2} simultaneous queue requests...`);
+
+        await Promise.all(players.flatMap(player => [
+            request(API_URL).post('/api/matchmaking/queue').set('Authorization', `Bearer ${player.token}`),
+            request(API_URL).post('/api/matchmaking/queue').set('Authorization', `Bearer ${player.token}`)
+        ]));
+
+        const statuses = await Promise.all(players.map(player =>
+            request(API_URL).get('/api/matchmaking/queue').set('Authorization', `Bearer ${player.token}`)
+        ));
+
+        const roomsByPlayer = new Map();
+        const seatCount = new Map();
+
+        for (const [index, response] of statuses.entries()) {
+            const data = response.body.data;
+            if (data.status !== 'matched') continue;
+
+            roomsByPlayer.set(players[index].user.id, data.room.id);
+            for (const playerId of [data.room.player1Id, data.room.player2Id]) {
+                const seats = seatCount.get(playerId) || new Set();
+                seats.add(data.room.id);
+                seatCount.set(playerId, seats);
+            }
+        }
+
+        const doubleMatched = [...seatCount.values()].filter(rooms => rooms.size > 1).length;
+
+        console.log(`\nResults:`);
+        console.log(`  ✓ Matched players: ${roomsByPlayer.size}`);
+        console.log(`  ✗ Players in more than one room: ${doubleMatched}`);
+
+        // Clean up anyone still waiting
+        await Promise.all(players.map(player =>
+            request(API_URL).delete('/api/matchmaking/queue').set('Authorization', `Bearer ${player.token}`)
+        ));
+
+        if (doubleMatched === 0 && roomsByPlayer.size % 2 === 0) {
+            console.log('\n✅ PASS: No player was matched twice!');
+            return true;
+        } else {
+            console.log('\n❌ FAIL: A player was matched into multiple rooms');
+            return false;
+        }
+    } catch (error) {
+        console.error('Test error:', error);
+        return false;
+    }
+}
+
 /**
  * Main test runner
  */
@@ -268,7 +334,8 @@ async function runTests() {
     const results = {
         simultaneousMoves: await testSimultaneousMoves(),
         roomJoinRace: await testRoomJoinRace(),
-        wrongTurn: await testWrongTurn()
+        wrongTurn: await testWrongTurn(),
+        matchmakingRace: await testMatchmakingRace()
     };
 
     console.log('\n');
@@ -298,4 +365,4 @@ if (require.main === module) {
     runTests().catch(console.error);
 }
 
-module.exports = { testSimultaneousMoves, testRoomJoinRace, testWrongTurn };
+module.exports = { testSimultaneousMoves, testRoomJoinRace, testWrongTurn, testMatchmakingRace };
@@ -0,0 +1,71 @@
+/**
+ * Bot engine registry (src/services/engines.js)
+ */
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {}
+}));
+
+const {
+    DEFAULT_ENGINE,
+    registerEngine,
+    getEngine,
+    getEngineNames,
+    listEngines,
+    supportsBoardSize,
+    chooseMove,
+    learnFromFinishedGame
+} = require('../src/services/engines');
+const { createEmptyBoard, isValidMove } = require('../src/services/gameLogic');
+
+const CONTEXT = { botSymbol: 'X', playerSymbol: 'O', winLength: 3, random: () => 0.5 };
+
+// Engines that don't need the database
+const STATELESS_ENGINES = ['minimax', 'depth-limited', 'mcts', 'heuristic', 'random'];
+
+describe('registry', () => {
+    it('lists the built-in engines with minimax as the default', () => {
+        expect(getEngineNames()).toEqual(expect.arrayContaining([...STATELESS_ENGINES, 'menace']));
+
+        const listed = listEngines();
+        expect(listed.find(engine => engine.isDefault).name).toBe(DEFAULT_ENGINE);
+        expect(listed.find(engine => engine.name === 'menace')).toMatchObject({ learns: true, boardSizes: [3] });
+        expect(listed.find(engine => engine.name === 'minimax')).toMatchObject({ learns: false, supportsDifficulty: true });
+    });
+
+    it('accepts new engines without touching the routes', async () => {
+        expect(() => registerEngine({ name: 'broken' })).toThrow('INVALID_ENGINE');
+
+        registerEngine({ name: 'first-square', description: 'Test engine', chooseMove: board => board.indexOf('-') });
+        expect(getEngine('first-square')).toMatchObject({ supportsDifficulty: false, boardSizes: null });
+        expect(await chooseMove('first-square', 'XO-------', CONTEXT)).toBe(2);
+    });
+
+    it('checks board sizes', () => {
+        expect(supportsBoardSize(getEngine('menace'), 3)).toBe(true);
+        expect(supportsBoardSize(getEngine('menace'), 4)).toBe(false);
+        expect(supportsBoardSize(getEngine('mcts'), 9)).toBe(true);
+    });
+});
+
+describe('chooseMove', () => {
+    it.each(STATELESS_ENGINES)('%s plays a legal move', async name => {
+        const board = createEmptyBoard(3);
+        expect(isValidMove(board, await chooseMove(name, board, CONTEXT))).toBe(true);
+    });
+
+    it.each(['minimax', 'depth-limited', 'mcts', 'heuristic'])('%s takes a win in one', async name => {
+        expect(await chooseMove(name, 'XX-OO----', CONTEXT)).toBe(2);
+    });
+
+    it('falls back to the default engine and returns -1 on a full board', async () => {
+        expect(await chooseMove('no-such-engine', 'XX-OO----', CONTEXT)).toBe(2);
+        expect(await chooseMove('random', 'XOXXOOOXX', CONTEXT)).toBe(-1);
+    });
+});
+
+describe('learnFromFinishedGame', () => {
+    it('does nothing for engines that don\'t learn', async () => {
+        expect(await learnFromFinishedGame({}, { engine: 'minimax' })).toBeNull();
+    });
+});
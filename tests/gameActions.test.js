@@ -0,0 +1,139 @@
+/**
+ * Resign and draw offers (POST /api/game/:roomId/resign, offer-draw, accept-draw, decline-draw)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+    room: { findUnique: jest.fn(), updateMany: jest.fn() },
+    gameEvent: { create: jest.fn() },
+    user: { findMany: jest.fn(), update: jest.fn() },
+    ratingChange: { create: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// The caller is whoever the X-Test-User header names
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-test-user'] };
+        next();
+    }
+}));
+
+const gameRoutes = require('../src/routes/game');
+
+const ROOM_ID = '2f1c6b1e-8a4d-4c1e-9b7a-3d5e6f708192';
+
+const app = express();
+app.use(express.json());
+app.use('/api/game', gameRoutes);
+
+let room;
+
+const act = (action, userId, body = {}) =>
+    request(app).post(`/api/game/${ROOM_ID}/${action}`).set('X-Test-User', userId).send(body);
+
+beforeEach(() => {
+    room = {
+        id: ROOM_ID,
+        status: 'in-progress',
+        board: 'X---O----',
+        player1Id: 'alice',
+        player2Id: 'bob',
+        currentTurn: 'player1',
+        drawOfferedBy: null,
+        winnerId: null,
+        isDraw: false,
+        hintsEnabled: false,
+        timeControl: null,
+        seriesId: null,
+        version: 2
+    };
+
+    mockPrisma.$transaction.mockImplementation(callback => callback(mockPrisma));
+    mockPrisma.room.findUnique.mockImplementation(async () => ({ ...room }));
+    mockPrisma.room.updateMany.mockImplementation(async ({ where, data }) => {
+        if (room.status !== where.status || room.version !== where.version) {
+            return { count: 0 };
+        }
+        room = { ...room, ...data, version: room.version + data.version.increment };
+        return { count: 1 };
+    });
+    mockPrisma.gameEvent.create.mockImplementation(async ({ data }) => ({ type: data.type, afterMove: data.afterMove }));
+    mockPrisma.user.findMany.mockResolvedValue([
+        { id: 'alice', rating: 1200, isBot: false },
+        { id: 'bob', rating: 1200, isBot: false }
+    ]);
+    mockPrisma.user.update.mockImplementation(async ({ data }) => ({ rating: 1200 + data.rating.increment }));
+    mockPrisma.ratingChange.create.mockImplementation(async ({ data }) => data);
+});
+
+describe('resign', () => {
+    it('finishes the game for the opponent and rates it', async () => {
+        const res = await act('resign', 'alice', { version: 2 });
+
+        expect(res.status).toBe(200);
+        expect(room).toMatchObject({ status: 'finished', winnerId: 'bob', endReason: 'resignation', version: 3 });
+        expect(room.finishedAt).toBeInstanceOf(Date);
+        expect(res.body.data.event).toEqual({ type: 'resign', afterMove: 2 });
+        expect(mockPrisma.ratingChange.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not overwrite a game that finished while resigning', async () => {
+        // A finishing move commits between the read and the write
+        mockPrisma.room.findUnique.mockImplementationOnce(async () => {
+            const read = { ...room };
+            room = { ...room, status: 'finished', winnerId: 'alice', endReason: 'win', version: 3 };
+            return read;
+        });
+
+        const res = await act('resign', 'alice');
+
+        expect(res.status).toBe(409);
+        expect(room).toMatchObject({ winnerId: 'alice', endReason: 'win' });
+        expect(mockPrisma.gameEvent.create).not.toHaveBeenCalled();
+        expect(mockPrisma.ratingChange.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses spectators, stale versions and finished games', async () => {
+        expect((await act('resign', 'carol')).status).toBe(403);
+        expect((await act('resign', 'alice', { version: 1 })).status).toBe(409);
+
+        room.status = 'finished';
+        expect((await act('resign', 'alice')).status).toBe(400);
+    });
+});
+
+describe('draw offers', () => {
+    it('ends in a draw once the opponent accepts', async () => {
+        expect((await act('offer-draw', 'alice')).status).toBe(200);
+        expect(room.drawOfferedBy).toBe('player1');
+
+        // Offering twice, or offering back instead of answering, is refused
+        expect((await act('offer-draw', 'alice')).status).toBe(409);
+        expect((await act('offer-draw', 'bob')).status).toBe(409);
+        // Only the opponent can accept
+        expect((await act('accept-draw', 'alice')).status).toBe(400);
+
+        const res = await act('accept-draw', 'bob');
+        expect(res.status).toBe(200);
+        expect(room).toMatchObject({ status: 'finished', isDraw: true, drawOfferedBy: null, endReason: 'agreement' });
+    });
+
+    it('clears the offer when declined', async () => {
+        expect((await act('decline-draw', 'bob')).status).toBe(400);
+
+        await act('offer-draw', 'alice');
+        expect((await act('decline-draw', 'bob')).status).toBe(200);
+        expect(room).toMatchObject({ status: 'in-progress', drawOfferedBy: null });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * N×N boards with k in a row (src/services/gameLogic.js)
+ */
+
+const {
+    WINNING_COMBINATIONS,
+    resolveRules,
+    validateRules,
+    createEmptyBoard,
+    getWinningLines,
+    checkWinner,
+    canStillWin,
+    validateBoard,
+    getGameStatus
+} = require('../src/services/gameLogic');
+
+/**
+ * Board with the given marks, e.g. place(5, { 0: 'X', 6: 'X' })
+ */
+function place(boardSize, marks) {
+    const cells = createEmptyBoard(boardSize).split('');
+    for (const [position, symbol] of Object.entries(marks)) {
+        cells[Number(position)] = symbol;
+    }
+    return cells.join('');
+}
+
+describe('rules', () => {
+    it('defaults to the classic game and to at most 5 in a row', () => {
+        expect(resolveRules()).toEqual({ boardSize: 3, winLength: 3 });
+        expect(resolveRules({ boardSize: 4 })).toEqual({ boardSize: 4, winLength: 4 });
+        expect(resolveRules({ boardSize: 15 })).toEqual({ boardSize: 15, winLength: 5 });
+        expect(resolveRules({ boardSize: 7, winLength: 4 })).toEqual({ boardSize: 7, winLength: 4 });
+    });
+
+    it('rejects sizes and win lengths out of range', () => {
+        expect(validateRules(3, 3).valid).toBe(true);
+        expect(validateRules(2, 2).valid).toBe(false);
+        expect(validateRules(16, 5).valid).toBe(false);
+        expect(validateRules(5, 6).valid).toBe(false);
+        expect(validateRules(5, 2).valid).toBe(false);
+        expect(validateRules(4.5, 3).valid).toBe(false);
+    });
+});
+
+describe('getWinningLines', () => {
+    it('matches the classic 3×3 combinations', () => {
+        const lines = getWinningLines(3, 3).map(line => line.join(','));
+        expect(lines.sort()).toEqual(WINNING_COMBINATIONS.map(line => line.join(',')).sort());
+    });
+
+    it('counts every window of k cells on larger boards', () => {
+        // 4×4, 3 in a row: 8 per direction for rows and columns, 4 per diagonal direction
+        expect(getWinningLines(4, 3)).toHaveLength(8 + 8 + 4 + 4);
+        expect(getWinningLines(5, 5)).toHaveLength(5 + 5 + 1 + 1);
+    });
+});
+
+describe('checkWinner', () => {
+    it('finds k in a row anywhere on the board', () => {
+        expect(checkWinner(place(5, { 6: 'X', 7: 'X', 8: 'X' }), 3)).toBe('X');
+        expect(checkWinner(place(5, { 4: 'O', 8: 'O', 12: 'O' }), 3)).toBe('O');
+        expect(checkWinner(place(5, { 0: 'X', 6: 'X', 12: 'X', 18: 'X' }), 4)).toBe('X');
+    });
+
+    it('does not wrap lines around the edge of the board', () => {
+        expect(checkWinner(place(4, { 2: 'X', 3: 'X', 4: 'X' }), 3)).toBeNull();
+    });
+
+    it('needs the full win length', () => {
+        expect(checkWinner(place(5, { 0: 'X', 1: 'X', 2: 'X' }), 4)).toBeNull();
+    });
+});
+
+describe('canStillWin', () => {
+    it('is false once the opponent blocks every line', () => {
+        expect(canStillWin('XOXXOOOXX', 'X', 3)).toBe(false);
+        expect(canStillWin(createEmptyBoard(4), 'O', 4)).toBe(true);
+    });
+});
+
+describe('validateBoard and getGameStatus', () => {
+    it('checks the board length against the board size', () => {
+        expect(validateBoard(createEmptyBoard(4), 4).valid).toBe(true);
+        expect(validateBoard(createEmptyBoard(3), 4).valid).toBe(false);
+    });
+
+    it('reports wins, draws and games in progress', () => {
+        expect(getGameStatus('XXX-OO---', 3)).toEqual({ status: 'finished', winner: 'X', isDraw: false });
+        expect(getGameStatus('XOXXOOOXX', 3)).toEqual({ status: 'finished', winner: null, isDraw: true });
+        expect(getGameStatus(createEmptyBoard(4), 3).status).toBe('in-progress');
+    });
+});
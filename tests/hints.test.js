@@ -0,0 +1,35 @@
+/**
+ * Move hints (src/services/hints.js)
+ */
+
+const { HINT_REASONS, getHint } = require('../src/services/hints');
+const { createEmptyBoard, isValidMove } = require('../src/services/gameLogic');
+
+describe('getHint', () => {
+    it('explains the move in coaching order: win, block, fork, centre', () => {
+        expect(getHint('XX-OO----', 'X', 3)).toEqual({ position: 2, reason: 'win', message: HINT_REASONS.win });
+        expect(getHint('XX-O-----', 'O', 3)).toMatchObject({ position: 2, reason: 'block' });
+        // X on 4 threatens both 7 and 8
+        expect(getHint('XXOO-----', 'X', 3)).toMatchObject({ position: 4, reason: 'fork' });
+        expect(getHint(createEmptyBoard(3), 'X', 3)).toMatchObject({ position: 4, reason: 'center' });
+    });
+
+    it('falls back to the engine and works on larger boards', () => {
+        const hint = getHint('X---O----', 'X', 3);
+        expect(hint.reason).toBe('best-move');
+        expect(isValidMove('X---O----', hint.position)).toBe(true);
+
+        // 5×5, 4 in a row: O must stop X's open three
+        const board = createEmptyBoard(5).split('');
+        board[5] = 'X';
+        board[6] = 'X';
+        board[7] = 'X';
+        board[20] = 'O';
+        board[21] = 'O';
+        expect(getHint(board.join(''), 'O', 4)).toMatchObject({ reason: 'block' });
+    });
+
+    it('returns null on a full board', () => {
+        expect(getHint('XOXXOOOXX', 'X', 3)).toBeNull();
+    });
+});
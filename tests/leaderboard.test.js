@@ -0,0 +1,95 @@
+/**
+ * Materialized leaderboards (src/jobs/leaderboard.js)
+ */
+
+const mockPrisma = {
+    room: { groupBy: jest.fn() },
+    botGame: { groupBy: jest.fn() },
+    user: { findMany: jest.fn() },
+    leaderboardEntry: { deleteMany: jest.fn(), createMany: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+const { getPeriodStart, refreshLeaderboards } = require('../src/jobs/leaderboard');
+
+describe('getPeriodStart', () => {
+    // Wednesday
+    const now = new Date('2026-10-14T15:30:00Z');
+
+    it('starts months on the 1st and weeks on Monday (UTC)', () => {
+        expect(getPeriodStart('monthly', now).toISOString()).toBe('2026-10-01T00:00:00.000Z');
+        expect(getPeriodStart('weekly', now).toISOString()).toBe('2026-10-12T00:00:00.000Z');
+        expect(getPeriodStart('weekly', new Date('2026-10-18T23:00:00Z')).toISOString()).toBe('2026-10-12T00:00:00.000Z');
+        expect(getPeriodStart('all-time', now)).toBeNull();
+    });
+});
+
+describe('refreshLeaderboards', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        // a beat b twice, b beat a once, one draw; c only played the bot
+        mockPrisma.room.groupBy.mockImplementation(async ({ by, where }) => {
+            const [field] = by;
+            if (where.isDraw) return [{ [field]: field === 'player1Id' ? 'a' : 'b', _count: 1 }];
+            if (field === 'winnerId') return [{ winnerId: 'a', _count: 2 }, { winnerId: 'b', _count: 1 }];
+            if (field === 'player1Id') return [{ player1Id: 'a', _count: 4 }];
+            return [{ player2Id: 'b', _count: 4 }];
+        });
+        mockPrisma.botGame.groupBy.mockResolvedValue([
+            { userId: 'c', winner: 'player', _count: 3 },
+            { userId: 'c', winner: 'bot', _count: 1 }
+        ]);
+        mockPrisma.user.findMany.mockResolvedValue([
+            { id: 'a', rating: 1210 },
+            { id: 'b', rating: 1230 },
+            { id: 'c', rating: 1200 }
+        ]);
+        mockPrisma.leaderboardEntry.deleteMany.mockImplementation(args => ({ deleteMany: args }));
+        mockPrisma.leaderboardEntry.createMany.mockImplementation(args => ({ createMany: args }));
+        mockPrisma.$transaction.mockResolvedValue([]);
+    });
+
+    it('writes stats and ranks for every period in one transaction each', async () => {
+        await refreshLeaderboards();
+
+        expect(mockPrisma.$transaction).toHaveBeenCalledTimes(3);
+
+        const [deleteAll, insert] = mockPrisma.$transaction.mock.calls[0][0];
+        expect(deleteAll).toEqual({ deleteMany: { where: { period: 'all-time' } } });
+
+        const entries = Object.fromEntries(insert.createMany.data.map(entry => [entry.userId, entry]));
+        expect(entries.a).toMatchObject({ gamesPlayed: 4, wins: 2, draws: 1, losses: 1, winsRank: 1, ratingRank: 2 });
+        expect(entries.b).toMatchObject({ gamesPlayed: 4, wins: 1, draws: 1, losses: 2, winsRank: 2, ratingRank: 1 });
+        expect(entries.c).toMatchObject({ gamesPlayed: 0, botGames: 4, botWins: 3, botWinsRank: 1 });
+    });
+
+    it('counts games in the period they finished in', async () => {
+        await refreshLeaderboards();
+
+        const windowed = mockPrisma.room.groupBy.mock.calls
+            .map(([args]) => args.where)
+            .filter(where => where.finishedAt);
+        expect(windowed.length).toBeGreaterThan(0);
+        expect(windowed.every(where => where.updatedAt === undefined)).toBe(true);
+        expect(mockPrisma.botGame.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ finishedAt: { gte: expect.any(Date) } })
+        }));
+    });
+
+    it('leaves bots, guests and deleted accounts off the board', async () => {
+        await refreshLeaderboards();
+
+        expect(mockPrisma.user.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: expect.objectContaining({ isBot: false, isGuest: false, deletedAt: null })
+        }));
+    });
+});
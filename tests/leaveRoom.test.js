@@ -0,0 +1,101 @@
+/**
+ * Leaving a game in progress (POST /api/rooms/:code/leave)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+    room: { findUnique: jest.fn(), updateMany: jest.fn() },
+    user: { findMany: jest.fn(), update: jest.fn() },
+    ratingChange: { create: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// The caller is whoever the X-Test-User header names
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-test-user'] };
+        next();
+    },
+    authenticateStream: (req, res, next) => next()
+}));
+
+const roomRoutes = require('../src/routes/rooms');
+
+const app = express();
+app.use(express.json());
+app.use('/api/rooms', roomRoutes);
+
+let room;
+
+const leave = userId => request(app).post('/api/rooms/ABC123/leave').set('X-Test-User', userId);
+
+beforeEach(() => {
+    room = {
+        id: 'room-1',
+        code: 'ABC123',
+        status: 'in-progress',
+        board: 'X---O----',
+        player1Id: 'alice',
+        player2Id: 'bob',
+        currentTurn: 'player1',
+        winnerId: null,
+        isDraw: false,
+        hintsEnabled: false,
+        seriesId: null,
+        version: 2
+    };
+
+    mockPrisma.$transaction.mockImplementation(callback => callback(mockPrisma));
+    mockPrisma.room.findUnique.mockImplementation(async () => ({ ...room }));
+    mockPrisma.room.updateMany.mockImplementation(async ({ where, data }) => {
+        if (room.status !== where.status || room.version !== where.version) {
+            return { count: 0 };
+        }
+        room = { ...room, ...data };
+        return { count: 1 };
+    });
+    mockPrisma.user.findMany.mockResolvedValue([
+        { id: 'alice', rating: 1200, isBot: false },
+        { id: 'bob', rating: 1200, isBot: false }
+    ]);
+    mockPrisma.user.update.mockImplementation(async ({ data }) => ({ rating: 1200 + data.rating.increment }));
+    mockPrisma.ratingChange.create.mockImplementation(async ({ data }) => data);
+});
+
+describe('leaving a game in progress', () => {
+    it('forfeits for player2 and keeps their seat on the finished room', async () => {
+        const res = await leave('bob');
+
+        expect(res.status).toBe(200);
+        expect(room).toMatchObject({ status: 'finished', winnerId: 'alice', player2Id: 'bob', endReason: 'forfeit' });
+        expect(mockPrisma.ratingChange.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('forfeits for player1 too', async () => {
+        expect((await leave('alice')).status).toBe(200);
+        expect(room).toMatchObject({ status: 'finished', winnerId: 'bob' });
+    });
+
+    it('does not re-finish a game that ended meanwhile', async () => {
+        // A finishing move commits between the read and the write
+        mockPrisma.room.findUnique.mockImplementationOnce(async () => {
+            const read = { ...room };
+            room = { ...room, status: 'finished', winnerId: 'bob', endReason: 'win', version: 3 };
+            return read;
+        });
+
+        expect((await leave('bob')).status).toBe(409);
+        expect(room).toMatchObject({ winnerId: 'bob', endReason: 'win' });
+        expect(mockPrisma.ratingChange.create).not.toHaveBeenCalled();
+    });
+});
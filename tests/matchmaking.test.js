@@ -0,0 +1,114 @@
+/**
+ * Matchmaking queue (src/services/matchmaking.js)
+ */
+
+const mockTx = {
+    matchmakingEntry: { updateMany: jest.fn() },
+    room: { findUnique: jest.fn(), create: jest.fn() }
+};
+
+const mockPrisma = {
+    matchmakingEntry: { findMany: jest.fn(), updateMany: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+const {
+    BASE_RATING_GAP,
+    GAP_GROWTH_PER_SECOND,
+    MAX_RATING_GAP,
+    getAllowedGap,
+    findOpponent,
+    runMatchmaking
+} = require('../src/services/matchmaking');
+const { subscribeToUser } = require('../src/services/roomEvents');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const secondsAgo = seconds => new Date(NOW.getTime() - seconds * 1000);
+
+const entry = (id, rating, waitedSeconds, rules = { boardSize: 3, winLength: 3 }) => ({
+    id,
+    userId: `user-${id}`,
+    rating,
+    createdAt: secondsAgo(waitedSeconds),
+    ...rules
+});
+
+describe('getAllowedGap', () => {
+    it('widens with waiting time up to the maximum', () => {
+        expect(getAllowedGap(NOW, NOW)).toBe(BASE_RATING_GAP);
+        expect(getAllowedGap(secondsAgo(10), NOW)).toBe(BASE_RATING_GAP + 10 * GAP_GROWTH_PER_SECOND);
+        expect(getAllowedGap(secondsAgo(24 * 60 * 60), NOW)).toBe(MAX_RATING_GAP);
+    });
+});
+
+describe('findOpponent', () => {
+    it('picks the closest rating within the allowed gap', () => {
+        const me = entry('a', 1200, 0);
+        const candidates = [entry('b', 1240, 0), entry('c', 1210, 0), entry('d', 1500, 0)];
+        expect(findOpponent(me, candidates, NOW).id).toBe('c');
+    });
+
+    it('uses the longer waiter\'s allowance', () => {
+        const me = entry('a', 1200, 0);
+        expect(findOpponent(me, [entry('b', 1400, 0)], NOW)).toBeNull();
+        expect(findOpponent(me, [entry('b', 1400, 30)], NOW).id).toBe('b');
+    });
+
+    it('only pairs players queued for the same rules, never with themselves', () => {
+        const me = entry('a', 1200, 0);
+        const otherRules = entry('b', 1200, 0, { boardSize: 5, winLength: 4 });
+        const sameUser = { ...entry('c', 1200, 0), userId: me.userId };
+        expect(findOpponent(me, [otherRules, sameUser], NOW)).toBeNull();
+    });
+});
+
+describe('runMatchmaking', () => {
+    beforeEach(() => {
+        mockPrisma.$transaction.mockImplementation(callback => callback(mockTx));
+        mockTx.room.findUnique.mockResolvedValue(null);
+        mockTx.room.create.mockImplementation(async ({ data }) => ({
+            id: 'room-1',
+            ...data,
+            player1: { id: data.player1Id, username: data.player1Id },
+            player2: { id: data.player2Id, username: data.player2Id }
+        }));
+    });
+
+    it('claims both entries, creates the room and tells both players', async () => {
+        const queued = [entry('a', 1200, 5), entry('b', 1220, 3)];
+        mockPrisma.matchmakingEntry.findMany.mockResolvedValue(queued);
+        mockTx.matchmakingEntry.updateMany.mockResolvedValue({ count: 2 });
+
+        const found = [];
+        const unsubscribe = subscribeToUser('user-a', userEvent => found.push(userEvent.event));
+
+        expect(await runMatchmaking()).toBe(1);
+        expect(mockTx.room.create).toHaveBeenCalledTimes(1);
+        expect(mockTx.room.create.mock.calls[0][0].data).toMatchObject({
+            status: 'in-progress',
+            boardSize: 3,
+            winLength: 3,
+            // Matched games are rated, so no solver hints
+            hintsEnabled: false
+        });
+        expect(found).toEqual(['match-found']);
+
+        unsubscribe();
+    });
+
+    it('creates no room when another matcher claimed a player first', async () => {
+        mockPrisma.matchmakingEntry.findMany.mockResolvedValue([entry('a', 1200, 5), entry('b', 1220, 3)]);
+        mockTx.matchmakingEntry.updateMany.mockResolvedValue({ count: 1 });
+
+        expect(await runMatchmaking()).toBe(0);
+        expect(mockTx.room.create).not.toHaveBeenCalled();
+    });
+});
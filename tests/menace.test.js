@@ -0,0 +1,146 @@
+/**
+ * MENACE learning bot (src/services/menace.js)
+ */
+
+const mockPrisma = {
+    menaceBox: { findUnique: jest.fn(), count: jest.fn() },
+    menaceResult: { groupBy: jest.fn() },
+    $queryRaw: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+const {
+    INITIAL_BEADS,
+    REINFORCEMENT,
+    MAX_PROGRESS_BLOCKS,
+    getInitialBeads,
+    getBeadsForBoard,
+    findMenaceMove,
+    learnFromGame,
+    getMenaceProgress
+} = require('../src/services/menace');
+const { createEmptyBoard } = require('../src/services/gameLogic');
+
+const EMPTY = createEmptyBoard(3);
+
+// Only the centre has beads left
+const CENTRE_ONLY = { beads: [0, 0, 0, 0, 5, 0, 0, 0, 0] };
+
+describe('beads', () => {
+    it('fills new boxes by how far the game has gone', () => {
+        expect(getInitialBeads(EMPTY)).toEqual(new Array(9).fill(INITIAL_BEADS[0]));
+        expect(getInitialBeads('X---O----')).toEqual([0, 3, 3, 3, 0, 3, 3, 3, 3]);
+    });
+
+    it('maps a stored box back onto the board\'s own orientation', () => {
+        // Corner X in the bottom right: the same box as a corner X top left
+        const beads = getBeadsForBoard('--------X', { beads: [0, 1, 2, 2, 2, 2, 2, 2, 2] });
+        expect(beads[8]).toBe(0);
+        expect(beads.filter(count => count === 1)).toHaveLength(1);
+    });
+});
+
+describe('findMenaceMove', () => {
+    it('only draws squares that still have beads', async () => {
+        mockPrisma.menaceBox.findUnique.mockResolvedValue(CENTRE_ONLY);
+        expect(await findMenaceMove(EMPTY, { random: () => 0.99 })).toBe(4);
+        expect(mockPrisma.menaceBox.findUnique).toHaveBeenCalledWith({ where: { position: EMPTY } });
+    });
+
+    it('plays at random from an emptied box and returns -1 on a full board', async () => {
+        mockPrisma.menaceBox.findUnique.mockResolvedValue({ beads: new Array(9).fill(0) });
+        expect(await findMenaceMove(EMPTY, { random: () => 0 })).toBe(0);
+        expect(await findMenaceMove('XOXXOOOXX')).toBe(-1);
+    });
+});
+
+describe('learnFromGame', () => {
+    const createTx = () => ({
+        botMove: {
+            findMany: jest.fn(async () => [
+                { player: 'bot', position: 4, symbol: 'X' },
+                { player: 'player', position: 0, symbol: 'O' },
+                { player: 'bot', position: 8, symbol: 'X' }
+            ])
+        },
+        menaceBox: { createMany: jest.fn() },
+        menaceResult: { create: jest.fn() },
+        $executeRaw: jest.fn()
+    });
+
+    it('reinforces every bead the bot drew', async () => {
+        const tx = createTx();
+
+        expect(await learnFromGame(tx, { id: 'game-1', winner: 'bot' })).toBe('win');
+
+        const boxes = tx.menaceBox.createMany.mock.calls[0][0];
+        expect(boxes.skipDuplicates).toBe(true);
+        expect(boxes.data).toHaveLength(2);
+        expect(boxes.data[0]).toEqual({ position: EMPTY, beads: getInitialBeads(EMPTY) });
+
+        // Tagged template: (strings, cell, cell, delta, position)
+        expect(tx.$executeRaw).toHaveBeenCalledTimes(2);
+        expect(tx.$executeRaw.mock.calls[0].slice(1)).toEqual([5, 5, REINFORCEMENT.win, EMPTY]);
+        expect(tx.menaceResult.create).toHaveBeenCalledWith({ data: { gameId: 'game-1', result: 'win' } });
+    });
+
+    it('takes beads away after a loss', async () => {
+        const tx = createTx();
+
+        expect(await learnFromGame(tx, { id: 'game-1', winner: 'player' })).toBe('loss');
+        expect(tx.$executeRaw.mock.calls[0][3]).toBe(REINFORCEMENT.loss);
+    });
+});
+
+describe('getMenaceProgress', () => {
+    beforeEach(() => {
+        mockPrisma.menaceBox.count.mockResolvedValue(12);
+    });
+
+    it('turns per-block counts from the database into the learning curve', async () => {
+        // loss, draw | win, win | draw
+        mockPrisma.menaceResult.groupBy.mockResolvedValue([
+            { result: 'win', _count: 2 },
+            { result: 'draw', _count: 2 },
+            { result: 'loss', _count: 1 }
+        ]);
+        mockPrisma.$queryRaw.mockResolvedValue([
+            { block: 0, result: 'draw', count: 1 },
+            { block: 0, result: 'loss', count: 1 },
+            { block: 1, result: 'win', count: 2 },
+            { block: 2, result: 'draw', count: 1 }
+        ]);
+
+        const progress = await getMenaceProgress(2);
+
+        expect(progress).toMatchObject({ gamesPlayed: 5, positionsLearned: 12 });
+        expect(progress.totals).toEqual({ wins: 2, draws: 2, losses: 1, winRate: '40.0' });
+        expect(progress.history.map(block => [block.fromGame, block.toGame, block.winRate])).toEqual([
+            [1, 2, '0.0'],
+            [3, 4, '100.0'],
+            [5, 5, '0.0']
+        ]);
+        expect(progress.history[0].notLostRate).toBe('50.0');
+    });
+
+    it('asks only for the latest blocks, and nothing when there are no games', async () => {
+        mockPrisma.menaceResult.groupBy.mockResolvedValue([{ result: 'win', _count: (MAX_PROGRESS_BLOCKS + 5) * 10 }]);
+        mockPrisma.$queryRaw.mockResolvedValue([]);
+
+        await getMenaceProgress(10);
+
+        // Tagged template: (strings, bucketSize, firstBlock)
+        expect(mockPrisma.$queryRaw.mock.calls[0].slice(1)).toEqual([10, 5]);
+
+        mockPrisma.menaceResult.groupBy.mockResolvedValue([]);
+        expect(await getMenaceProgress(10)).toMatchObject({ gamesPlayed: 0, history: [] });
+        expect(mockPrisma.$queryRaw).toHaveBeenCalledTimes(1);
+    });
+});
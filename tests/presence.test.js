@@ -0,0 +1,87 @@
+/**
+ * Presence and stream heartbeats (src/services/presence.js)
+ */
+
+const mockPrisma = {
+    session: { findUnique: jest.fn(), updateMany: jest.fn(), count: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+const {
+    markConnected,
+    markDisconnected,
+    isOnline,
+    isSessionOpen,
+    createSessionHeartbeat,
+    isUserActive
+} = require('../src/services/presence');
+const { LAST_SEEN_INTERVAL_SECONDS } = require('../src/services/sessions');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const LATER = new Date('2026-11-19T12:00:00Z');
+
+const openSession = () => ({ id: 'session-1', revokedAt: null, expiresAt: LATER, lastSeenAt: new Date(0), user: {} });
+
+describe('connections', () => {
+    it('counts each open stream of a user', () => {
+        markConnected('user-1');
+        markConnected('user-1');
+        markDisconnected('user-1');
+        expect(isOnline('user-1')).toBe(true);
+
+        markDisconnected('user-1');
+        expect(isOnline('user-1')).toBe(false);
+    });
+});
+
+describe('isUserActive', () => {
+    it('counts sessions used within the active window', async () => {
+        mockPrisma.session.count.mockResolvedValue(1);
+        expect(await isUserActive('user-1', NOW)).toBe(true);
+        expect(mockPrisma.session.count.mock.calls[0][0].where).toMatchObject({ userId: 'user-1', revokedAt: null });
+
+        mockPrisma.session.count.mockResolvedValue(0);
+        expect(await isUserActive('user-1', NOW)).toBe(false);
+        expect(await isUserActive(null, NOW)).toBe(false);
+    });
+});
+
+describe('createSessionHeartbeat', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('touches the session and checks the database at most once per interval', async () => {
+        mockPrisma.session.findUnique.mockResolvedValue(openSession());
+        const heartbeat = createSessionHeartbeat('session-1');
+
+        expect(await heartbeat()).toBe(true);
+        expect(await heartbeat()).toBe(true);
+        expect(mockPrisma.session.findUnique).toHaveBeenCalledTimes(1);
+        expect(mockPrisma.session.updateMany).toHaveBeenCalledTimes(1);
+
+        jest.setSystemTime(new Date(NOW.getTime() + LAST_SEEN_INTERVAL_SECONDS * 1000));
+        expect(await heartbeat()).toBe(true);
+        expect(mockPrisma.session.findUnique).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports a session revoked elsewhere', async () => {
+        mockPrisma.session.findUnique.mockResolvedValue({ ...openSession(), revokedAt: NOW });
+
+        expect(await createSessionHeartbeat('session-1')()).toBe(false);
+        expect(await isSessionOpen('session-1')).toBe(false);
+        expect(mockPrisma.session.updateMany).not.toHaveBeenCalled();
+    });
+});
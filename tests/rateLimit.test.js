@@ -0,0 +1,114 @@
+/**
+ * Rate limiting and login lockout
+ * (src/services/rateLimit.js, src/middleware/rateLimit.js)
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+    LOGIN_LOCKOUT_THRESHOLD,
+    createMemoryStore,
+    setRateLimitStore,
+    parseRule,
+    getRules,
+    consume,
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures
+} = require('../src/services/rateLimit');
+const { rateLimit } = require('../src/middleware/rateLimit');
+
+const RULE = { max: 2, windowSeconds: 60 };
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+afterEach(() => {
+    delete process.env.RATE_LIMIT_LOGIN_IP;
+    delete process.env.RATE_LIMIT_CREATE_ROOM_USER;
+});
+
+describe('rules', () => {
+    it('parses "max/windowSeconds" and treats anything else as off', () => {
+        expect(parseRule('20/60')).toEqual({ max: 20, windowSeconds: 60 });
+        expect(parseRule('off')).toBeNull();
+        expect(parseRule('0/60')).toBeNull();
+    });
+
+    it('applies environment overrides per route and scope', () => {
+        expect(getRules('login')).toEqual({ ip: { max: 20, windowSeconds: 60 } });
+
+        process.env.RATE_LIMIT_LOGIN_IP = '5/10';
+        process.env.RATE_LIMIT_CREATE_ROOM_USER = 'off';
+        expect(getRules('login').ip).toEqual({ max: 5, windowSeconds: 10 });
+        expect(getRules('create-room')).toEqual({ ip: { max: 30, windowSeconds: 60 } });
+
+        expect(() => getRules('nope')).toThrow('Unknown rate limit route: nope');
+    });
+});
+
+describe('consume', () => {
+    it('allows max requests per window, then says when to retry', async () => {
+        expect(await consume('move:user:1', RULE)).toEqual({ allowed: true, remaining: 1, retryAfter: 0 });
+        expect(await consume('move:user:1', RULE)).toMatchObject({ allowed: true, remaining: 0 });
+
+        const blocked = await consume('move:user:1', RULE);
+        expect(blocked.allowed).toBe(false);
+        expect(blocked.retryAfter).toBeGreaterThan(0);
+        expect(blocked.retryAfter).toBeLessThanOrEqual(60);
+
+        expect((await consume('move:user:2', RULE)).allowed).toBe(true);
+    });
+});
+
+describe('login lockout', () => {
+    it('locks from the threshold on, doubling the delay', async () => {
+        for (let i = 1; i < LOGIN_LOCKOUT_THRESHOLD; i++) {
+            expect(await recordLoginFailure('Alice')).toBe(0);
+        }
+        expect(await getLoginLockout('alice')).toBe(0);
+
+        expect(await recordLoginFailure('Alice')).toBe(30);
+        expect(await recordLoginFailure('alice')).toBe(60);
+        expect(await getLoginLockout('ALICE')).toBe(60);
+
+        await clearLoginFailures('alice');
+        expect(await getLoginLockout('alice')).toBe(0);
+        expect(await recordLoginFailure('alice')).toBe(0);
+    });
+
+    it('counts every failure of parallel attempts', async () => {
+        const attempts = LOGIN_LOCKOUT_THRESHOLD + 3;
+        const locks = await Promise.all(Array.from({ length: attempts }, () => recordLoginFailure('bob')));
+
+        expect(locks.filter(seconds => seconds > 0).sort((a, b) => a - b)).toEqual([30, 60, 120, 240]);
+    });
+});
+
+describe('rateLimit middleware', () => {
+    const createApp = () => {
+        const app = express();
+        app.post('/login', rateLimit('login'), (req, res) => res.json({ success: true }));
+        return app;
+    };
+
+    it('answers 429 with Retry-After once the bucket is empty', async () => {
+        process.env.RATE_LIMIT_LOGIN_IP = '1/60';
+        const app = createApp();
+
+        await request(app).post('/login').expect(200);
+        const response = await request(app).post('/login').expect(429);
+
+        expect(response.body.success).toBe(false);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('lets requests through when the store fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        setRateLimitStore({ increment: async () => { throw new Error('store down'); } });
+
+        await request(createApp()).post('/login').expect(200);
+        expect(console.error).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Elo ratings (src/services/rating.js)
+ */
+
+const { K_FACTOR, expectedScore, calculateEloChange, applyRatingChanges } = require('../src/services/rating');
+
+/**
+ * Transaction stand-in holding user ratings in memory
+ */
+function createTx(users) {
+    const ratings = new Map(users.map(user => [user.id, user.rating]));
+    return {
+        user: {
+            findMany: jest.fn(async () => users),
+            update: jest.fn(async ({ where, data }) => {
+                ratings.set(where.id, ratings.get(where.id) + data.rating.increment);
+                return { rating: ratings.get(where.id) };
+            })
+        },
+        ratingChange: {
+            create: jest.fn(async ({ data }) => data)
+        },
+        ratings
+    };
+}
+
+const ROOM = { id: 'room-1', player1Id: 'a', player2Id: 'b', winnerId: 'a', isDraw: false };
+
+describe('calculateEloChange', () => {
+    it('splits K evenly between equal players', () => {
+        expect(expectedScore(1200, 1200)).toBe(0.5);
+        expect(calculateEloChange(1200, 1200, 1)).toEqual({ changeA: K_FACTOR / 2, changeB: -K_FACTOR / 2 });
+        expect(calculateEloChange(1200, 1200, 0.5).changeA).toBe(0);
+    });
+
+    it('rewards upsets more than expected wins', () => {
+        const upset = calculateEloChange(1000, 1400, 1).changeA;
+        const expected = calculateEloChange(1400, 1000, 1).changeA;
+        expect(upset).toBeGreaterThan(expected);
+        expect(upset + expected).toBe(K_FACTOR);
+    });
+});
+
+describe('applyRatingChanges', () => {
+    it('updates both players and records the change', async () => {
+        const tx = createTx([
+            { id: 'a', rating: 1200, isBot: false },
+            { id: 'b', rating: 1200, isBot: false }
+        ]);
+
+        const changes = await applyRatingChanges(tx, ROOM);
+
+        expect(changes).toEqual([
+            { userId: 'a', roomId: 'room-1', ratingBefore: 1200, ratingAfter: 1216, change: 16 },
+            { userId: 'b', roomId: 'room-1', ratingBefore: 1200, ratingAfter: 1184, change: -16 }
+        ]);
+        expect(tx.ratings.get('a')).toBe(1216);
+    });
+
+    it('skips games without a result or a second player', async () => {
+        const tx = createTx([]);
+        expect(await applyRatingChanges(tx, { ...ROOM, winnerId: null })).toEqual([]);
+        expect(await applyRatingChanges(tx, { ...ROOM, player2Id: null })).toEqual([]);
+        expect(tx.user.findMany).not.toHaveBeenCalled();
+    });
+
+    it('does not rate games against a bot account', async () => {
+        const tx = createTx([
+            { id: 'a', rating: 1200, isBot: false },
+            { id: 'b', rating: 1200, isBot: true }
+        ]);
+        expect(await applyRatingChanges(tx, ROOM)).toEqual([]);
+        expect(tx.user.update).not.toHaveBeenCalled();
+    });
+
+    it('does not rate games with hints enabled', async () => {
+        const tx = createTx([
+            { id: 'a', rating: 1200, isBot: false },
+            { id: 'b', rating: 1200, isBot: false }
+        ]);
+        expect(await applyRatingChanges(tx, { ...ROOM, hintsEnabled: true })).toEqual([]);
+        expect(tx.user.update).not.toHaveBeenCalled();
+    });
+});
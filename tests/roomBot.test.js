@@ -0,0 +1,136 @@
+/**
+ * Bots in multiplayer rooms (src/services/roomBot.js)
+ */
+
+const mockTx = {
+    user: { upsert: jest.fn() }
+};
+
+const mockPrisma = {
+    room: { findUnique: jest.fn() },
+    session: { count: jest.fn() },
+    user: { findUnique: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+jest.mock('../src/services/roomMoves', () => ({
+    applyRoomMove: jest.fn()
+}));
+
+const {
+    TAKEOVER_DIFFICULTY,
+    TAKEOVER_IDLE_SECONDS,
+    getBotUsername,
+    getBotUser,
+    isBotUser,
+    canTakeOver,
+    playBotTurn
+} = require('../src/services/roomBot');
+const { applyRoomMove } = require('../src/services/roomMoves');
+const { markConnected, markDisconnected } = require('../src/services/presence');
+const { subscribeToRoom } = require('../src/services/roomEvents');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const ROOM = {
+    id: 'room-1',
+    status: 'in-progress',
+    player1Id: 'user-1',
+    player2Id: 'user-2',
+    currentTurn: 'player2',
+    board: 'XX-OO----',
+    boardSize: 3,
+    winLength: 3,
+    updatedAt: new Date(NOW.getTime() - (TAKEOVER_IDLE_SECONDS + 1) * 1000)
+};
+
+describe('bot accounts', () => {
+    it('uses one system user per difficulty', async () => {
+        mockTx.user.upsert.mockResolvedValue({ id: 'bot-1', username: 'bot-hard' });
+
+        expect(getBotUsername('hard')).toBe('bot-hard');
+        await getBotUser(mockTx, 'hard');
+        expect(mockTx.user.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { username: 'bot-hard' },
+            create: { username: 'bot-hard', password: '', isBot: true }
+        }));
+    });
+
+    it('tells bot accounts apart', async () => {
+        mockPrisma.user.findUnique.mockResolvedValue({ isBot: true });
+        expect(await isBotUser(mockPrisma, 'bot-1')).toBe(true);
+        expect(await isBotUser(mockPrisma, null)).toBe(false);
+    });
+});
+
+describe('canTakeOver', () => {
+    it('always plays takeovers at full strength', () => {
+        expect(TAKEOVER_DIFFICULTY).toBe('impossible');
+    });
+
+    it('allows a takeover once the absent player\'s turn has been idle', async () => {
+        mockPrisma.session.count.mockResolvedValue(0);
+        expect(await canTakeOver(ROOM, 'player2', NOW)).toBe(true);
+    });
+
+    it('refuses while it is not that seat\'s turn or the turn is recent', async () => {
+        mockPrisma.session.count.mockResolvedValue(0);
+        expect(await canTakeOver(ROOM, 'player1', NOW)).toBe(false);
+        expect(await canTakeOver({ ...ROOM, updatedAt: NOW }, 'player2', NOW)).toBe(false);
+        expect(await canTakeOver({ ...ROOM, status: 'finished' }, 'player2', NOW)).toBe(false);
+    });
+
+    it('refuses while the player is still around', async () => {
+        mockPrisma.session.count.mockResolvedValue(1);
+        expect(await canTakeOver(ROOM, 'player2', NOW)).toBe(false);
+
+        mockPrisma.session.count.mockResolvedValue(0);
+        markConnected('user-2');
+        expect(await canTakeOver(ROOM, 'player2', NOW)).toBe(false);
+        markDisconnected('user-2');
+    });
+});
+
+describe('playBotTurn', () => {
+    const BOT_ROOM = { ...ROOM, botSeat: 'player2', botDifficulty: 'impossible' };
+
+    beforeEach(() => {
+        mockPrisma.$transaction.mockImplementation(callback => callback(mockTx));
+        mockTx.user.upsert.mockResolvedValue({ id: 'bot-1', username: 'bot-impossible' });
+    });
+
+    it('plays and publishes the bot\'s move', async () => {
+        mockPrisma.room.findUnique.mockResolvedValue(BOT_ROOM);
+        applyRoomMove.mockResolvedValue({ room: { ...BOT_ROOM, board: 'XX-OOO---' }, move: { position: 5 } });
+
+        const events = [];
+        const unsubscribe = subscribeToRoom('room-1', roomEvent => events.push(roomEvent.event));
+
+        expect(await playBotTurn('room-1')).toMatchObject({ move: { position: 5 } });
+        expect(applyRoomMove).toHaveBeenCalledWith(mockTx, BOT_ROOM, expect.objectContaining({
+            playerRole: 'player2',
+            playerId: 'bot-1',
+            position: 5
+        }));
+        expect(events).toEqual(['move']);
+
+        unsubscribe();
+    });
+
+    it('does nothing when the bot is not to move or lost the race', async () => {
+        mockPrisma.room.findUnique.mockResolvedValue({ ...BOT_ROOM, currentTurn: 'player1' });
+        expect(await playBotTurn('room-1')).toBeNull();
+
+        mockPrisma.room.findUnique.mockResolvedValue(BOT_ROOM);
+        applyRoomMove.mockRejectedValue(new Error('VERSION_CONFLICT'));
+        expect(await playBotTurn('room-1')).toBeNull();
+    });
+});
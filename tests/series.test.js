@@ -0,0 +1,111 @@
+/**
+ * Rematches and best-of-N series (src/services/series.js, src/services/rematch.js)
+ */
+
+const { winsNeeded, getSeriesOutcome, recordSeriesResult } = require('../src/services/series');
+const { createRematchRoom } = require('../src/services/rematch');
+
+const series = (overrides = {}) => ({
+    id: 'series-1',
+    bestOf: 3,
+    status: 'in-progress',
+    player1Id: 'alice',
+    player2Id: 'bob',
+    player1Wins: 0,
+    player2Wins: 0,
+    draws: 0,
+    ...overrides
+});
+
+/**
+ * Transaction stand-in holding one series in memory
+ */
+function createSeriesTx(initial) {
+    let stored = { ...initial };
+    return {
+        series: {
+            findUnique: jest.fn(async () => ({ ...stored })),
+            update: jest.fn(async ({ data }) => {
+                for (const [field, value] of Object.entries(data)) {
+                    stored[field] = value && value.increment ? stored[field] + value.increment : value;
+                }
+                return { ...stored };
+            })
+        }
+    };
+}
+
+describe('getSeriesOutcome', () => {
+    it('ends as soon as a player has a majority', () => {
+        expect(winsNeeded(3)).toBe(2);
+        expect(winsNeeded(7)).toBe(4);
+        expect(getSeriesOutcome(series({ player1Wins: 1 }))).toBeNull();
+        expect(getSeriesOutcome(series({ player2Wins: 2 }))).toEqual({ winnerId: 'bob', isDraw: false });
+    });
+
+    it('counts draws as played games', () => {
+        expect(getSeriesOutcome(series({ player1Wins: 1, draws: 2 }))).toEqual({ winnerId: 'alice', isDraw: false });
+        expect(getSeriesOutcome(series({ player1Wins: 1, player2Wins: 1, draws: 1 }))).toEqual({ winnerId: null, isDraw: true });
+    });
+});
+
+describe('recordSeriesResult', () => {
+    it('scores by user, not by seat, and finishes the series', async () => {
+        const tx = createSeriesTx(series({ player1Wins: 1 }));
+
+        // alice plays O in the rematch room but is still player1 of the series
+        const updated = await recordSeriesResult(tx, { seriesId: 'series-1', winnerId: 'alice', isDraw: false });
+
+        expect(updated).toMatchObject({ player1Wins: 2, status: 'finished', winnerId: 'alice' });
+    });
+
+    it('ignores rooms outside a series and series already decided', async () => {
+        const tx = createSeriesTx(series({ status: 'finished' }));
+        expect(await recordSeriesResult(tx, { seriesId: null })).toBeNull();
+        await recordSeriesResult(tx, { seriesId: 'series-1', winnerId: 'alice' });
+        expect(tx.series.update).not.toHaveBeenCalled();
+    });
+});
+
+describe('createRematchRoom', () => {
+    const finishedRoom = (overrides = {}) => ({
+        id: 'room-1',
+        player1Id: 'alice',
+        player2Id: 'bob',
+        boardSize: 4,
+        winLength: 3,
+        timeControl: null,
+        hintsEnabled: false,
+        seriesGame: 1,
+        series: null,
+        ...overrides
+    });
+
+    const createTx = () => ({
+        room: {
+            findUnique: jest.fn(async () => null),
+            create: jest.fn(async ({ data }) => data)
+        }
+    });
+
+    it('swaps X and O and keeps the rules', async () => {
+        const data = await createRematchRoom(createTx(), finishedRoom());
+        expect(data).toMatchObject({
+            player1Id: 'bob',
+            player2Id: 'alice',
+            board: '-'.repeat(16),
+            boardSize: 4,
+            winLength: 3,
+            previousRoomId: 'room-1'
+        });
+    });
+
+    it('continues a running series and starts a new one after it ends', async () => {
+        const running = await createRematchRoom(createTx(), finishedRoom({ series: series() }));
+        expect(running).toMatchObject({ seriesId: 'series-1', seriesGame: 2 });
+
+        const decided = await createRematchRoom(createTx(), finishedRoom({ series: series({ status: 'finished' }) }));
+        expect(decided.series).toEqual({ create: { bestOf: 3, player1Id: 'bob', player2Id: 'alice' } });
+        expect(decided.seriesGame).toBe(1);
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Sessions and rotating refresh tokens (src/services/sessions.js)
+ */
+
+const mockTx = {
+    session: { create: jest.fn(), update: jest.fn() },
+    refreshToken: { create: jest.fn(), updateMany: jest.fn() }
+};
+
+const mockPrisma = {
+    session: { findUnique: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+    refreshToken: { findUnique: jest.fn() },
+    $transaction: jest.fn()
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const {
+    SESSIONS_REVOKED_EVENT,
+    LAST_SEEN_INTERVAL_SECONDS,
+    hashToken,
+    getDeviceInfo,
+    createSession,
+    refreshSession,
+    revokeUserSessions,
+    revokeUserSession,
+    findActiveSession,
+    touchSession,
+    listActiveSessions
+} = require('../src/services/sessions');
+const { subscribeToUser } = require('../src/services/roomEvents');
+
+const LATER = new Date(Date.now() + 24 * 60 * 60 * 1000);
+const SESSION = { id: 'session-1', userId: 'user-1', revokedAt: null, expiresAt: LATER };
+
+describe('createSession', () => {
+    beforeEach(() => {
+        mockPrisma.$transaction.mockImplementation(callback => callback(mockTx));
+        mockTx.session.create.mockImplementation(async ({ data }) => ({ id: 'session-1', ...data }));
+    });
+
+    it('signs the session into the access token and stores only the refresh token\'s hash', async () => {
+        const result = await createSession('user-1', { userAgent: 'jest', ipAddress: '127.0.0.1' });
+
+        expect(jwt.verify(result.token, process.env.JWT_SECRET)).toMatchObject({ userId: 'user-1', sessionId: 'session-1' });
+        expect(mockTx.session.create.mock.calls[0][0].data).toMatchObject({ userId: 'user-1', userAgent: 'jest' });
+        expect(mockTx.refreshToken.create).toHaveBeenCalledWith({
+            data: { sessionId: 'session-1', tokenHash: hashToken(result.refreshToken) }
+        });
+    });
+});
+
+describe('refreshSession', () => {
+    beforeEach(() => {
+        mockPrisma.$transaction.mockImplementation(callback => callback(mockTx));
+        mockPrisma.refreshToken.findUnique.mockResolvedValue({ id: 'token-1', session: SESSION });
+        mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('rotates the refresh token once', async () => {
+        mockTx.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+
+        const result = await refreshSession('old-token');
+
+        expect(mockPrisma.refreshToken.findUnique.mock.calls[0][0].where).toEqual({ tokenHash: hashToken('old-token') });
+        expect(mockTx.refreshToken.updateMany.mock.calls[0][0].where).toEqual({ id: 'token-1', usedAt: null });
+        expect(result.refreshToken).not.toBe('old-token');
+        expect(result.sessionId).toBe('session-1');
+    });
+
+    it('revokes the whole session when a used token comes back', async () => {
+        mockTx.refreshToken.updateMany.mockResolvedValue({ count: 0 });
+        const events = [];
+        const unsubscribe = subscribeToUser('user-1', userEvent => events.push(userEvent.event));
+
+        await expect(refreshSession('old-token')).rejects.toThrow('REFRESH_TOKEN_REUSED');
+        expect(mockPrisma.session.updateMany).toHaveBeenCalledWith({
+            where: { id: 'session-1', revokedAt: null },
+            data: { revokedAt: expect.any(Date), revokedReason: 'refresh-reuse' }
+        });
+        expect(events).toEqual([SESSIONS_REVOKED_EVENT]);
+
+        unsubscribe();
+    });
+
+    it('rejects unknown tokens and closed sessions', async () => {
+        mockPrisma.refreshToken.findUnique.mockResolvedValueOnce(null);
+        await expect(refreshSession('nope')).rejects.toThrow('INVALID_REFRESH_TOKEN');
+
+        mockPrisma.refreshToken.findUnique.mockResolvedValueOnce({ id: 'token-1', session: { ...SESSION, revokedAt: new Date() } });
+        await expect(refreshSession('old-token')).rejects.toThrow('SESSION_REVOKED');
+
+        mockPrisma.refreshToken.findUnique.mockResolvedValueOnce({ id: 'token-1', session: { ...SESSION, expiresAt: new Date(0) } });
+        await expect(refreshSession('old-token')).rejects.toThrow('SESSION_EXPIRED');
+
+        expect(mockPrisma.$transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('revocation', () => {
+    it('can keep the current session open when revoking the others', async () => {
+        mockPrisma.session.updateMany.mockResolvedValue({ count: 2 });
+
+        expect(await revokeUserSessions(mockPrisma, 'user-1', 'logout-all', { exceptSessionId: 'session-1' })).toBe(2);
+        expect(mockPrisma.session.updateMany.mock.calls[0][0].where).toEqual({
+            userId: 'user-1',
+            revokedAt: null,
+            id: { not: 'session-1' }
+        });
+    });
+
+    it('treats revoked and expired sessions as gone', async () => {
+        mockPrisma.session.findUnique.mockResolvedValueOnce({ ...SESSION, user: { id: 'user-1' } });
+        expect(await findActiveSession('session-1')).toEqual({
+            session: SESSION,
+            user: { id: 'user-1' }
+        });
+
+        mockPrisma.session.findUnique.mockResolvedValueOnce({ ...SESSION, revokedAt: new Date(), user: {} });
+        expect(await findActiveSession('session-1')).toBeNull();
+
+        mockPrisma.session.findUnique.mockResolvedValueOnce({ ...SESSION, expiresAt: new Date(0), user: {} });
+        expect(await findActiveSession('session-1')).toBeNull();
+    });
+});
+
+describe('device sessions', () => {
+    it('keeps the device a session was created on', () => {
+        const req = { ip: '10.0.0.1', get: () => 'x'.repeat(300) };
+        const device = getDeviceInfo(req);
+        expect(device.ipAddress).toBe('10.0.0.1');
+        expect(device.userAgent).toHaveLength(255);
+        expect(getDeviceInfo({ get: () => undefined })).toEqual({ userAgent: null, ipAddress: null });
+    });
+
+    it('writes lastSeenAt at most once per interval', async () => {
+        const now = new Date();
+        mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+        expect(await touchSession({ id: 'session-1', lastSeenAt: now }, now)).toBe(false);
+        expect(mockPrisma.session.updateMany).not.toHaveBeenCalled();
+
+        const stale = new Date(now.getTime() - (LAST_SEEN_INTERVAL_SECONDS + 1) * 1000);
+        expect(await touchSession({ id: 'session-1', lastSeenAt: stale }, now)).toBe(true);
+        expect(mockPrisma.session.updateMany.mock.calls[0][0].data).toEqual({ lastSeenAt: now });
+    });
+
+    it('lists open sessions without token data', async () => {
+        mockPrisma.session.findMany.mockResolvedValue([]);
+        await listActiveSessions('user-1');
+
+        const query = mockPrisma.session.findMany.mock.calls[0][0];
+        expect(query.where).toMatchObject({ userId: 'user-1', revokedAt: null });
+        expect(query.orderBy).toEqual({ lastSeenAt: 'desc' });
+        expect(Object.keys(query.select)).not.toContain('userId');
+    });
+
+    it('only revokes the user\'s own sessions', async () => {
+        mockPrisma.session.updateMany.mockResolvedValue({ count: 0 });
+
+        expect(await revokeUserSession('user-1', 'someone-elses')).toBe(false);
+        expect(mockPrisma.session.updateMany.mock.calls[0][0].where).toEqual({
+            id: 'someone-elses',
+            userId: 'user-1',
+            revokedAt: null
+        });
+    });
+});
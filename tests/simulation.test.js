@@ -0,0 +1,73 @@
+/**
+ * Bot-vs-bot simulation (src/services/simulation.js)
+ */
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {}
+}));
+
+const { createRandom, playGame, runMatch } = require('../src/services/simulation');
+
+const PERFECT = { engine: 'minimax', difficulty: 'impossible' };
+const RANDOM = { engine: 'random' };
+
+describe('createRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        const first = createRandom(42);
+        const second = createRandom(42);
+        const values = Array.from({ length: 5 }, () => first());
+
+        expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+        expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(createRandom(43)()).not.toBe(values[0]);
+    });
+});
+
+describe('playGame', () => {
+    it('draws when perfect play meets perfect play', async () => {
+        const game = await playGame({ x: PERFECT, o: PERFECT, boardSize: 3, winLength: 3 });
+
+        expect(game.winner).toBeNull();
+        expect(game.moveCount).toBe(9);
+        expect(game.moveTimesMs.X).toHaveLength(5);
+        expect(game.moveTimesMs.O).toHaveLength(4);
+    });
+
+    it('plays the random opening before the engines take over', async () => {
+        const game = await playGame({
+            x: PERFECT,
+            o: PERFECT,
+            boardSize: 3,
+            winLength: 3,
+            openingMoves: 2,
+            random: createRandom(7)
+        });
+
+        expect(game.opening).toHaveLength(2);
+        expect(game.moveTimesMs.X.length + game.moveTimesMs.O.length).toBe(game.moveCount - 2);
+    });
+});
+
+describe('runMatch', () => {
+    it('reports results per competitor and colour, repeatably from a seed', async () => {
+        const options = { a: PERFECT, b: RANDOM, games: 4, seed: 1 };
+        const report = await runMatch(options);
+
+        expect(report).toMatchObject({ games: 4, boardSize: 3, winLength: 3, seed: 1 });
+        // Minimax never loses
+        expect(report.a.losses).toBe(0);
+        expect(report.a.wins + report.a.draws).toBe(4);
+        expect(report.a.asX.wins + report.a.asX.draws).toBe(2);
+        expect(report.b.losses).toBe(report.a.wins);
+        expect(report.decisiveGames).toHaveLength(report.a.wins);
+
+        const again = await runMatch(options);
+        expect(again.decisiveGames).toEqual(report.decisiveGames);
+    });
+
+    it('rejects unknown engines, unsupported boards and invalid rules', async () => {
+        await expect(runMatch({ a: { engine: 'nope' }, b: RANDOM })).rejects.toThrow('UNKNOWN_ENGINE');
+        await expect(runMatch({ a: { engine: 'menace' }, b: RANDOM, boardSize: 4 })).rejects.toThrow('UNSUPPORTED_BOARD_SIZE');
+        await expect(runMatch({ a: PERFECT, b: RANDOM, boardSize: 3, winLength: 5 })).rejects.toThrow('INVALID_RULES');
+    });
+});
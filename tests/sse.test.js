@@ -0,0 +1,77 @@
+/**
+ * Server-Sent Events helpers (src/realtime/sse.js)
+ */
+
+const { openEventStream, writeEvent, getLastEventId } = require('../src/realtime/sse');
+
+/**
+ * Minimal stand-in for an Express response
+ */
+function createResponse() {
+    return {
+        statusCode: null,
+        headers: {},
+        chunks: [],
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(headers) {
+            Object.assign(this.headers, headers);
+        },
+        flushHeaders() {},
+        write(chunk) {
+            this.chunks.push(chunk);
+        }
+    };
+}
+
+describe('writeEvent', () => {
+    it('writes id, event name and JSON data as one frame', () => {
+        const res = createResponse();
+        writeEvent(res, 'move', { position: 4 }, 3);
+        expect(res.chunks).toEqual(['id: 3\nevent: move\ndata: {"position":4}\n\n']);
+    });
+
+    it('leaves out the id line when there is no id', () => {
+        const res = createResponse();
+        writeEvent(res, 'player-joined', {});
+        expect(res.chunks).toEqual(['event: player-joined\ndata: {}\n\n']);
+    });
+});
+
+describe('getLastEventId', () => {
+    it('reads the Last-Event-ID header before the query parameter', () => {
+        expect(getLastEventId({ headers: { 'last-event-id': '7' }, query: { lastEventId: '2' } })).toBe(7);
+        expect(getLastEventId({ headers: {}, query: { lastEventId: '2' } })).toBe(2);
+    });
+
+    it('ignores missing or invalid values', () => {
+        expect(getLastEventId({ headers: {}, query: {} })).toBeNull();
+        expect(getLastEventId({ headers: { 'last-event-id': 'abc' }, query: {} })).toBeNull();
+        expect(getLastEventId({ headers: { 'last-event-id': '-1' }, query: {} })).toBeNull();
+    });
+});
+
+describe('openEventStream', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    it('switches to text/event-stream and sends heartbeats until stopped', () => {
+        const res = createResponse();
+        const onHeartbeat = jest.fn();
+        const stop = openEventStream(res, { onHeartbeat });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['Content-Type']).toBe('text/event-stream');
+        expect(res.chunks[0]).toMatch(/^retry: \d+\n\n$/);
+
+        jest.advanceTimersByTime(25 * 1000);
+        expect(res.chunks).toContain(': ping\n\n');
+        expect(onHeartbeat).toHaveBeenCalledTimes(1);
+
+        stop();
+        jest.advanceTimersByTime(60 * 1000);
+        expect(onHeartbeat).toHaveBeenCalledTimes(1);
+    });
+});
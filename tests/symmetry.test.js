@@ -0,0 +1,77 @@
+/**
+ * Board symmetries and the shared position cache
+ * (src/services/symmetry.js, src/services/transpositionTable.js)
+ */
+
+const { getSymmetries, transformBoard, canonicalize } = require('../src/services/symmetry');
+const {
+    createTranspositionTable,
+    getPositionCache,
+    getCacheStats,
+    clearCache
+} = require('../src/services/transpositionTable');
+
+const CORNERS = ['X--------', '--X------', '------X--', '--------X'];
+
+describe('symmetry', () => {
+    it('builds 8 index maps, the identity first', () => {
+        const maps = getSymmetries(3);
+        expect(maps).toHaveLength(8);
+        expect(maps[0]).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+        // A quarter turn moves the top row down the right column
+        expect(transformBoard('XO-------', maps[1])).toBe('--X--O---');
+        expect(getSymmetries(4)[2][0]).toBe(15);
+    });
+
+    it('gives every rotation and reflection the same canonical board', () => {
+        const canonical = canonicalize(CORNERS[0]).board;
+        CORNERS.forEach(board => expect(canonicalize(board).board).toBe(canonical));
+        expect(canonicalize('-X-------').board).not.toBe(canonical);
+    });
+
+    it('returns the map from the canonical board back to the original', () => {
+        const board = 'XO------O';
+        const { board: canonical, map } = canonicalize(board);
+        expect(transformBoard(board, map)).toBe(canonical);
+        map.forEach((cell, canonicalCell) => expect(canonical[canonicalCell]).toBe(board[cell]));
+    });
+});
+
+describe('createTranspositionTable', () => {
+    it('evicts the least recently used entry when full', () => {
+        const table = createTranspositionTable({ maxEntries: 2 });
+        table.set('a', 1);
+        table.set('b', 2);
+        table.get('a');
+        table.set('c', 3);
+
+        expect(table.get('b')).toBeUndefined();
+        expect(table.get('a')).toBe(1);
+        expect(table.get('c')).toBe(3);
+        expect(table.getStats()).toMatchObject({ size: 2, maxEntries: 2, evictions: 1, hits: 3, misses: 1, hitRate: 75 });
+    });
+});
+
+describe('getPositionCache', () => {
+    afterEach(() => clearCache());
+
+    it('shares entries between symmetric boards, separately per namespace', () => {
+        const exact = getPositionCache('test-exact:3');
+        exact.set(CORNERS[0], 'corner');
+
+        expect(exact.get(CORNERS[3])).toBe('corner');
+        expect(getPositionCache('test-other:3').get(CORNERS[0])).toBeUndefined();
+        expect(getPositionCache('test-exact:3')).toBe(exact);
+    });
+
+    it('keeps counters after the cache is cleared', () => {
+        const cache = getPositionCache('test-exact:3');
+        cache.set(CORNERS[0], 1);
+        const stores = getCacheStats().stores;
+
+        clearCache();
+
+        expect(cache.get(CORNERS[0])).toBeUndefined();
+        expect(getCacheStats()).toMatchObject({ size: 0, stores });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Combined game timeline (GET /api/replay/user/timeline)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+    room: { findMany: jest.fn(), groupBy: jest.fn(), aggregate: jest.fn() },
+    botGame: { findMany: jest.fn(), groupBy: jest.fn(), aggregate: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// The caller is whoever the X-Test-User header names
+jest.mock('../src/middleware/auth', () => ({
+    authenticate: (req, res, next) => {
+        req.user = { id: req.headers['x-test-user'] };
+        next();
+    }
+}));
+
+const replayRoutes = require('../src/routes/replay');
+
+const app = express();
+app.use('/api/replay', replayRoutes);
+
+const minute = index => new Date(Date.UTC(2026, 9, 19, 12, index));
+
+// Newest first: rooms on even minutes, bot games on odd ones
+const ROOMS = [8, 6, 4, 2, 0].map(index => ({
+    id: `room-${index}`,
+    player1Id: 'alice',
+    player2Id: 'bob',
+    player1: { id: 'alice', username: 'alice' },
+    player2: { id: 'bob', username: 'bob' },
+    winnerId: 'alice',
+    isDraw: false,
+    _count: { moves: 5 },
+    ratingChanges: [],
+    createdAt: minute(index)
+}));
+const BOT_GAMES = [7, 5, 3, 1].map(index => ({
+    id: `bot-${index}`,
+    winner: 'bot',
+    status: 'finished',
+    _count: { moves: 6 },
+    createdAt: minute(index)
+}));
+
+/**
+ * findMany over a newest-first list honouring createdAt.lt and take
+ */
+const findPage = rows => async ({ where, take }) =>
+    rows.filter(row => !where.createdAt || row.createdAt < where.createdAt.lt).slice(0, take);
+
+const getTimeline = (query = '') =>
+    request(app).get(`/api/replay/user/timeline${query}`).set('X-Test-User', 'alice');
+
+beforeEach(() => {
+    mockPrisma.room.findMany.mockImplementation(findPage(ROOMS));
+    mockPrisma.botGame.findMany.mockImplementation(findPage(BOT_GAMES));
+    mockPrisma.room.groupBy.mockResolvedValue([{ winnerId: 'alice', isDraw: false, _count: ROOMS.length }]);
+    mockPrisma.botGame.groupBy.mockResolvedValue([{ winner: 'bot', _count: BOT_GAMES.length }]);
+    mockPrisma.room.aggregate.mockResolvedValue({ _sum: {} });
+    mockPrisma.botGame.aggregate.mockResolvedValue({ _sum: {} });
+});
+
+describe('timeline pages', () => {
+    it('merges both kinds newest first and pages with a cursor', async () => {
+        const first = await getTimeline('?limit=4');
+
+        expect(first.body.data.games.map(game => game.id)).toEqual(['room-8', 'bot-7', 'room-6', 'bot-5']);
+        expect(first.body.data.pagination).toMatchObject({ total: 9, limit: 4, hasMore: true, nextBefore: minute(5).toISOString() });
+
+        const second = await getTimeline(`?limit=4&before=${first.body.data.pagination.nextBefore}`);
+        expect(second.body.data.games.map(game => game.id)).toEqual(['room-4', 'bot-3', 'room-2', 'bot-1']);
+
+        const last = await getTimeline(`?limit=4&before=${second.body.data.pagination.nextBefore}`);
+        expect(last.body.data.games.map(game => game.id)).toEqual(['room-0']);
+        expect(last.body.data.pagination).toMatchObject({ hasMore: false, nextBefore: null });
+    });
+
+    it('never loads more than one page of each kind', async () => {
+        await getTimeline('?limit=2&offset=1000000');
+
+        expect(mockPrisma.room.findMany.mock.calls[0][0].take).toBe(3);
+        expect(mockPrisma.botGame.findMany.mock.calls[0][0].take).toBe(3);
+    });
+
+    it('rejects a cursor that is not a date', async () => {
+        const res = await getTimeline('?before=yesterday');
+        expect(res.status).toBe(400);
+        expect(mockPrisma.room.findMany).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * WebSocket push channel (src/realtime/websocket.js)
+ * Runs against an in-process HTTP server; the database is mocked.
+ */
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { WebSocket } = require('ws');
+
+const mockPrisma = {
+    session: { findUnique: jest.fn(), updateMany: jest.fn() },
+    room: { findUnique: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+    PrismaClient: class {
+        constructor() {
+            return mockPrisma;
+        }
+    }
+}));
+
+// Counts room listeners that are still registered
+const mockListeners = { active: 0 };
+
+jest.mock('../src/services/roomEvents', () => {
+    const actual = jest.requireActual('../src/services/roomEvents');
+    return {
+        ...actual,
+        subscribeToRoom: (roomId, listener) => {
+            mockListeners.active++;
+            const unsubscribe = actual.subscribeToRoom(roomId, listener);
+            return () => {
+                mockListeners.active--;
+                unsubscribe();
+            };
+        }
+    };
+});
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { attachWebSocketServer } = require('../src/realtime/websocket');
+const { publishRoomEvent } = require('../src/services/roomEvents');
+
+const ROOM_ID = '11111111-1111-1111-1111-111111111111';
+const USER = { id: 'user-1', username: 'alice', isAdmin: false, isGuest: false };
+const ROOM = {
+    id: ROOM_ID,
+    code: 'ABC123',
+    status: 'in-progress',
+    board: '---------',
+    player1Id: USER.id,
+    player2Id: 'user-2',
+    currentTurn: 'player1',
+    version: 0,
+    player1: { id: USER.id, username: 'alice' },
+    player2: { id: 'user-2', username: 'bob' },
+    winner: null
+};
+
+let server;
+let wss;
+let port;
+
+const openSession = () => ({
+    id: 'session-1',
+    userId: USER.id,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastSeenAt: new Date(),
+    user: USER
+});
+
+/**
+ * Connect and collect messages; resolves once the socket is open
+ */
+function connect(token) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/ws?token=${token}`);
+        ws.messages = [];
+        ws.on('message', raw => ws.messages.push(JSON.parse(raw.toString())));
+        ws.on('open', () => resolve(ws));
+        ws.on('error', reject);
+    });
+}
+
+/**
+ * Wait until a message of the given type arrives
+ */
+function nextMessage(ws, type) {
+    return new Promise(resolve => {
+        const check = () => {
+            const message = ws.messages.find(m => m.type === type);
+            if (message) return resolve(message);
+            setTimeout(check, 10);
+        };
+        check();
+    });
+}
+
+/**
+ * Wait until the server has dropped every socket
+ */
+function serverDrained() {
+    return new Promise(resolve => {
+        const check = () => (wss.clients.size === 0 ? resolve() : setTimeout(check, 10));
+        check();
+    });
+}
+
+beforeAll(done => {
+    server = http.createServer();
+    wss = attachWebSocketServer(server);
+    server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        done();
+    });
+});
+
+afterAll(done => {
+    wss.close();
+    server.close(done);
+});
+
+beforeEach(() => {
+    mockPrisma.session.findUnique.mockImplementation(async () => openSession());
+    mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+    mockPrisma.room.findUnique.mockResolvedValue(ROOM);
+});
+
+describe('WebSocket channel', () => {
+    it('rejects connections without a valid token', async () => {
+        await expect(connect('not-a-jwt')).rejects.toThrow('401');
+    });
+
+    it('sends the room on subscribe and forwards room events', async () => {
+        const token = jwt.sign({ userId: USER.id, sessionId: 'session-1' }, process.env.JWT_SECRET);
+        const ws = await connect(token);
+
+        const connected = await nextMessage(ws, 'connected');
+        expect(connected.user.id).toBe(USER.id);
+
+        ws.send(JSON.stringify({ type: 'subscribe', roomId: ROOM_ID }));
+        const subscribed = await nextMessage(ws, 'subscribed');
+        expect(subscribed.data.userRole).toBe('player1');
+        expect(subscribed.data.room.id).toBe(ROOM_ID);
+
+        publishRoomEvent(ROOM_ID, 'move', { room: { id: ROOM_ID, version: 1 } });
+        const roomEvent = await nextMessage(ws, 'room-event');
+        expect(roomEvent).toMatchObject({ event: 'move', roomId: ROOM_ID, data: { room: { version: 1 } } });
+
+        ws.close();
+    });
+
+    it('does not subscribe a socket that closed while the room was loading', async () => {
+        let finishQuery;
+        mockPrisma.room.findUnique.mockImplementationOnce(() => new Promise(resolve => {
+            finishQuery = () => resolve(ROOM);
+        }));
+
+        const token = jwt.sign({ userId: USER.id, sessionId: 'session-1' }, process.env.JWT_SECRET);
+        const ws = await connect(token);
+        await nextMessage(ws, 'connected');
+
+        ws.send(JSON.stringify({ type: 'subscribe', roomId: ROOM_ID }));
+        await new Promise(resolve => {
+            const check = () => (finishQuery ? resolve() : setTimeout(check, 10));
+            check();
+        });
+        ws.close();
+        await serverDrained();
+
+        finishQuery();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(mockListeners.active).toBe(0);
+    });
+
+    it('answers invalid room IDs with an error', async () => {
+        const token = jwt.sign({ userId: USER.id, sessionId: 'session-1' }, process.env.JWT_SECRET);
+        const ws = await connect(token);
+
+        ws.send(JSON.stringify({ type: 'subscribe', roomId: 'nope' }));
+        const error = await nextMessage(ws, 'error');
+        expect(error.error).toBe('Invalid room ID');
+
+        ws.close();
+    });
+});